@@ -5,7 +5,11 @@
 const API_BASE = '';  // Same origin
 
 // State
-let authCredentials = null;
+// The session itself is an HttpOnly cookie; only its CSRF token is readable here
+let csrfToken = null;
+let currentAdmin = null;
+// Issued after the password step when the account has two-factor on
+let pendingLoginToken = null;
 
 // ============================================
 // AUTH
@@ -22,35 +26,110 @@ async function login(username, password) {
         const data = await response.json();
 
         if (data.success) {
-            authCredentials = btoa(`${username}:${password}`);
-            showDashboard();
-            loadDashboardData();
-            return true;
-        } else {
-            return false;
+            csrfToken = data.csrfToken;
+            enterDashboard(data);
+        } else if (data.twoFactorRequired) {
+            pendingLoginToken = data.loginToken;
+            document.getElementById('login-screen').classList.add('hidden');
+            document.getElementById('twofa-screen').classList.remove('hidden');
+            document.getElementById('twofa-login-code').focus();
         }
+        return data;
     } catch (error) {
         console.error('Login error:', error);
+        return { success: false };
+    }
+}
+
+async function verifyLoginCode(code) {
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/login/2fa`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ loginToken: pendingLoginToken, code })
+        });
+
+        const data = await response.json();
+        if (data.success) {
+            pendingLoginToken = null;
+            csrfToken = data.csrfToken;
+            enterDashboard(data);
+        }
+        return data;
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        return { success: false };
+    }
+}
+
+// Pick up a session that is still valid after a page reload
+async function restoreSession() {
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/session`);
+        if (!response.ok) return false;
+
+        const data = await response.json();
+        csrfToken = data.csrfToken;
+        enterDashboard(data);
+        return true;
+    } catch (error) {
+        console.error('Session check error:', error);
         return false;
     }
 }
 
-function logout() {
-    authCredentials = null;
+async function logout() {
+    if (csrfToken) {
+        try {
+            await fetch(`${API_BASE}/api/admin/logout`, {
+                method: 'POST',
+                headers: getAuthHeaders()
+            });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+    }
+    showLoginScreen();
+}
+
+// A first login (or a password set by an owner) must be replaced before anything else
+function enterDashboard(admin) {
+    if (admin.mustChangePassword) {
+        currentAdmin = { username: admin.username, role: admin.role, twoFactorEnabled: admin.twoFactorEnabled };
+        document.getElementById('login-screen').classList.add('hidden');
+        document.getElementById('password-screen').classList.remove('hidden');
+        return;
+    }
+    showDashboard(admin);
+    loadDashboardData();
+}
+
+function showLoginScreen() {
+    csrfToken = null;
+    currentAdmin = null;
+    pendingLoginToken = null;
+    delete document.body.dataset.role;
     document.getElementById('dashboard').classList.add('hidden');
+    document.getElementById('password-screen').classList.add('hidden');
+    document.getElementById('twofa-screen').classList.add('hidden');
     document.getElementById('login-screen').classList.remove('hidden');
     document.getElementById('password').value = '';
 }
 
-function showDashboard() {
+// Controls marked requires-manager / requires-owner are hidden by CSS for lower roles
+function showDashboard(admin) {
+    currentAdmin = { username: admin.username, role: admin.role, twoFactorEnabled: admin.twoFactorEnabled };
+    document.body.dataset.role = admin.role;
+    document.getElementById('current-admin').textContent = `${admin.username} · ${admin.role}`;
     document.getElementById('login-screen').classList.add('hidden');
+    document.getElementById('password-screen').classList.add('hidden');
     document.getElementById('dashboard').classList.remove('hidden');
 }
 
 function getAuthHeaders() {
     return {
         'Content-Type': 'application/json',
-        'Authorization': `Basic ${authCredentials}`
+        'X-CSRF-Token': csrfToken || ''
     };
 }
 
@@ -120,11 +199,81 @@ async function deleteKey(key) {
     return response.json();
 }
 
-async function changePassword(newPassword) {
+async function changePassword(currentPassword, newPassword) {
     const response = await fetch(`${API_BASE}/api/admin/change-password`, {
         method: 'POST',
         headers: getAuthHeaders(),
-        body: JSON.stringify({ newPassword })
+        body: JSON.stringify({ currentPassword, newPassword })
+    });
+    return response.json();
+}
+
+async function postTwoFactor(action, body = {}) {
+    const response = await fetch(`${API_BASE}/api/admin/2fa/${action}`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(body)
+    });
+    return response.json();
+}
+
+async function resetUserTwoFactor(username) {
+    const response = await fetch(`${API_BASE}/api/admin/users/${encodeURIComponent(username)}/2fa/reset`, {
+        method: 'POST',
+        headers: getAuthHeaders()
+    });
+    return response.json();
+}
+
+async function fetchSessions() {
+    const response = await fetch(`${API_BASE}/api/admin/sessions`, {
+        headers: getAuthHeaders()
+    });
+    if (response.status === 401) {
+        // This session was revoked or has expired
+        showLoginScreen();
+        return [];
+    }
+    return response.json();
+}
+
+async function revokeSession(id) {
+    const response = await fetch(`${API_BASE}/api/admin/sessions/${id}/revoke`, {
+        method: 'POST',
+        headers: getAuthHeaders()
+    });
+    return response.json();
+}
+
+async function fetchUsers() {
+    const response = await fetch(`${API_BASE}/api/admin/users`, {
+        headers: getAuthHeaders()
+    });
+    return response.json();
+}
+
+async function createUser(username, password, role) {
+    const response = await fetch(`${API_BASE}/api/admin/users`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ username, password, role })
+    });
+    return response.json();
+}
+
+async function setUserRole(username, role) {
+    const response = await fetch(`${API_BASE}/api/admin/users/${encodeURIComponent(username)}/role`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ role })
+    });
+    return response.json();
+}
+
+async function setUserDisabled(username, disabled) {
+    const response = await fetch(`${API_BASE}/api/admin/users/${encodeURIComponent(username)}/${disabled ? 'disable' : 'enable'}`, {
+        method: 'POST',
+        headers: getAuthHeaders()
     });
     return response.json();
 }
@@ -143,6 +292,21 @@ async function fetchProjectFiles(projectName) {
     return response.json();
 }
 
+async function fetchProjectVersions(projectName) {
+    const response = await fetch(`${API_BASE}/api/projects/${encodeURIComponent(projectName)}/versions`, {
+        headers: getAuthHeaders()
+    });
+    return response.json();
+}
+
+async function restoreProjectVersion(projectName, version) {
+    const response = await fetch(`${API_BASE}/api/projects/${encodeURIComponent(projectName)}/versions/${version}/restore`, {
+        method: 'POST',
+        headers: getAuthHeaders()
+    });
+    return response.json();
+}
+
 // ============================================
 // UI RENDERING
 // ============================================
@@ -153,7 +317,9 @@ async function loadDashboardData() {
         loadKeys(),
         loadActivity(),
         loadLocks(),
-        loadProjects()
+        loadProjects(),
+        loadSessions(),
+        currentAdmin.role === 'owner' ? loadUsers() : null
     ]);
 }
 
@@ -200,7 +366,7 @@ async function loadKeys() {
           <td>${lastUsed}</td>
           <td><span class="status ${status.class}">${status.icon} ${status.label}</span></td>
           <td>
-            <div class="action-buttons">
+            <div class="action-buttons requires-manager">
               ${!key.revoked ? `
                 <button class="action-btn" onclick="handleExtendKey('${key.key}')">+30 days</button>
                 <button class="action-btn danger" onclick="handleRevokeKey('${key.key}')">Revoke</button>
@@ -226,7 +392,7 @@ async function loadActivity() {
         if (logs.length === 0) {
             tbody.innerHTML = `
         <tr>
-          <td colspan="4" style="text-align: center; color: var(--text-muted); padding: 40px;">
+          <td colspan="5" style="text-align: center; color: var(--text-muted); padding: 40px;">
             No activity yet.
           </td>
         </tr>
@@ -235,13 +401,15 @@ async function loadActivity() {
         }
 
         tbody.innerHTML = logs.map(log => {
-            const actionClass = getActionClass(log.action);
+            // Dashboard actions are logged under the admin's name
+            const actionClass = getActionClass(log.action) || (log.api_key === 'admin' ? 'action-admin' : '');
             return `
         <tr>
           <td>${formatDateTime(log.timestamp)}</td>
           <td>${escapeHtml(log.editor_name)}</td>
           <td><span class="action-label ${actionClass}">${log.action.toUpperCase()}</span></td>
           <td>${log.project_name ? escapeHtml(log.project_name) : '-'}</td>
+          <td class="activity-details">${log.details ? escapeHtml(log.details) : ''}</td>
         </tr>
       `;
         }).join('');
@@ -258,7 +426,7 @@ async function loadLocks() {
         if (locks.length === 0) {
             tbody.innerHTML = `
         <tr>
-          <td colspan="4" style="text-align: center; color: var(--text-muted); padding: 40px;">
+          <td colspan="5" style="text-align: center; color: var(--text-muted); padding: 40px;">
             No projects are currently locked.
           </td>
         </tr>
@@ -271,8 +439,9 @@ async function loadLocks() {
         <td><strong>${escapeHtml(lock.project_name)}</strong></td>
         <td>${escapeHtml(lock.locked_by)}</td>
         <td>${formatDateTime(lock.locked_at)}</td>
+        <td><span class="lease-remaining ${lock.remaining_seconds < 120 ? 'lease-ending' : ''}">${formatRemaining(lock.remaining_seconds)}</span></td>
         <td>
-          <button class="action-btn danger" onclick="handleForceUnlock('${escapeHtml(lock.project_name)}')">
+          <button class="action-btn danger requires-manager" onclick="handleForceUnlock('${escapeHtml(lock.project_name)}')">
             Force Unlock
           </button>
         </td>
@@ -285,6 +454,68 @@ async function loadLocks() {
 
 let selectedProject = null;
 
+async function loadSessions() {
+    try {
+        const sessions = await fetchSessions();
+        const tbody = document.getElementById('sessions-table-body');
+
+        tbody.innerHTML = sessions.map(session => `
+      <tr>
+        <td><strong>${escapeHtml(session.username)}</strong>${session.current ? ' <span class="status status-active">This session</span>' : ''}</td>
+        <td>${formatDateTime(session.created_at)}</td>
+        <td>${formatDateTime(session.last_seen)}</td>
+        <td>${formatDateTime(session.expires_at)}</td>
+        <td class="session-client">${escapeHtml(session.ip || '')}<br><span>${escapeHtml(session.user_agent || '')}</span></td>
+        <td>
+          <button class="action-btn danger" onclick="handleRevokeSession(${session.id}, ${session.current})">
+            ${session.current ? 'Sign Out' : 'Revoke'}
+          </button>
+        </td>
+      </tr>
+    `).join('');
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+    }
+}
+
+async function loadUsers() {
+    try {
+        const users = await fetchUsers();
+        const tbody = document.getElementById('users-table-body');
+
+        tbody.innerHTML = users.map(user => {
+            const self = user.username === currentAdmin.username;
+            const name = escapeHtml(user.username);
+            const roleOptions = ['owner', 'manager', 'viewer']
+                .map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`)
+                .join('');
+
+            return `
+        <tr>
+          <td><strong>${name}</strong>${self ? ' <span class="status status-active">You</span>' : ''}</td>
+          <td><select class="role-select" onchange="handleChangeRole('${name}', this)">${roleOptions}</select></td>
+          <td>${user.disabled
+                ? '<span class="status status-revoked">⛔ Disabled</span>'
+                : '<span class="status status-active">✓ Active</span>'}</td>
+          <td>${user.created_at ? formatDate(user.created_at) : '-'}${user.created_by ? ` by ${escapeHtml(user.created_by)}` : ''}</td>
+          <td>${user.last_login ? formatDateTime(user.last_login) : '<span style="color: var(--text-muted)">Never</span>'}</td>
+          <td>${user.totp_enabled ? '🔐 On' : '<span style="color: var(--text-muted)">Off</span>'}</td>
+          <td>
+            <div class="action-buttons">
+            ${user.totp_enabled && !self ? `<button class="action-btn" onclick="handleResetTwoFactor('${name}')">Reset 2FA</button>` : ''}
+            ${self ? '' : `<button class="action-btn ${user.disabled ? '' : 'danger'}" onclick="handleToggleUser('${name}', ${!user.disabled})">
+              ${user.disabled ? 'Enable' : 'Disable'}
+            </button>`}
+            </div>
+          </td>
+        </tr>
+      `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading users:', error);
+    }
+}
+
 async function loadProjects() {
     try {
         const projects = await fetchProjects();
@@ -322,6 +553,8 @@ async function selectProject(projectName) {
         }
     });
 
+    loadProjectVersions(projectName);
+
     // Load files for this project
     try {
         const files = await fetchProjectFiles(projectName);
@@ -350,6 +583,36 @@ async function selectProject(projectName) {
     }
 }
 
+async function loadProjectVersions(projectName) {
+    const container = document.getElementById('project-versions');
+    if (!container) return;
+
+    try {
+        const versions = await fetchProjectVersions(projectName);
+
+        if (!versions || versions.length === 0) {
+            container.innerHTML = '<p class="empty-state">No versions recorded yet</p>';
+            return;
+        }
+
+        const latest = versions[0].version;
+        container.innerHTML = versions.map(v => `
+            <div class="version-item">
+                <div class="file-info">
+                    <div class="file-name">
+                        v${v.version}${v.version === latest ? ' <span class="status status-active">Current</span>' : ''}
+                        ${v.restored_from ? `<span class="version-note">restored from v${v.restored_from}</span>` : ''}
+                    </div>
+                    <div class="file-meta">${v.file_count} files • ${formatFileSize(v.total_size)} • By ${escapeHtml(v.created_by)} • ${formatDateTime(v.created_at)}</div>
+                </div>
+                ${v.version !== latest ? `<button class="action-btn requires-manager" onclick="handleRestoreVersion(${v.version})">Restore</button>` : ''}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading project versions:', error);
+    }
+}
+
 function getFileIcon(fileType) {
     if (!fileType) return '📄';
     const type = fileType.toLowerCase();
@@ -397,7 +660,10 @@ function getActionClass(action) {
         push: 'action-push',
         pull: 'action-pull',
         lock: 'action-lock',
-        unlock: 'action-unlock'
+        unlock: 'action-unlock',
+        'auto-unlock': 'action-unlock',
+        'resolve-conflict': 'action-conflict',
+        restore: 'action-restore'
     };
     return classes[action] || '';
 }
@@ -421,6 +687,13 @@ function formatDateTime(dateString) {
     });
 }
 
+function formatRemaining(seconds) {
+    if (!seconds || seconds <= 0) return 'Expiring';
+    const minutes = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -439,6 +712,104 @@ async function handleExtendKey(key) {
     }
 }
 
+async function handleRevokeSession(id, current) {
+    if (current) {
+        logout();
+        return;
+    }
+    if (confirm('Revoke this session? It will be signed out on its next request.')) {
+        await revokeSession(id);
+        loadSessions();
+    }
+}
+
+async function handleChangeRole(username, select) {
+    const result = await setUserRole(username, select.value);
+    if (!result.success) {
+        alert(result.error || 'Could not change role');
+    }
+    loadUsers();
+}
+
+async function handleResetTwoFactor(username) {
+    if (!confirm(`Turn off two-factor for ${username}? They can log in with their password alone until they set it up again.`)) return;
+
+    const result = await resetUserTwoFactor(username);
+    if (!result.success) {
+        alert(result.error || 'Could not reset two-factor');
+    }
+    loadUsers();
+}
+
+// Settings: show one of off / enroll / codes / on
+function showTwoFactorState(state) {
+    ['off', 'enroll', 'codes', 'on'].forEach(name => {
+        document.getElementById(`twofa-${name}`).classList.toggle('hidden', name !== state);
+    });
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('twofa-recovery-codes').textContent = codes.join('\n');
+    showTwoFactorState('codes');
+}
+
+async function handleTwoFactorSetup() {
+    const result = await postTwoFactor('setup');
+    if (result.error) {
+        alert(result.error);
+        return;
+    }
+
+    const qr = document.getElementById('twofa-qr');
+    qr.src = result.qrCode || '';
+    qr.classList.toggle('hidden', !result.qrCode);
+    document.getElementById('twofa-secret').textContent = result.secret.match(/.{1,4}/g).join(' ');
+    document.getElementById('twofa-enroll-code').value = '';
+    showTwoFactorState('enroll');
+}
+
+async function handleTwoFactorEnable() {
+    const code = document.getElementById('twofa-enroll-code').value.trim();
+    const result = await postTwoFactor('enable', { code });
+    if (!result.success) {
+        alert(result.error || 'Could not turn on two-factor');
+        return;
+    }
+
+    currentAdmin.twoFactorEnabled = true;
+    showRecoveryCodes(result.recoveryCodes);
+}
+
+async function handleTwoFactorPasswordAction(action) {
+    const passwordInput = document.getElementById('twofa-password');
+    if (action === 'disable' && !confirm('Turn off two-factor authentication for your account?')) return;
+
+    const result = await postTwoFactor(action, { currentPassword: passwordInput.value });
+    if (!result.success) {
+        alert(result.error || 'Request failed');
+        return;
+    }
+
+    passwordInput.value = '';
+    if (action === 'disable') {
+        currentAdmin.twoFactorEnabled = false;
+        showTwoFactorState('off');
+    } else {
+        showRecoveryCodes(result.recoveryCodes);
+    }
+}
+
+async function handleToggleUser(username, disable) {
+    if (disable && !confirm(`Disable ${username}? They are signed out immediately.`)) return;
+
+    const result = await setUserDisabled(username, disable);
+    if (!result.success) {
+        alert(result.error || 'Could not update user');
+    }
+    loadUsers();
+    loadSessions();
+}
+
 async function handleRevokeKey(key) {
     if (confirm('Revoke this API key? The editor will no longer have access.')) {
         await revokeKey(key);
@@ -471,6 +842,24 @@ async function handleForceUnlock(projectName) {
     }
 }
 
+async function handleRestoreVersion(version) {
+    if (!selectedProject) return;
+
+    if (confirm(`Restore "${selectedProject}" to v${version}? This creates a new version with the same files; editors receive them on their next pull.`)) {
+        try {
+            const result = await restoreProjectVersion(selectedProject, version);
+            if (result.success) {
+                loadProjectVersions(selectedProject);
+                loadActivity();
+            } else {
+                alert(result.error || 'Restore failed');
+            }
+        } catch (error) {
+            console.error('Error restoring version:', error);
+        }
+    }
+}
+
 function openModal(id) {
     document.getElementById(id).classList.remove('hidden');
 }
@@ -496,14 +885,61 @@ document.addEventListener('DOMContentLoaded', () => {
         const username = document.getElementById('username').value;
         const password = document.getElementById('password').value;
 
-        const success = await login(username, password);
-        if (!success) {
-            document.getElementById('login-error').textContent = 'Invalid username or password';
+        const result = await login(username, password);
+        if (!result.success && !result.twoFactorRequired) {
+            // Lockouts and rate limits explain themselves; bad credentials stay vague
+            const messages = { 'Invalid credentials': 'Invalid username or password', 'Account is disabled': 'This account has been disabled' };
+            document.getElementById('login-error').textContent = messages[result.error] || result.error || 'Login failed';
         }
     });
 
+    // Two-factor login step
+    document.getElementById('form-twofa-login').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const codeInput = document.getElementById('twofa-login-code');
+        const result = await verifyLoginCode(codeInput.value.trim());
+        codeInput.value = '';
+
+        if (!result.success) {
+            document.getElementById('twofa-login-error').textContent = result.error || 'Verification failed';
+            // An expired login token or a lockout means starting over
+            if (!pendingLoginToken || result.error !== 'Invalid authentication code') {
+                setTimeout(showLoginScreen, 2000);
+            }
+        } else {
+            document.getElementById('twofa-login-error').textContent = '';
+        }
+    });
+    document.getElementById('btn-twofa-cancel').addEventListener('click', showLoginScreen);
+
+    // Forced password change after first login
+    document.getElementById('form-first-password').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const currentPass = document.getElementById('first-current-password').value;
+        const newPass = document.getElementById('first-new-password').value;
+        const errorText = document.getElementById('first-password-error');
+
+        if (newPass !== document.getElementById('first-confirm-password').value) {
+            errorText.textContent = 'Passwords do not match';
+            return;
+        }
+
+        const result = await changePassword(currentPass, newPass);
+        if (!result.success) {
+            errorText.textContent = result.error || 'Could not change password';
+            return;
+        }
+
+        errorText.textContent = '';
+        document.getElementById('form-first-password').reset();
+        showDashboard(currentAdmin);
+        loadDashboardData();
+    });
+    document.getElementById('btn-first-password-logout').addEventListener('click', logout);
+
     // Logout
     document.getElementById('btn-logout').addEventListener('click', logout);
+    restoreSession();
 
     // Tabs
     document.querySelectorAll('.tab').forEach(tab => {
@@ -538,6 +974,28 @@ document.addEventListener('DOMContentLoaded', () => {
         loadStats();
     });
 
+    // Create user
+    document.getElementById('btn-create-user').addEventListener('click', () => {
+        openModal('modal-create-user');
+    });
+
+    document.getElementById('form-create-user').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const username = document.getElementById('new-user-name').value.trim();
+        const password = document.getElementById('new-user-password').value;
+        const role = document.getElementById('new-user-role').value;
+
+        const result = await createUser(username, password, role);
+        if (!result.success) {
+            alert(result.error || 'Could not create user');
+            return;
+        }
+
+        closeModal('modal-create-user');
+        document.getElementById('form-create-user').reset();
+        loadUsers();
+    });
+
     // Copy key button
     document.getElementById('btn-copy-key').addEventListener('click', () => {
         const key = document.getElementById('generated-key').textContent;
@@ -550,12 +1008,21 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Settings button
     document.getElementById('btn-settings').addEventListener('click', () => {
+        showTwoFactorState(currentAdmin.twoFactorEnabled ? 'on' : 'off');
         openModal('modal-settings');
     });
 
+    // Two-factor enrollment
+    document.getElementById('btn-2fa-setup').addEventListener('click', handleTwoFactorSetup);
+    document.getElementById('btn-2fa-enable').addEventListener('click', handleTwoFactorEnable);
+    document.getElementById('btn-2fa-codes-done').addEventListener('click', () => showTwoFactorState('on'));
+    document.getElementById('btn-2fa-new-codes').addEventListener('click', () => handleTwoFactorPasswordAction('recovery-codes'));
+    document.getElementById('btn-2fa-disable').addEventListener('click', () => handleTwoFactorPasswordAction('disable'));
+
     // Change password form
     document.getElementById('form-change-password').addEventListener('submit', async (e) => {
         e.preventDefault();
+        const currentPass = document.getElementById('current-password').value;
         const newPass = document.getElementById('new-password').value;
         const confirmPass = document.getElementById('confirm-password').value;
 
@@ -564,15 +1031,21 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        await changePassword(newPass);
+        const result = await changePassword(currentPass, newPass);
+        if (!result.success) {
+            alert(result.error || 'Could not change password');
+            return;
+        }
+        document.getElementById('form-change-password').reset();
         closeModal('modal-settings');
-        alert('Password changed! Please login again.');
+        alert('Password changed! Other sessions have been signed out - please login again.');
         logout();
     });
 
     // Refresh buttons
     document.getElementById('btn-refresh-activity').addEventListener('click', loadActivity);
     document.getElementById('btn-refresh-locks').addEventListener('click', loadLocks);
+    document.getElementById('btn-refresh-sessions').addEventListener('click', loadSessions);
 
     // Projects refresh
     const btnRefreshProjects = document.getElementById('btn-refresh-projects');
@@ -3,10 +3,31 @@ const Database = require('better-sqlite3');
 const bcrypt = require('bcryptjs');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
+const QRCode = require('qrcode');
 const path = require('path');
+const crypto = require('crypto');
+const totp = require('./totp');
 
 const app = express();
-const PORT = 3847;
+const PORT = parseInt(process.env.PORT) || 3847;
+const LOCK_TTL_MINUTES = parseInt(process.env.LOCK_TTL_MINUTES) || 15;
+const LOCK_SWEEP_INTERVAL_MS = 60 * 1000;
+const EVENT_KEEPALIVE_MS = 25 * 1000;
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+const SESSION_COOKIE = 'ps_session';
+// owner: everything incl. admin users; manager: keys, force-unlock, restores; viewer: read-only
+const ADMIN_ROLES = ['owner', 'manager', 'viewer'];
+const PASSWORD_MIN_LENGTH = 10;
+// Failed logins: an account locks after LOGIN_MAX_FAILURES in a row; one address
+// is refused after LOGIN_IP_MAX_FAILURES within LOGIN_WINDOW_MINUTES
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MINUTES = 15;
+const LOGIN_IP_MAX_FAILURES = 20;
+const LOGIN_WINDOW_MINUTES = 15;
+// A password-verified login waits this long for its authenticator code
+const TWO_FACTOR_LOGIN_MINUTES = 5;
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_ISSUER = 'Premiere Sync';
 
 // Middleware
 app.use(cors());
@@ -14,7 +35,7 @@ app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Initialize Database
-const db = new Database(path.join(__dirname, 'sync-data.db'));
+const db = new Database(process.env.SYNC_DB_PATH || path.join(__dirname, 'sync-data.db'));
 
 // Create tables
 db.exec(`
@@ -70,58 +91,627 @@ db.exec(`
     uploaded_at TEXT NOT NULL,
     FOREIGN KEY (project_name) REFERENCES projects(name)
   );
+
+  CREATE TABLE IF NOT EXISTS project_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_name TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    manifest TEXT NOT NULL,
+    file_count INTEGER DEFAULT 0,
+    total_size INTEGER DEFAULT 0,
+    created_by TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    restored_from INTEGER,
+    UNIQUE (project_name, version)
+  );
+
+  CREATE TABLE IF NOT EXISTS admin_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token TEXT UNIQUE NOT NULL,
+    username TEXT NOT NULL,
+    csrf_token TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    last_seen TEXT,
+    ip TEXT,
+    user_agent TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS server_settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
 `);
 
-// Create default admin if not exists (username: admin, password: admin123)
-const adminExists = db.prepare('SELECT * FROM admin WHERE username = ?').get('admin');
-if (!adminExists) {
+// Add columns introduced after the first release to existing databases
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+ensureColumn('projects', 'current_version', 'INTEGER');
+ensureColumn('project_locks', 'expires_at', 'TEXT');
+ensureColumn('project_locks', 'renewed_at', 'TEXT');
+ensureColumn('activity_log', 'details', 'TEXT');
+// The admin that existed before roles keeps full access
+ensureColumn('admin', 'role', "TEXT DEFAULT 'owner'");
+ensureColumn('admin', 'disabled', 'INTEGER DEFAULT 0');
+ensureColumn('admin', 'created_at', 'TEXT');
+ensureColumn('admin', 'created_by', 'TEXT');
+ensureColumn('admin', 'last_login', 'TEXT');
+ensureColumn('admin', 'must_change_password', 'INTEGER DEFAULT 0');
+ensureColumn('admin', 'failed_logins', 'INTEGER DEFAULT 0');
+ensureColumn('admin', 'locked_until', 'TEXT');
+ensureColumn('admin', 'totp_secret', 'TEXT');
+ensureColumn('admin', 'totp_enabled', 'INTEGER DEFAULT 0');
+ensureColumn('admin', 'totp_last_counter', 'INTEGER');
+ensureColumn('admin', 'recovery_codes', 'TEXT');
+
+// Locks taken before leases existed get one TTL to be renewed, then expire
+db.prepare('UPDATE project_locks SET expires_at = ? WHERE expires_at IS NULL')
+  .run(new Date(Date.now() + LOCK_TTL_MINUTES * 60 * 1000).toISOString());
+
+// Create the default owner on a fresh database (username: admin, password: admin123)
+const adminCount = db.prepare('SELECT COUNT(*) as count FROM admin').get();
+if (adminCount.count === 0) {
   const hash = bcrypt.hashSync('admin123', 10);
-  db.prepare('INSERT INTO admin (username, password_hash) VALUES (?, ?)').run('admin', hash);
-  console.log('Default admin created - username: admin, password: admin123');
+  db.prepare('INSERT INTO admin (username, password_hash, role, created_at, must_change_password) VALUES (?, ?, ?, ?, 1)')
+    .run('admin', hash, 'owner', new Date().toISOString());
+  console.log('Default admin created - username: admin, password: admin123 (must be changed at first login)');
+}
+
+// Databases seeded before the forced change may still use the default password
+for (const admin of db.prepare('SELECT * FROM admin WHERE must_change_password = 0').all()) {
+  if (bcrypt.compareSync('admin123', admin.password_hash)) {
+    db.prepare('UPDATE admin SET must_change_password = 1 WHERE id = ?').run(admin.id);
+    console.log(`⚠️ ${admin.username} still uses the default password and must change it at next login`);
+  }
+}
+
+// ============== EVENT STREAM ==============
+// Panels subscribe to /api/events (Server-Sent Events) and get push, pull,
+// lock and unlock events as they happen instead of waiting for the next poll.
+
+const eventClients = new Set();
+
+// Activity entries that are also broadcast; lock/unlock are sent by their routes
+const STREAMED_ACTIVITY = ['push', 'pull', 'restore', 'auto-unlock', 'force-unlock'];
+
+function broadcastEvent(type, data = {}) {
+  const payload = JSON.stringify({
+    type,
+    ...data,
+    timestamp: new Date().toISOString(),
+    locks: listLocks()
+  });
+
+  for (const client of eventClients) {
+    client.write(`event: ${type}\ndata: ${payload}\n\n`);
+  }
+}
+
+// Write an activity log entry and stream it to connected panels.
+// extra.details (free text, e.g. conflict resolutions) is stored with the entry.
+function recordActivity(apiKey, editorName, action, projectName, extra = {}) {
+  db.prepare(`
+    INSERT INTO activity_log (api_key, editor_name, action, project_name, timestamp, details)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(apiKey, editorName, action, projectName, new Date().toISOString(), extra.details || null);
+
+  if (STREAMED_ACTIVITY.includes(action)) {
+    broadcastEvent(action, { editorName, projectName, ...extra });
+  }
+}
+
+// Audit trail for the dashboard: the entry carries the signed-in admin's name
+function recordAdminActivity(req, action, projectName = null, details = null) {
+  recordActivity('admin', req.admin.username, action, projectName, { details });
+}
+
+setInterval(() => {
+  for (const client of eventClients) {
+    client.write(': keepalive\n\n');
+  }
+}, EVENT_KEEPALIVE_MS);
+
+// ============== ADMIN SESSIONS ==============
+// Login issues a random session token, signed and kept in an HttpOnly cookie.
+// Sessions live in the database so they can be listed and revoked; mutating
+// requests must also send the session's CSRF token in X-CSRF-Token.
+
+// Kept in the database so a restart does not sign everyone out
+function getSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+
+  const row = db.prepare('SELECT value FROM server_settings WHERE key = ?').get('session_secret');
+  if (row) return row.value;
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  db.prepare('INSERT INTO server_settings (key, value) VALUES (?, ?)').run('session_secret', secret);
+  return secret;
+}
+
+const SESSION_SECRET = getSessionSecret();
+
+function signSessionToken(token) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(token).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+function sweepExpiredSessions() {
+  db.prepare('DELETE FROM admin_sessions WHERE expires_at < ?').run(new Date().toISOString());
+}
+
+function createSession(req, username) {
+  const now = new Date();
+  const session = {
+    token: crypto.randomBytes(32).toString('hex'),
+    username,
+    csrf_token: crypto.randomBytes(32).toString('hex'),
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+    ip: req.ip,
+    user_agent: (req.headers['user-agent'] || '').slice(0, 200)
+  };
+
+  const result = db.prepare(`
+    INSERT INTO admin_sessions (token, username, csrf_token, created_at, expires_at, last_seen, ip, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(session.token, username, session.csrf_token, session.created_at, session.expires_at, session.created_at, session.ip, session.user_agent);
+
+  return { ...session, id: result.lastInsertRowid };
+}
+
+// The live session behind the request's cookie, or null
+function getSession(req) {
+  const [token, signature] = (parseCookies(req)[SESSION_COOKIE] || '').split('.');
+  if (!token || !signature || !safeEqual(signature, signSessionToken(token))) return null;
+
+  const session = db.prepare('SELECT * FROM admin_sessions WHERE token = ?').get(token);
+  if (!session || new Date(session.expires_at) < new Date()) return null;
+  return session;
+}
+
+function setSessionCookie(req, res, session) {
+  res.cookie(SESSION_COOKIE, `${session.token}.${signSessionToken(session.token)}`, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    path: '/',
+    expires: new Date(session.expires_at)
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict', path: '/' });
+}
+
+// ============== PASSWORDS & LOGIN LIMITS ==============
+
+// The problem with a proposed admin password, or null when it is acceptable
+function checkPasswordPolicy(password, username) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain both letters and digits';
+  }
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    return 'Password must not contain the username';
+  }
+  return null;
+}
+
+// bcrypt throws on anything but a string, so a malformed body is just a wrong password
+function passwordMatches(password, hash) {
+  return typeof password === 'string' && bcrypt.compareSync(password, hash);
+}
+
+// Failed logins per client address: ip -> { count, since }
+const loginFailures = new Map();
+
+function minutesUntil(time) {
+  return Math.max(1, Math.ceil((time - Date.now()) / 60000));
+}
+
+// Minutes until this address may try again (0 = not blocked)
+function getLoginBlockMinutes(ip) {
+  const entry = loginFailures.get(ip);
+  if (!entry) return 0;
+
+  const windowEnd = entry.since + LOGIN_WINDOW_MINUTES * 60 * 1000;
+  if (Date.now() > windowEnd) {
+    loginFailures.delete(ip);
+    return 0;
+  }
+  return entry.count >= LOGIN_IP_MAX_FAILURES ? minutesUntil(windowEnd) : 0;
+}
+
+// Count a failed login against the address and, for a real account, lock it after too many
+function recordLoginFailure(ip, admin) {
+  const entry = loginFailures.get(ip) || { count: 0, since: Date.now() };
+  entry.count++;
+  loginFailures.set(ip, entry);
+
+  if (!admin) return;
+  const failures = (admin.failed_logins || 0) + 1;
+  if (failures >= LOGIN_MAX_FAILURES) {
+    const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000).toISOString();
+    db.prepare('UPDATE admin SET failed_logins = 0, locked_until = ? WHERE id = ?').run(lockedUntil, admin.id);
+    recordActivity('system', admin.username, 'login-lockout', null, { details: `${failures} failed logins, last from ${ip}` });
+    console.log(`🔐 ${admin.username} locked out until ${lockedUntil} after ${failures} failed logins`);
+  } else {
+    db.prepare('UPDATE admin SET failed_logins = ? WHERE id = ?').run(failures, admin.id);
+  }
+}
+
+setInterval(() => {
+  for (const ip of loginFailures.keys()) getLoginBlockMinutes(ip);
+}, LOCK_SWEEP_INTERVAL_MS);
+
+// Sends the 429 and returns true while the address or the account may not log in
+function refuseBlockedLogin(req, res, admin) {
+  const blockedMinutes = getLoginBlockMinutes(req.ip);
+  if (blockedMinutes) {
+    res.set('Retry-After', String(blockedMinutes * 60));
+    res.status(429).json({ error: `Too many failed logins from this address - try again in ${blockedMinutes} minute(s)` });
+    return true;
+  }
+
+  if (admin && admin.locked_until && new Date(admin.locked_until) > new Date()) {
+    const minutes = minutesUntil(new Date(admin.locked_until).getTime());
+    res.set('Retry-After', String(minutes * 60));
+    res.status(429).json({ error: `Account locked after too many failed logins - try again in ${minutes} minute(s)` });
+    return true;
+  }
+  return false;
+}
+
+// ============== TWO-FACTOR (TOTP) ==============
+// Optional per admin. With it on, a correct password only earns a short-lived
+// login token; the session starts once an authenticator or recovery code matches.
+
+// Password-verified logins waiting for their code: token -> { adminId, expiresAt }
+const pendingLogins = new Map();
+
+setInterval(() => {
+  for (const [token, pending] of pendingLogins) {
+    if (pending.expiresAt < Date.now()) pendingLogins.delete(token);
+  }
+}, LOCK_SWEEP_INTERVAL_MS);
+
+// Fresh one-time codes; only their hashes are stored
+function issueRecoveryCodes(adminId) {
+  const codes = totp.generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  db.prepare('UPDATE admin SET recovery_codes = ? WHERE id = ?')
+    .run(JSON.stringify(codes.map(totp.hashRecoveryCode)), adminId);
+  return codes;
+}
+
+// Check an authenticator code (each time step works once) or use up a recovery code.
+// Returns 'totp', 'recovery' or null.
+function verifySecondFactor(admin, code, now = Date.now()) {
+  const result = totp.checkSecondFactor(admin, code, now);
+  if (!result) return null;
+
+  if (result.method === 'totp') {
+    db.prepare('UPDATE admin SET totp_last_counter = ? WHERE id = ?').run(result.counter, admin.id);
+  } else {
+    db.prepare('UPDATE admin SET recovery_codes = ? WHERE id = ?').run(JSON.stringify(result.recoveryCodes), admin.id);
+    recordActivity('system', admin.username, 'recovery-code-used', null, { details: `${result.recoveryCodes.length} recovery code(s) left` });
+  }
+  return result.method;
 }
 
 // ============== AUTH MIDDLEWARE ==============
+
+// The only routes open to an admin who still has to set a new password
+const PASSWORD_CHANGE_ROUTES = ['/api/admin/session', '/api/admin/logout', '/api/admin/change-password'];
+
 function requireAuth(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Basic ')) {
+  const session = getSession(req);
+  if (!session) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
-  const base64 = authHeader.split(' ')[1];
-  const [username, password] = Buffer.from(base64, 'base64').toString().split(':');
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) &&
+      !safeEqual(req.headers['x-csrf-token'] || '', session.csrf_token)) {
+    return res.status(403).json({ error: 'Invalid CSRF token' });
+  }
 
-  const admin = db.prepare('SELECT * FROM admin WHERE username = ?').get(username);
-  if (!admin || !bcrypt.compareSync(password, admin.password_hash)) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  // Disabling an admin ends their sessions; this catches any request already in flight
+  const admin = db.prepare('SELECT * FROM admin WHERE username = ?').get(session.username);
+  if (!admin || admin.disabled) {
+    db.prepare('DELETE FROM admin_sessions WHERE id = ?').run(session.id);
+    return res.status(401).json({ error: 'Account is disabled' });
+  }
+
+  if (admin.must_change_password && !PASSWORD_CHANGE_ROUTES.includes(req.path)) {
+    return res.status(403).json({ error: 'Password change required', mustChangePassword: true });
   }
 
+  db.prepare('UPDATE admin_sessions SET last_seen = ? WHERE id = ?')
+    .run(new Date().toISOString(), session.id);
+
+  req.adminSession = session;
+  req.admin = admin;
+  next();
+}
+
+// requireAuth, limited to admins holding one of the given roles
+function requireRole(...roles) {
+  return (req, res, next) => requireAuth(req, res, () => {
+    if (!roles.includes(req.admin.role)) {
+      return res.status(403).json({ error: `Requires the ${roles.join(' or ')} role` });
+    }
+    next();
+  });
+}
+
+// Editor routes: the panel sends its key as "Authorization: Bearer PSE-..."
+function requireApiKey(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/.exec(req.headers.authorization || '');
+  if (!match) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  const key = db.prepare('SELECT * FROM api_keys WHERE key = ?').get(match[1]);
+  if (!key) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  if (key.revoked) {
+    return res.status(401).json({ error: 'API key has been revoked' });
+  }
+  if (new Date(key.expires_at) < new Date()) {
+    return res.status(401).json({ error: 'API key has expired' });
+  }
+
+  db.prepare('UPDATE api_keys SET last_used = ? WHERE key = ?')
+    .run(new Date().toISOString(), key.key);
+
+  req.apiKey = key;
   next();
 }
 
+// Read-only project routes shared by the panel and the admin dashboard
+function requireApiKeyOrAdmin(req, res, next) {
+  if ((req.headers.authorization || '').startsWith('Bearer ')) {
+    return requireApiKey(req, res, next);
+  }
+  requireAuth(req, res, next);
+}
+
 // ============== ADMIN API ROUTES ==============
 
-// Login check
+// Login - starts a session and sets its cookie
 app.post('/api/admin/login', (req, res) => {
   const { username, password } = req.body;
-  const admin = db.prepare('SELECT * FROM admin WHERE username = ?').get(username);
+  const admin = typeof username === 'string'
+    ? db.prepare('SELECT * FROM admin WHERE username = ?').get(username)
+    : undefined;
+  if (refuseBlockedLogin(req, res, admin)) return;
 
-  if (!admin || !bcrypt.compareSync(password, admin.password_hash)) {
+  if (!admin || !passwordMatches(password, admin.password_hash)) {
+    recordLoginFailure(req.ip, admin);
     return res.status(401).json({ error: 'Invalid credentials' });
   }
+  if (admin.disabled) {
+    return res.status(403).json({ error: 'Account is disabled' });
+  }
+
+  if (admin.totp_enabled) {
+    const loginToken = crypto.randomBytes(32).toString('hex');
+    pendingLogins.set(loginToken, { adminId: admin.id, expiresAt: Date.now() + TWO_FACTOR_LOGIN_MINUTES * 60 * 1000 });
+    return res.json({ success: false, twoFactorRequired: true, loginToken });
+  }
+
+  startAdminSession(req, res, admin);
+});
+
+// Second login step for admins with two-factor on
+app.post('/api/admin/login/2fa', (req, res) => {
+  const { loginToken, code } = req.body;
+  const pending = pendingLogins.get(loginToken);
+  if (!pending || pending.expiresAt < Date.now()) {
+    pendingLogins.delete(loginToken);
+    return res.status(401).json({ error: 'Login expired - enter your password again' });
+  }
+
+  const admin = db.prepare('SELECT * FROM admin WHERE id = ?').get(pending.adminId);
+  if (refuseBlockedLogin(req, res, admin)) return;
+  if (!admin || admin.disabled || !admin.totp_enabled) {
+    pendingLogins.delete(loginToken);
+    return res.status(401).json({ error: 'Login expired - enter your password again' });
+  }
+
+  if (!verifySecondFactor(admin, code)) {
+    recordLoginFailure(req.ip, admin);
+    return res.status(401).json({ error: 'Invalid authentication code' });
+  }
+
+  pendingLogins.delete(loginToken);
+  startAdminSession(req, res, admin);
+});
+
+function startAdminSession(req, res, admin) {
+  sweepExpiredSessions();
+  const session = createSession(req, admin.username);
+  setSessionCookie(req, res, session);
+  db.prepare('UPDATE admin SET last_login = ?, failed_logins = 0, locked_until = NULL WHERE id = ?')
+    .run(session.created_at, admin.id);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    username: admin.username,
+    role: admin.role,
+    mustChangePassword: !!admin.must_change_password,
+    twoFactorEnabled: !!admin.totp_enabled,
+    csrfToken: session.csrf_token,
+    expiresAt: session.expires_at
+  });
+}
+
+// Current session (the dashboard restores itself from the cookie on reload)
+app.get('/api/admin/session', requireAuth, (req, res) => {
+  const session = req.adminSession;
+  res.json({
+    username: session.username,
+    role: req.admin.role,
+    mustChangePassword: !!req.admin.must_change_password,
+    twoFactorEnabled: !!req.admin.totp_enabled,
+    csrfToken: session.csrf_token,
+    expiresAt: session.expires_at
+  });
+});
+
+// Logout - ends this session
+app.post('/api/admin/logout', requireAuth, (req, res) => {
+  db.prepare('DELETE FROM admin_sessions WHERE id = ?').run(req.adminSession.id);
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// Active admin sessions (tokens are never sent back); owners see everyone's
+app.get('/api/admin/sessions', requireAuth, (req, res) => {
+  sweepExpiredSessions();
+  const sessions = db.prepare(`
+    SELECT id, username, created_at, expires_at, last_seen, ip, user_agent
+    FROM admin_sessions
+    ORDER BY last_seen DESC
+  `).all()
+    .filter(session => req.admin.role === 'owner' || session.username === req.admin.username);
+  res.json(sessions.map(session => ({ ...session, current: session.id === req.adminSession.id })));
+});
+
+// Revoke a session - its cookie stops working on the next request
+app.post('/api/admin/sessions/:id/revoke', requireAuth, (req, res) => {
+  const id = parseInt(req.params.id);
+  const session = db.prepare('SELECT * FROM admin_sessions WHERE id = ?').get(id);
+  if (!session || (req.admin.role !== 'owner' && session.username !== req.admin.username)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
 
-  res.json({ success: true, message: 'Login successful' });
+  db.prepare('DELETE FROM admin_sessions WHERE id = ?').run(id);
+  if (id === req.adminSession.id) {
+    clearSessionCookie(res);
+  } else {
+    recordAdminActivity(req, 'revoke-session', null, `Session of ${session.username}`);
+  }
+  res.json({ success: true });
 });
 
-// Change admin password
+// Change your own password - signs out every other session of this admin
 app.post('/api/admin/change-password', requireAuth, (req, res) => {
-  const { newPassword } = req.body;
+  const { currentPassword, newPassword } = req.body;
+  const { id, username } = req.adminSession;
+
+  if (!passwordMatches(currentPassword, req.admin.password_hash)) {
+    return res.status(403).json({ error: 'Current password is incorrect' });
+  }
+  if (newPassword === currentPassword) {
+    return res.status(400).json({ error: 'New password must be different from the current one' });
+  }
+  const problem = checkPasswordPolicy(newPassword, username);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
   const hash = bcrypt.hashSync(newPassword, 10);
-  db.prepare('UPDATE admin SET password_hash = ? WHERE username = ?').run(hash, 'admin');
+  db.prepare('UPDATE admin SET password_hash = ?, must_change_password = 0 WHERE username = ?').run(hash, username);
+  db.prepare('DELETE FROM admin_sessions WHERE username = ? AND id != ?').run(username, id);
+  recordAdminActivity(req, 'change-password');
+  res.json({ success: true });
+});
+
+// Start two-factor enrollment: a new secret, shown as a QR code, not active until confirmed
+app.post('/api/admin/2fa/setup', requireAuth, async (req, res) => {
+  if (req.admin.totp_enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already on' });
+  }
+
+  const secret = totp.generateSecret();
+  db.prepare('UPDATE admin SET totp_secret = ?, totp_last_counter = NULL WHERE id = ?').run(secret, req.admin.id);
+
+  const otpauthUrl = totp.buildOtpauthUrl(secret, req.admin.username, TOTP_ISSUER);
+  try {
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error('QR code error:', error.message);
+    res.json({ secret, otpauthUrl, qrCode: null });
+  }
+});
+
+// Confirm enrollment with a code from the app; returns the recovery codes once
+app.post('/api/admin/2fa/enable', requireAuth, (req, res) => {
+  const admin = req.admin;
+  if (admin.totp_enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already on' });
+  }
+  if (!admin.totp_secret) {
+    return res.status(400).json({ error: 'Start the setup first' });
+  }
+
+  const counter = totp.verifyToken(admin.totp_secret, req.body.code);
+  if (counter === null) {
+    return res.status(400).json({ error: 'Code does not match - check the time on your device' });
+  }
+
+  db.prepare('UPDATE admin SET totp_enabled = 1, totp_last_counter = ? WHERE id = ?').run(counter, admin.id);
+  const recoveryCodes = issueRecoveryCodes(admin.id);
+  recordAdminActivity(req, 'enable-2fa');
+  res.json({ success: true, recoveryCodes });
+});
+
+// Replace the recovery codes (the old ones stop working)
+app.post('/api/admin/2fa/recovery-codes', requireAuth, (req, res) => {
+  if (!req.admin.totp_enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is off' });
+  }
+  if (!passwordMatches(req.body.currentPassword, req.admin.password_hash)) {
+    return res.status(403).json({ error: 'Current password is incorrect' });
+  }
+
+  const recoveryCodes = issueRecoveryCodes(req.admin.id);
+  recordAdminActivity(req, 'new-recovery-codes');
+  res.json({ success: true, recoveryCodes });
+});
+
+// Turn two-factor off for your own account
+app.post('/api/admin/2fa/disable', requireAuth, (req, res) => {
+  if (!passwordMatches(req.body.currentPassword, req.admin.password_hash)) {
+    return res.status(403).json({ error: 'Current password is incorrect' });
+  }
+
+  db.prepare(`
+    UPDATE admin SET totp_enabled = 0, totp_secret = NULL, totp_last_counter = NULL, recovery_codes = NULL
+    WHERE id = ?
+  `).run(req.admin.id);
+  recordAdminActivity(req, 'disable-2fa');
   res.json({ success: true });
 });
 
 // Generate new API key
-app.post('/api/keys', requireAuth, (req, res) => {
+app.post('/api/keys', requireRole('owner', 'manager'), (req, res) => {
   const { editorName, expiresInDays = 30 } = req.body;
 
   const key = `PSE-${uuidv4().substring(0, 8).toUpperCase()}`;
@@ -133,6 +723,7 @@ app.post('/api/keys', requireAuth, (req, res) => {
     VALUES (?, ?, ?, ?)
   `).run(key, editorName, createdAt, expiresAt);
 
+  recordAdminActivity(req, 'create-key', null, `${key} for ${editorName}`);
   res.json({ key, editorName, createdAt, expiresAt });
 });
 
@@ -143,13 +734,14 @@ app.get('/api/keys', requireAuth, (req, res) => {
 });
 
 // Revoke API key
-app.post('/api/keys/:key/revoke', requireAuth, (req, res) => {
+app.post('/api/keys/:key/revoke', requireRole('owner', 'manager'), (req, res) => {
   db.prepare('UPDATE api_keys SET revoked = 1 WHERE key = ?').run(req.params.key);
+  recordAdminActivity(req, 'revoke-key', null, req.params.key);
   res.json({ success: true });
 });
 
 // Extend API key
-app.post('/api/keys/:key/extend', requireAuth, (req, res) => {
+app.post('/api/keys/:key/extend', requireRole('owner', 'manager'), (req, res) => {
   const { days = 30 } = req.body;
   const key = db.prepare('SELECT * FROM api_keys WHERE key = ?').get(req.params.key);
 
@@ -163,12 +755,14 @@ app.post('/api/keys/:key/extend', requireAuth, (req, res) => {
   db.prepare('UPDATE api_keys SET expires_at = ?, revoked = 0 WHERE key = ?')
     .run(newExpiry.toISOString(), req.params.key);
 
+  recordAdminActivity(req, 'extend-key', null, `${req.params.key} until ${newExpiry.toISOString().slice(0, 10)}`);
   res.json({ success: true, newExpiresAt: newExpiry.toISOString() });
 });
 
 // Delete API key
-app.delete('/api/keys/:key', requireAuth, (req, res) => {
+app.delete('/api/keys/:key', requireRole('owner', 'manager'), (req, res) => {
   db.prepare('DELETE FROM api_keys WHERE key = ?').run(req.params.key);
+  recordAdminActivity(req, 'delete-key', null, req.params.key);
   res.json({ success: true });
 });
 
@@ -187,7 +781,7 @@ app.get('/api/stats', requireAuth, (req, res) => {
   const totalKeys = db.prepare('SELECT COUNT(*) as count FROM api_keys WHERE revoked = 0').get();
   const activeToday = db.prepare(`
     SELECT COUNT(DISTINCT api_key) as count FROM activity_log 
-    WHERE date(timestamp) = date('now')
+    WHERE date(timestamp) = date('now') AND api_key NOT IN ('admin', 'system')
   `).get();
   const expiringKeys = db.prepare(`
     SELECT COUNT(*) as count FROM api_keys 
@@ -208,112 +802,295 @@ app.get('/api/stats', requireAuth, (req, res) => {
   });
 });
 
-// ============== EDITOR API ROUTES (Used by Extension) ==============
+// ============== ADMIN USERS (owner only) ==============
 
-// Validate API key
-app.post('/api/validate', (req, res) => {
-  const { apiKey } = req.body;
+function countActiveOwners() {
+  return db.prepare("SELECT COUNT(*) as count FROM admin WHERE role = 'owner' AND disabled = 0").get().count;
+}
 
-  const key = db.prepare('SELECT * FROM api_keys WHERE key = ?').get(apiKey);
+// Changes that would leave nobody able to manage admins are refused
+function wouldRemoveLastOwner(target) {
+  return target.role === 'owner' && !target.disabled && countActiveOwners() <= 1;
+}
 
-  if (!key) {
-    return res.json({ valid: false, error: 'Invalid API key' });
-  }
+// List admin users
+app.get('/api/admin/users', requireRole('owner'), (req, res) => {
+  const users = db.prepare(`
+    SELECT id, username, role, disabled, created_at, created_by, last_login, totp_enabled
+    FROM admin
+    ORDER BY username
+  `).all();
+  res.json(users);
+});
 
-  if (key.revoked) {
-    return res.json({ valid: false, error: 'API key has been revoked' });
+// Create an admin user - they replace the password set here at first login
+app.post('/api/admin/users', requireRole('owner'), (req, res) => {
+  const { username, password, role } = req.body;
+
+  if (!/^[\w.@-]{2,64}$/.test(username || '')) {
+    return res.status(400).json({ error: 'Username must be 2-64 letters, digits or . _ @ -' });
+  }
+  const problem = checkPasswordPolicy(password, username);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of ${ADMIN_ROLES.join(', ')}` });
+  }
+  if (db.prepare('SELECT id FROM admin WHERE username = ?').get(username)) {
+    return res.status(409).json({ error: 'Username is already taken' });
   }
 
-  if (new Date(key.expires_at) < new Date()) {
-    return res.json({ valid: false, error: 'API key has expired' });
+  const createdAt = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO admin (username, password_hash, role, disabled, created_at, created_by, must_change_password)
+    VALUES (?, ?, ?, 0, ?, ?, 1)
+  `).run(username, bcrypt.hashSync(password, 10), role, createdAt, req.admin.username);
+
+  recordAdminActivity(req, 'create-user', null, `${username} (${role})`);
+  res.json({ success: true, username, role, createdAt });
+});
+
+// Change an admin's role
+app.post('/api/admin/users/:username/role', requireRole('owner'), (req, res) => {
+  const { role } = req.body;
+  const target = db.prepare('SELECT * FROM admin WHERE username = ?').get(req.params.username);
+
+  if (!target) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of ${ADMIN_ROLES.join(', ')}` });
+  }
+  if (role !== 'owner' && wouldRemoveLastOwner(target)) {
+    return res.status(400).json({ error: 'There must be at least one active owner' });
   }
 
-  // Update last used
-  db.prepare('UPDATE api_keys SET last_used = ? WHERE key = ?')
-    .run(new Date().toISOString(), apiKey);
+  db.prepare('UPDATE admin SET role = ? WHERE id = ?').run(role, target.id);
+  recordAdminActivity(req, 'change-role', null, `${target.username}: ${target.role} -> ${role}`);
+  res.json({ success: true });
+});
+
+// Disable an admin - their sessions end immediately
+app.post('/api/admin/users/:username/disable', requireRole('owner'), (req, res) => {
+  const target = db.prepare('SELECT * FROM admin WHERE username = ?').get(req.params.username);
+
+  if (!target) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (target.id === req.admin.id) {
+    return res.status(400).json({ error: 'You cannot disable your own account' });
+  }
+  if (wouldRemoveLastOwner(target)) {
+    return res.status(400).json({ error: 'There must be at least one active owner' });
+  }
 
-  res.json({ valid: true, editorName: key.editor_name, expiresAt: key.expires_at });
+  db.prepare('UPDATE admin SET disabled = 1 WHERE id = ?').run(target.id);
+  db.prepare('DELETE FROM admin_sessions WHERE username = ?').run(target.username);
+  recordAdminActivity(req, 'disable-user', null, target.username);
+  res.json({ success: true });
 });
 
-// Log activity
-app.post('/api/activity', (req, res) => {
-  const { apiKey, action, projectName } = req.body;
+// Reset another admin's two-factor (lost device and recovery codes)
+app.post('/api/admin/users/:username/2fa/reset', requireRole('owner'), (req, res) => {
+  const result = db.prepare(`
+    UPDATE admin SET totp_enabled = 0, totp_secret = NULL, totp_last_counter = NULL, recovery_codes = NULL
+    WHERE username = ?
+  `).run(req.params.username);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'User not found' });
+  }
 
-  const key = db.prepare('SELECT * FROM api_keys WHERE key = ?').get(apiKey);
-  if (!key) {
-    return res.status(401).json({ error: 'Invalid API key' });
+  recordAdminActivity(req, 'reset-2fa', null, req.params.username);
+  res.json({ success: true });
+});
+
+// Re-enable a disabled admin (also lifts a failed-login lockout)
+app.post('/api/admin/users/:username/enable', requireRole('owner'), (req, res) => {
+  const result = db.prepare('UPDATE admin SET disabled = 0, failed_logins = 0, locked_until = NULL WHERE username = ?')
+    .run(req.params.username);
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'User not found' });
   }
 
-  db.prepare(`
-    INSERT INTO activity_log (api_key, editor_name, action, project_name, timestamp)
-    VALUES (?, ?, ?, ?, ?)
-  `).run(apiKey, key.editor_name, action, projectName, new Date().toISOString());
+  recordAdminActivity(req, 'enable-user', null, req.params.username);
+  res.json({ success: true });
+});
+
+// ============== EDITOR API ROUTES (Used by Extension) ==============
+
+// Validate API key
+app.post('/api/validate', requireApiKey, (req, res) => {
+  res.json({ valid: true, editorName: req.apiKey.editor_name, expiresAt: req.apiKey.expires_at });
+});
+
+// Log activity
+app.post('/api/activity', requireApiKey, (req, res) => {
+  const { action, projectName, details } = req.body;
+  const key = req.apiKey;
+
+  recordActivity(key.key, key.editor_name, action, projectName, { details: details ? String(details).slice(0, 2000) : null });
 
   res.json({ success: true });
 });
 
-// Lock project
-app.post('/api/projects/lock', (req, res) => {
-  const { apiKey, projectName } = req.body;
+// Event stream for panels (Server-Sent Events)
+app.get('/api/events', requireApiKey, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
 
-  const key = db.prepare('SELECT * FROM api_keys WHERE key = ?').get(apiKey);
-  if (!key || key.revoked) {
-    return res.status(401).json({ error: 'Invalid API key' });
+  // Start every subscriber from the current lock state
+  res.write(`event: snapshot\ndata: ${JSON.stringify({ type: 'snapshot', locks: getActiveLocks() })}\n\n`);
+
+  eventClients.add(res);
+  req.on('close', () => eventClients.delete(res));
+});
+
+// ============== LOCK LEASES ==============
+// A lock is a lease: the panel renews it on a heartbeat and the sweep
+// releases it once nobody has renewed it for LOCK_TTL_MINUTES.
+
+function getLockExpiry() {
+  return new Date(Date.now() + LOCK_TTL_MINUTES * 60 * 1000).toISOString();
+}
+
+// Release expired leases and record each one as an auto-unlock
+function sweepExpiredLocks() {
+  const now = new Date().toISOString();
+  const expired = db.prepare('SELECT * FROM project_locks WHERE expires_at < ?').all(now);
+
+  for (const lock of expired) {
+    db.prepare('DELETE FROM project_locks WHERE id = ?').run(lock.id);
+    recordActivity('system', lock.locked_by, 'auto-unlock', lock.project_name);
+    console.log(`🔓 Lock on "${lock.project_name}" held by ${lock.locked_by} expired`);
+  }
+
+  return expired;
+}
+
+// Active locks with the seconds left on each lease
+function getActiveLocks() {
+  sweepExpiredLocks();
+  return listLocks();
+}
+
+function listLocks() {
+  const now = Date.now();
+  return db.prepare('SELECT * FROM project_locks').all().map(lock => ({
+    ...lock,
+    remaining_seconds: Math.max(0, Math.round((new Date(lock.expires_at).getTime() - now) / 1000))
+  }));
+}
+
+setInterval(sweepExpiredLocks, LOCK_SWEEP_INTERVAL_MS);
+
+// Pushes and restores must not land while another editor holds the lease
+function refuseIfLockedByOther(res, projectName, editorName) {
+  sweepExpiredLocks();
+  const lock = db.prepare('SELECT * FROM project_locks WHERE project_name = ?').get(projectName);
+  if (lock && lock.locked_by !== editorName) {
+    res.status(409).json({ success: false, error: `Project is locked by ${lock.locked_by}`, lockedBy: lock.locked_by });
+    return true;
   }
+  return false;
+}
+
+// Lock project
+app.post('/api/projects/lock', requireApiKey, (req, res) => {
+  const { projectName } = req.body;
+  const key = req.apiKey;
+
+  sweepExpiredLocks();
 
   const existingLock = db.prepare('SELECT * FROM project_locks WHERE project_name = ?').get(projectName);
-  if (existingLock) {
+  if (existingLock && existingLock.locked_by !== key.editor_name) {
     return res.json({
       success: false,
       error: `Project is locked by ${existingLock.locked_by}`,
       lockedBy: existingLock.locked_by,
-      lockedAt: existingLock.locked_at
+      lockedAt: existingLock.locked_at,
+      expiresAt: existingLock.expires_at
     });
   }
 
-  db.prepare(`
-    INSERT INTO project_locks (project_name, locked_by, locked_at)
-    VALUES (?, ?, ?)
-  `).run(projectName, key.editor_name, new Date().toISOString());
+  const now = new Date().toISOString();
+  const expiresAt = getLockExpiry();
 
-  res.json({ success: true });
+  if (existingLock) {
+    // Re-locking your own project just renews the lease
+    db.prepare('UPDATE project_locks SET expires_at = ?, renewed_at = ? WHERE id = ?')
+      .run(expiresAt, now, existingLock.id);
+  } else {
+    db.prepare(`
+      INSERT INTO project_locks (project_name, locked_by, locked_at, expires_at, renewed_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(projectName, key.editor_name, now, expiresAt, now);
+    broadcastEvent('lock', { editorName: key.editor_name, projectName, expiresAt });
+  }
+
+  res.json({ success: true, expiresAt, ttlSeconds: LOCK_TTL_MINUTES * 60 });
 });
 
-// Unlock project
-app.post('/api/projects/unlock', (req, res) => {
-  const { apiKey, projectName } = req.body;
+// Renew a lock lease (heartbeat from the extension)
+app.post('/api/projects/lock/renew', requireApiKey, (req, res) => {
+  const { projectName } = req.body;
+  const key = req.apiKey;
 
-  const key = db.prepare('SELECT * FROM api_keys WHERE key = ?').get(apiKey);
-  if (!key) {
-    return res.status(401).json({ error: 'Invalid API key' });
+  sweepExpiredLocks();
+
+  const lock = db.prepare('SELECT * FROM project_locks WHERE project_name = ?').get(projectName);
+  if (!lock) {
+    return res.json({ success: false, expired: true, error: 'Lock has expired' });
+  }
+  if (lock.locked_by !== key.editor_name) {
+    return res.json({ success: false, error: `Project is locked by ${lock.locked_by}`, lockedBy: lock.locked_by });
   }
 
+  const expiresAt = getLockExpiry();
+  db.prepare('UPDATE project_locks SET expires_at = ?, renewed_at = ? WHERE id = ?')
+    .run(expiresAt, new Date().toISOString(), lock.id);
+
+  res.json({ success: true, expiresAt, ttlSeconds: LOCK_TTL_MINUTES * 60 });
+});
+
+// Unlock project
+app.post('/api/projects/unlock', requireApiKey, (req, res) => {
+  const { projectName } = req.body;
+  const key = req.apiKey;
+
   const lock = db.prepare('SELECT * FROM project_locks WHERE project_name = ?').get(projectName);
   if (lock && lock.locked_by !== key.editor_name) {
     return res.json({ success: false, error: 'You do not own this lock' });
   }
 
   db.prepare('DELETE FROM project_locks WHERE project_name = ?').run(projectName);
+  if (lock) {
+    broadcastEvent('unlock', { editorName: key.editor_name, projectName });
+  }
   res.json({ success: true });
 });
 
 // Get project locks
-app.get('/api/projects/locks', (req, res) => {
-  const locks = db.prepare('SELECT * FROM project_locks').all();
-  res.json(locks);
+app.get('/api/projects/locks', requireApiKeyOrAdmin, (req, res) => {
+  res.json(getActiveLocks());
 });
 
 // Force unlock project (admin only)
-app.post('/api/projects/force-unlock', requireAuth, (req, res) => {
+app.post('/api/projects/force-unlock', requireRole('owner', 'manager'), (req, res) => {
   const { projectName } = req.body;
   db.prepare('DELETE FROM project_locks WHERE project_name = ?').run(projectName);
+  recordActivity('admin', req.admin.username, 'force-unlock', projectName);
   res.json({ success: true });
 });
 
 // ============== PROJECTS API ==============
 
 // Get all shared projects (with file counts)
-app.get('/api/projects', (req, res) => {
+app.get('/api/projects', requireApiKeyOrAdmin, (req, res) => {
   const projects = db.prepare(`
     SELECT p.*, 
            (SELECT COUNT(*) FROM project_files WHERE project_name = p.name) as file_count
@@ -324,7 +1101,7 @@ app.get('/api/projects', (req, res) => {
 });
 
 // Get files for a specific project
-app.get('/api/projects/:name/files', (req, res) => {
+app.get('/api/projects/:name/files', requireApiKeyOrAdmin, (req, res) => {
   const files = db.prepare(`
     SELECT * FROM project_files 
     WHERE project_name = ?
@@ -334,13 +1111,9 @@ app.get('/api/projects/:name/files', (req, res) => {
 });
 
 // Register/update a project with files
-app.post('/api/projects/register', (req, res) => {
-  const { apiKey, projectName, projectPath, files } = req.body;
-
-  const key = db.prepare('SELECT * FROM api_keys WHERE key = ?').get(apiKey);
-  if (!key || key.revoked) {
-    return res.status(401).json({ error: 'Invalid API key' });
-  }
+app.post('/api/projects/register', requireApiKey, (req, res) => {
+  const { projectName, projectPath, files } = req.body;
+  const key = req.apiKey;
 
   const now = new Date().toISOString();
 
@@ -390,6 +1163,118 @@ app.post('/api/projects/register', (req, res) => {
   res.json({ success: true, projectName, filesAdded: files ? files.length : 0 });
 });
 
+// ============== PROJECT VERSIONS ==============
+
+function summarizeManifest(manifest) {
+  const files = Array.isArray(manifest.files) ? manifest.files : [];
+  return {
+    fileCount: files.length,
+    totalSize: files.reduce((sum, f) => sum + (parseInt(f.size) || 0), 0)
+  };
+}
+
+// Store a manifest as the next immutable version of a project
+function createProjectVersion(projectName, manifest, createdBy, restoredFrom = null) {
+  const now = new Date().toISOString();
+  const { fileCount, totalSize } = summarizeManifest(manifest);
+
+  const record = db.transaction(() => {
+    const last = db.prepare('SELECT MAX(version) as version FROM project_versions WHERE project_name = ?').get(projectName);
+    const version = (last.version || 0) + 1;
+
+    db.prepare(`
+      INSERT INTO project_versions
+      (project_name, version, manifest, file_count, total_size, created_by, created_at, restored_from)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(projectName, version, JSON.stringify({ ...manifest, version }), fileCount, totalSize, createdBy, now, restoredFrom);
+
+    const existing = db.prepare('SELECT * FROM projects WHERE name = ?').get(projectName);
+    if (existing) {
+      db.prepare('UPDATE projects SET uploaded_by = ?, updated_at = ?, current_version = ? WHERE name = ?')
+        .run(createdBy, now, version, projectName);
+    } else {
+      db.prepare(`
+        INSERT INTO projects (name, path, uploaded_by, uploaded_at, updated_at, current_version)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(projectName, manifest.path || '', createdBy, now, now, version);
+    }
+
+    return { version, createdAt: now };
+  })();
+
+  return record;
+}
+
+// Record a push as a new version (called by the extension after upload)
+app.post('/api/projects/:name/versions', requireApiKey, (req, res) => {
+  const { manifest } = req.body;
+  const key = req.apiKey;
+
+  if (!manifest || !Array.isArray(manifest.files)) {
+    return res.status(400).json({ error: 'Manifest with a files array is required' });
+  }
+  if (refuseIfLockedByOther(res, req.params.name, key.editor_name)) return;
+
+  const { version, createdAt } = createProjectVersion(req.params.name, manifest, key.editor_name);
+  recordActivity(key.key, key.editor_name, 'push', req.params.name, { version });
+  res.json({ success: true, version, createdAt });
+});
+
+// List versions of a project (newest first, without manifest bodies)
+app.get('/api/projects/:name/versions', requireApiKeyOrAdmin, (req, res) => {
+  const versions = db.prepare(`
+    SELECT id, project_name, version, file_count, total_size, created_by, created_at, restored_from
+    FROM project_versions
+    WHERE project_name = ?
+    ORDER BY version DESC
+  `).all(req.params.name);
+  res.json(versions);
+});
+
+// Get a single version including its manifest
+app.get('/api/projects/:name/versions/:version', requireApiKey, (req, res) => {
+  const row = db.prepare('SELECT * FROM project_versions WHERE project_name = ? AND version = ?')
+    .get(req.params.name, parseInt(req.params.version));
+
+  if (!row) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  res.json({ ...row, manifest: JSON.parse(row.manifest) });
+});
+
+// Restore a version - the chosen snapshot becomes the newest version.
+// Editors restore from the panel with their key; on the dashboard it needs a manager.
+const requireRestoreAccess = (req, res, next) => {
+  if ((req.headers.authorization || '').startsWith('Bearer ')) {
+    return requireApiKey(req, res, next);
+  }
+  requireRole('owner', 'manager')(req, res, next);
+};
+
+app.post('/api/projects/:name/versions/:version/restore', requireRestoreAccess, (req, res) => {
+  const projectName = req.params.name;
+  const sourceVersion = parseInt(req.params.version);
+  const row = db.prepare('SELECT * FROM project_versions WHERE project_name = ? AND version = ?')
+    .get(projectName, sourceVersion);
+
+  if (!row) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  const [actorKey, actorName] = req.apiKey
+    ? [req.apiKey.key, req.apiKey.editor_name]
+    : ['admin', req.admin.username];
+  // Admins have no lease of their own; they force-unlock first
+  if (refuseIfLockedByOther(res, projectName, req.apiKey ? actorName : null)) return;
+  const manifest = JSON.parse(row.manifest);
+  const { version } = createProjectVersion(projectName, { ...manifest, restoredFrom: sourceVersion }, actorName, sourceVersion);
+
+  recordActivity(actorKey, actorName, 'restore', projectName, { version, restoredFrom: sourceVersion });
+
+  res.json({ success: true, version, restoredFrom: sourceVersion, manifest: { ...manifest, restoredFrom: sourceVersion, version } });
+});
+
 // Get all project files (for admin dashboard)
 app.get('/api/files', requireAuth, (req, res) => {
   const files = db.prepare(`
@@ -403,7 +1288,7 @@ app.get('/api/files', requireAuth, (req, res) => {
 });
 
 // Get sync state (for checking updates)
-app.get('/api/sync-state', (req, res) => {
+app.get('/api/sync-state', requireApiKey, (req, res) => {
   const recentActivity = db.prepare(`
     SELECT * FROM activity_log 
     WHERE action = 'push' 
@@ -411,7 +1296,7 @@ app.get('/api/sync-state', (req, res) => {
     LIMIT 20
   `).all();
 
-  const locks = db.prepare('SELECT * FROM project_locks').all();
+  const locks = getActiveLocks();
 
   res.json({ recentPushes: recentActivity, locks });
 });
@@ -421,5 +1306,6 @@ app.listen(PORT, () => {
   console.log(`\n🚀 Premiere Sync Server running at http://localhost:${PORT}`);
   console.log(`📊 Admin Dashboard: http://localhost:${PORT}`);
   console.log(`\n🔐 Default login: admin / admin123`);
-  console.log(`   (Change this after first login!)\n`);
+  console.log(`   (A new password is required at first login)\n`);
+  console.log(`🔒 Lock leases expire after ${LOCK_TTL_MINUTES} minutes without a heartbeat\n`);
 });
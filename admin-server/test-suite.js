@@ -0,0 +1,746 @@
+/**
+ * Premiere Sync Server - Test Suite
+ *
+ * The TOTP checks run against a fixed clock; the route tests start a server on a
+ * spare port with a throwaway database.
+ *
+ * Usage:
+ *   - Run all tests: npm test
+ *   - Run specific suite: node test-suite.js totp
+ *
+ * Available test suites:
+ *   - totp: RFC 6238 codes, drift window, replays and recovery codes
+ *   - editorAuth: missing, unknown, revoked and expired API keys
+ *   - sessions: session cookie signing, CSRF tokens and logout
+ *   - roles: what owners, managers and viewers are allowed to do
+ *   - passwords: first-login password change, password policy and login lockout
+ *   - locks: lease renewal by the holder only, expiry and the sweep
+ *   - events: the /api/events snapshot and lock, unlock and push broadcasts
+ *   - login2fa: POST /api/admin/login/2fa against a running server
+ *   - versions: pushes and restores refused while another editor holds the lock
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const totp = require('./totp');
+
+const TestSuite = {
+  passed: 0,
+  failed: 0,
+  skipped: 0,
+
+  log(message, type = 'info') {
+    const prefix = {
+      info: '  ',
+      pass: '  ✅',
+      fail: '  ❌',
+      skip: '  ⏭️',
+      suite: '📦',
+      test: '  🧪'
+    }[type] || '  ';
+    console.log(`${prefix} ${message}`);
+  },
+
+  assert(condition, message, details = '') {
+    if (condition) {
+      this.passed++;
+      this.log(`PASS: ${message}`, 'pass');
+      return true;
+    }
+    this.failed++;
+    this.log(`FAIL: ${message}${details ? ' - ' + details : ''}`, 'fail');
+    return false;
+  },
+
+  assertEqual(actual, expected, message) {
+    const passed = actual === expected;
+    if (passed) {
+      this.passed++;
+      this.log(`PASS: ${message}`, 'pass');
+    } else {
+      this.failed++;
+      this.log(`FAIL: ${message} (expected: ${expected}, got: ${actual})`, 'fail');
+    }
+    return passed;
+  },
+
+  skip(message) {
+    this.skipped++;
+    this.log(`SKIP: ${message}`, 'skip');
+  },
+
+  summary() {
+    console.log('\n' + '='.repeat(50));
+    console.log(` ✅ Passed: ${this.passed}`);
+    console.log(` ❌ Failed: ${this.failed}`);
+    console.log(` ⏭️ Skipped: ${this.skipped}`);
+    console.log('='.repeat(50));
+  }
+};
+
+// RFC 6238 appendix B, SHA1 rows: the key is the ASCII string "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+// A fixed clock in the middle of a time step
+const NOW = 1700000015000;
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+function adminRow(overrides = {}) {
+  return { totp_secret: SECRET, totp_last_counter: null, recovery_codes: null, ...overrides };
+}
+
+// ============== SERVER HELPERS ==============
+
+const TEST_PORT = 38471;
+const BASE_URL = `http://localhost:${TEST_PORT}`;
+const OWNER_PASSWORD = 'TwoFactor2024';
+
+async function startServer(dbPath) {
+  const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    env: { ...process.env, PORT: String(TEST_PORT), SYNC_DB_PATH: dbPath },
+    stdio: 'ignore'
+  });
+
+  for (let i = 0; i < 50; i++) {
+    try {
+      await fetch(`${BASE_URL}/api/admin/session`);
+      return child;
+    } catch (e) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  await stopServer(child);
+  throw new Error('Server did not start');
+}
+
+function stopServer(child) {
+  return new Promise(resolve => {
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', resolve);
+    child.kill();
+  });
+}
+
+// Run a test against a fresh server with a throwaway database
+async function withServer(test) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-test-'));
+  const dbPath = path.join(dir, 'sync-data.db');
+  let server;
+  try {
+    server = await startServer(dbPath);
+    await test({ dbPath });
+  } finally {
+    if (server) await stopServer(server);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Minimal cookie jar for one admin session
+function createClient() {
+  let cookie = '';
+  let csrfToken = '';
+
+  const request = async function (route, body, options = {}) {
+    const res = await fetch(`${BASE_URL}${route}`, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cookie ? { Cookie: cookie } : {}),
+        ...(csrfToken && options.csrf !== false ? { 'X-CSRF-Token': csrfToken } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    const data = await res.json();
+    if (data.csrfToken) csrfToken = data.csrfToken;
+    return { status: res.status, data };
+  };
+  request.getCookie = () => cookie;
+  request.setCookie = (value) => { cookie = value; };
+  return request;
+}
+
+// Editor routes authenticate with the API key alone
+async function editorRequest(key, route, body) {
+  const res = await fetch(`${BASE_URL}${route}`, {
+    method: body ? 'POST' : 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(key ? { Authorization: `Bearer ${key}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+// Sign in as the default owner and replace the default password
+async function signInOwner(request) {
+  await request('/api/admin/login', { username: 'admin', password: 'admin123' });
+  await request('/api/admin/change-password', { currentPassword: 'admin123', newPassword: OWNER_PASSWORD });
+}
+
+// Sign in as an admin the owner created and set their own password
+async function signInAs(username, password, newPassword) {
+  const request = createClient();
+  await request('/api/admin/login', { username, password });
+  await request('/api/admin/change-password', { currentPassword: password, newPassword });
+  return request;
+}
+
+async function createKey(request, editorName, expiresInDays = 30) {
+  const res = await request('/api/keys', { editorName, expiresInDays });
+  return res.data.key;
+}
+
+// Sign in as the owner and turn two-factor on
+async function enrollOwner(request) {
+  await signInOwner(request);
+  const setup = await request('/api/admin/2fa/setup', {});
+  const enableCode = totp.generateToken(setup.data.secret);
+  const enabled = await request('/api/admin/2fa/enable', { code: enableCode });
+  return { secret: setup.data.secret, enableCode, recoveryCodes: enabled.data.recoveryCodes };
+}
+
+async function startLogin(request) {
+  const res = await request('/api/admin/login', { username: 'admin', password: OWNER_PASSWORD });
+  return res.data.loginToken;
+}
+
+// Subscribe to /api/events as an editor; next(type) waits for an event of that type
+async function openEvents(key) {
+  const controller = new AbortController();
+  const res = await fetch(`${BASE_URL}/api/events`, {
+    headers: { Authorization: `Bearer ${key}` },
+    signal: controller.signal
+  });
+  const events = [];
+
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let index;
+        while ((index = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          const type = /^event: (.+)$/m.exec(block);
+          const data = /^data: (.+)$/m.exec(block);
+          if (type && data) events.push({ type: type[1], data: JSON.parse(data[1]) });
+        }
+      }
+    } catch (e) {
+      // Aborted by close()
+    }
+  })();
+
+  return {
+    status: res.status,
+    // The event's data, or null if none arrives in time
+    async next(type, timeoutMs = 2000) {
+      const deadline = Date.now() + timeoutMs;
+      while (Date.now() < deadline) {
+        const index = events.findIndex(event => event.type === type);
+        if (index !== -1) return events.splice(index, 1)[0].data;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      return null;
+    },
+    close: () => controller.abort()
+  };
+}
+
+// Move a lease's expiry into the past, as if its heartbeat had stopped
+function expireLock(dbPath, projectName) {
+  const db = new Database(dbPath);
+  try {
+    db.prepare('UPDATE project_locks SET expires_at = ? WHERE project_name = ?')
+      .run(new Date(Date.now() - 1000).toISOString(), projectName);
+  } finally {
+    db.close();
+  }
+}
+
+// ============== TEST SUITES ==============
+
+const testSuites = {
+
+  totp: {
+    name: 'TOTP and Recovery Codes',
+    tests: {
+
+      rfcVectors: async () => {
+        TestSuite.log('Testing RFC 6238 SHA1 test vectors', 'test');
+        for (const [seconds, expected] of RFC_VECTORS) {
+          TestSuite.assertEqual(totp.generateToken(RFC_SECRET, seconds * 1000, 8), expected, `Code at T=${seconds}`);
+          TestSuite.assertEqual(
+            totp.verifyToken(RFC_SECRET, expected, { now: seconds * 1000, digits: 8 }),
+            totp.counterAt(seconds * 1000),
+            `Code at T=${seconds} verifies to its time step`
+          );
+        }
+      },
+
+      base32RoundTrip: async () => {
+        TestSuite.log('Testing base32 encoding', 'test');
+        TestSuite.assertEqual(totp.base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI', 'Encodes "foobar" like RFC 4648');
+        TestSuite.assertEqual(totp.base32Decode('mzxw 6ytb-oi').toString(), 'foobar', 'Decoding ignores case, spaces and dashes');
+        TestSuite.assertEqual(totp.base32Decode(totp.generateSecret()).length, 20, 'Generated secrets are 160 bits');
+      },
+
+      driftWindow: async () => {
+        TestSuite.log('Testing the ±1 step drift window', 'test');
+        const step = totp.counterAt(NOW);
+        for (const offset of [-1, 0, 1]) {
+          const code = totp.generateToken(SECRET, NOW + offset * 30000);
+          TestSuite.assertEqual(totp.verifyToken(SECRET, code, { now: NOW }), step + offset, `Code ${offset} step(s) away is accepted`);
+        }
+        for (const offset of [-2, 2]) {
+          const code = totp.generateToken(SECRET, NOW + offset * 30000);
+          TestSuite.assertEqual(totp.verifyToken(SECRET, code, { now: NOW }), null, `Code ${offset} steps away is refused`);
+        }
+        TestSuite.assertEqual(totp.verifyToken(SECRET, '12345', { now: NOW }), null, 'Short codes are refused');
+        TestSuite.assertEqual(totp.verifyToken(SECRET, { code: 1 }, { now: NOW }), null, 'Non-string codes are refused');
+      },
+
+      replayRejected: async () => {
+        TestSuite.log('Testing that a time step works only once', 'test');
+        const code = totp.generateToken(SECRET, NOW);
+        const first = totp.checkSecondFactor(adminRow(), code, NOW);
+        TestSuite.assertEqual(first && first.method, 'totp', 'First use of a code is accepted');
+        TestSuite.assertEqual(first && first.counter, totp.counterAt(NOW), 'The accepted time step is returned');
+
+        const replay = totp.checkSecondFactor(adminRow({ totp_last_counter: first.counter }), code, NOW + 5000);
+        TestSuite.assertEqual(replay, null, 'The same code is refused once its step was used');
+
+        const earlier = totp.generateToken(SECRET, NOW - 30000);
+        TestSuite.assertEqual(totp.checkSecondFactor(adminRow({ totp_last_counter: first.counter }), earlier, NOW), null,
+          'A code from an earlier step is refused');
+
+        const next = totp.generateToken(SECRET, NOW + 30000);
+        const later = totp.checkSecondFactor(adminRow({ totp_last_counter: first.counter }), next, NOW + 30000);
+        TestSuite.assertEqual(later && later.method, 'totp', 'The next step\'s code is accepted');
+      },
+
+      recoveryCodeConsumed: async () => {
+        TestSuite.log('Testing that recovery codes are used up', 'test');
+        const codes = totp.generateRecoveryCodes(3);
+        TestSuite.assertEqual(codes.length, 3, 'Requested number of codes generated');
+        TestSuite.assert(codes.every(code => /^[A-Z2-7]{4}-[A-Z2-7]{4}$/.test(code)), 'Codes look like XXXX-XXXX');
+
+        const stored = JSON.stringify(codes.map(totp.hashRecoveryCode));
+        const used = totp.checkSecondFactor(adminRow({ recovery_codes: stored }), codes[1].toLowerCase(), NOW);
+        TestSuite.assertEqual(used && used.method, 'recovery', 'A recovery code is accepted in any case');
+        TestSuite.assertEqual(used.recoveryCodes.length, 2, 'The used code is removed');
+        TestSuite.assert(!used.recoveryCodes.includes(totp.hashRecoveryCode(codes[1])), 'Only the used code is removed');
+
+        const again = totp.checkSecondFactor(adminRow({ recovery_codes: JSON.stringify(used.recoveryCodes) }), codes[1], NOW);
+        TestSuite.assertEqual(again, null, 'A used recovery code is refused');
+      }
+    }
+  },
+
+  editorAuth: {
+    name: 'Editor API Keys',
+    tests: {
+
+      bearerKeys: async () => {
+        TestSuite.log('Testing the Bearer key check on editor routes', 'test');
+        await withServer(async () => {
+          const request = createClient();
+          await signInOwner(request);
+          const valid = await createKey(request, 'Ana');
+          const revoked = await createKey(request, 'Ben');
+          await request(`/api/keys/${revoked}/revoke`, {});
+          const expired = await createKey(request, 'Cleo', -1);
+
+          let res = await editorRequest(null, '/api/validate', {});
+          TestSuite.assertEqual(res.status, 401, 'A request without a key is refused');
+          res = await editorRequest('PSE-NOTAKEY', '/api/validate', {});
+          TestSuite.assertEqual(res.status, 401, 'An unknown key is refused');
+          res = await editorRequest(revoked, '/api/validate', {});
+          TestSuite.assertEqual(res.status, 401, 'A revoked key is refused');
+          TestSuite.assertEqual(res.data.error, 'API key has been revoked', 'The refusal says the key was revoked');
+          res = await editorRequest(expired, '/api/validate', {});
+          TestSuite.assertEqual(res.status, 401, 'An expired key is refused');
+          TestSuite.assertEqual(res.data.error, 'API key has expired', 'The refusal says the key expired');
+
+          res = await editorRequest(valid, '/api/validate', {});
+          TestSuite.assertEqual(res.status, 200, 'A valid key is accepted');
+          TestSuite.assertEqual(res.data.editorName, 'Ana', 'The key resolves to its editor');
+
+          const body = await fetch(`${BASE_URL}/api/validate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ apiKey: valid })
+          });
+          TestSuite.assertEqual(body.status, 401, 'A key in the request body is not enough');
+          res = await editorRequest(null, '/api/projects/locks');
+          TestSuite.assertEqual(res.status, 401, 'Shared read routes need a key or an admin session');
+        });
+      }
+    }
+  },
+
+  sessions: {
+    name: 'Admin Sessions',
+    tests: {
+
+      cookieAndCsrf: async () => {
+        TestSuite.log('Testing the session cookie and CSRF check', 'test');
+        await withServer(async () => {
+          const request = createClient();
+          let res = await request('/api/admin/session');
+          TestSuite.assertEqual(res.status, 401, 'No cookie means no session');
+
+          await signInOwner(request);
+          res = await request('/api/admin/session');
+          TestSuite.assertEqual(res.status, 200, 'The login cookie opens a session');
+          TestSuite.assertEqual(res.data.username, 'admin', 'The session belongs to the owner');
+
+          const cookie = request.getCookie();
+          const [name, value] = cookie.split('=');
+          const [token] = decodeURIComponent(value).split('.');
+          request.setCookie(`${name}=${token}.forged`);
+          res = await request('/api/admin/session');
+          TestSuite.assertEqual(res.status, 401, 'A cookie with a bad signature is refused');
+          request.setCookie(cookie);
+
+          res = await request('/api/keys', { editorName: 'Ana', expiresInDays: 30 }, { csrf: false });
+          TestSuite.assertEqual(res.status, 403, 'A change without the CSRF token is refused');
+          TestSuite.assertEqual(res.data.error, 'Invalid CSRF token', 'The refusal names the CSRF token');
+          res = await request('/api/keys', { editorName: 'Ana', expiresInDays: 30 });
+          TestSuite.assertEqual(res.status, 200, 'The same change with the token goes through');
+
+          res = await request('/api/admin/logout', {});
+          TestSuite.assertEqual(res.status, 200, 'Logout succeeds');
+          request.setCookie(cookie);
+          res = await request('/api/admin/session');
+          TestSuite.assertEqual(res.status, 401, 'The old cookie stops working after logout');
+        });
+      }
+    }
+  },
+
+  roles: {
+    name: 'Admin Roles',
+    tests: {
+
+      roleEnforcement: async () => {
+        TestSuite.log('Testing what owners, managers and viewers may do', 'test');
+        await withServer(async () => {
+          const owner = createClient();
+          await signInOwner(owner);
+          let res = await owner('/api/admin/users', { username: 'mia', password: 'Manage2024', role: 'manager' });
+          TestSuite.assertEqual(res.status, 200, 'The owner can add a manager');
+          res = await owner('/api/admin/users', { username: 'vic', password: 'Viewer2024', role: 'viewer' });
+          TestSuite.assertEqual(res.status, 200, 'The owner can add a viewer');
+          res = await owner('/api/admin/users', { username: 'zed', password: 'Nobody2024', role: 'superuser' });
+          TestSuite.assertEqual(res.status, 400, 'Unknown roles are refused');
+
+          const manager = await signInAs('mia', 'Manage2024', 'Manager2025');
+          const viewer = await signInAs('vic', 'Viewer2024', 'Viewing2025');
+
+          res = await viewer('/api/keys');
+          TestSuite.assertEqual(res.status, 200, 'A viewer can list keys');
+          res = await viewer('/api/keys', { editorName: 'Ana', expiresInDays: 30 });
+          TestSuite.assertEqual(res.status, 403, 'A viewer cannot create keys');
+          TestSuite.assertEqual(res.data.error, 'Requires the owner or manager role', 'The refusal names the roles needed');
+
+          res = await manager('/api/keys', { editorName: 'Ana', expiresInDays: 30 });
+          TestSuite.assertEqual(res.status, 200, 'A manager can create keys');
+          res = await viewer(`/api/keys/${res.data.key}/revoke`, {});
+          TestSuite.assertEqual(res.status, 403, 'A viewer cannot revoke keys');
+          res = await manager('/api/admin/users', { username: 'pat', password: 'Person2024', role: 'viewer' });
+          TestSuite.assertEqual(res.status, 403, 'A manager cannot add admins');
+          res = await manager('/api/admin/users');
+          TestSuite.assertEqual(res.status, 403, 'A manager cannot list admins');
+
+          res = await owner('/api/admin/users');
+          TestSuite.assertEqual(res.status, 200, 'The owner can list admins');
+          TestSuite.assertEqual(res.data.length, 3, 'Both new admins are listed');
+        });
+      }
+    }
+  },
+
+  passwords: {
+    name: 'Admin Passwords',
+    tests: {
+
+      forcedChangeAndPolicy: async () => {
+        TestSuite.log('Testing the first-login password change and the password policy', 'test');
+        await withServer(async () => {
+          const request = createClient();
+          let res = await request('/api/admin/login', { username: 'admin', password: 'admin123' });
+          TestSuite.assertEqual(res.data.mustChangePassword, true, 'The default owner must change the password');
+          res = await request('/api/keys');
+          TestSuite.assertEqual(res.status, 403, 'Other routes are closed until the password changes');
+          TestSuite.assertEqual(res.data.mustChangePassword, true, 'The refusal asks for the change');
+          res = await request('/api/admin/session');
+          TestSuite.assertEqual(res.status, 200, 'The session route stays open');
+
+          const change = (newPassword, currentPassword = 'admin123') =>
+            request('/api/admin/change-password', { currentPassword, newPassword });
+          res = await change(OWNER_PASSWORD, 'wrong-password1');
+          TestSuite.assertEqual(res.status, 403, 'The current password must match');
+          res = await change('Short1');
+          TestSuite.assertEqual(res.status, 400, 'Short passwords are refused');
+          res = await change('lettersonlypassword');
+          TestSuite.assertEqual(res.data.error, 'Password must contain both letters and digits', 'Passwords need letters and digits');
+          res = await change('MyAdmin2024pass');
+          TestSuite.assertEqual(res.data.error, 'Password must not contain the username', 'Passwords may not contain the username');
+
+          res = await change(OWNER_PASSWORD);
+          TestSuite.assertEqual(res.status, 200, 'A password that meets the policy is accepted');
+          res = await request('/api/keys');
+          TestSuite.assertEqual(res.status, 200, 'The dashboard opens once the password has changed');
+
+          res = await request('/api/admin/users', { username: 'ana', password: 'ana2024ana', role: 'viewer' });
+          TestSuite.assertEqual(res.status, 400, 'New admins get the same policy');
+        });
+      },
+
+      loginLockout: async () => {
+        TestSuite.log('Testing the account lockout after repeated failed logins', 'test');
+        await withServer(async () => {
+          const request = createClient();
+          let res = await request('/api/admin/login', { username: 'admin', password: 12345 });
+          TestSuite.assertEqual(res.status, 401, 'A non-string password is a failed login, not a crash');
+
+          for (let i = 2; i <= 5; i++) {
+            res = await request('/api/admin/login', { username: 'admin', password: `wrong-${i}` });
+          }
+          TestSuite.assertEqual(res.status, 401, 'The fifth failure is still reported as bad credentials');
+
+          res = await request('/api/admin/login', { username: 'admin', password: 'admin123' });
+          TestSuite.assertEqual(res.status, 429, 'The locked account refuses even the right password');
+          TestSuite.assert(/Account locked/.test(res.data.error), 'The refusal says the account is locked');
+          TestSuite.assertEqual(request.getCookie(), '', 'No session cookie is issued while locked');
+        });
+      }
+    }
+  },
+
+  locks: {
+    name: 'Lock Leases',
+    tests: {
+
+      renewalByOwnerOnly: async () => {
+        TestSuite.log('Testing that only the holder can renew a lease', 'test');
+        await withServer(async () => {
+          const request = createClient();
+          await signInOwner(request);
+          const ana = await createKey(request, 'Ana');
+          const ben = await createKey(request, 'Ben');
+
+          let res = await editorRequest(ana, '/api/projects/lock', { projectName: 'Trailer' });
+          TestSuite.assertEqual(res.data.success, true, 'Ana takes the lock');
+          const expiresAt = res.data.expiresAt;
+
+          res = await editorRequest(ben, '/api/projects/lock/renew', { projectName: 'Trailer' });
+          TestSuite.assertEqual(res.data.success, false, 'Another editor cannot renew the lease');
+          TestSuite.assertEqual(res.data.lockedBy, 'Ana', 'The refusal names the holder');
+          res = await editorRequest(ben, '/api/projects/locks');
+          TestSuite.assertEqual(res.data[0].expires_at, expiresAt, 'The refused renewal leaves the lease alone');
+
+          res = await editorRequest(ana, '/api/projects/lock/renew', { projectName: 'Trailer' });
+          TestSuite.assertEqual(res.data.success, true, 'The holder can renew the lease');
+          TestSuite.assert(res.data.ttlSeconds > 0, 'The renewal reports the lease length');
+        });
+      },
+
+      expiryAndSweep: async () => {
+        TestSuite.log('Testing that an expired lease is swept and announced', 'test');
+        await withServer(async ({ dbPath }) => {
+          const request = createClient();
+          await signInOwner(request);
+          const ana = await createKey(request, 'Ana');
+          const ben = await createKey(request, 'Ben');
+
+          await editorRequest(ana, '/api/projects/lock', { projectName: 'Trailer' });
+          const events = await openEvents(ben);
+          try {
+            expireLock(dbPath, 'Trailer');
+            let res = await editorRequest(ben, '/api/projects/locks');
+            TestSuite.assertEqual(res.data.length, 0, 'The expired lease is no longer listed');
+
+            const event = await events.next('auto-unlock');
+            TestSuite.assert(event !== null, 'Subscribers hear about the auto-unlock');
+            TestSuite.assertEqual(event && event.projectName, 'Trailer', 'The event names the project');
+            TestSuite.assertEqual(event && event.editorName, 'Ana', 'The event names the former holder');
+
+            res = await editorRequest(ana, '/api/projects/lock/renew', { projectName: 'Trailer' });
+            TestSuite.assertEqual(res.data.expired, true, 'Renewing a swept lease reports it expired');
+            res = await editorRequest(ben, '/api/projects/lock', { projectName: 'Trailer' });
+            TestSuite.assertEqual(res.data.success, true, 'Another editor can take the project');
+          } finally {
+            events.close();
+          }
+        });
+      }
+    }
+  },
+
+  events: {
+    name: 'Event Stream',
+    tests: {
+
+      snapshotAndBroadcast: async () => {
+        TestSuite.log('Testing the /api/events snapshot and broadcasts', 'test');
+        await withServer(async () => {
+          const request = createClient();
+          await signInOwner(request);
+          const ana = await createKey(request, 'Ana');
+          const ben = await createKey(request, 'Ben');
+
+          const refused = await openEvents('PSE-NOTAKEY');
+          refused.close();
+          TestSuite.assertEqual(refused.status, 401, 'The stream needs a valid key');
+
+          await editorRequest(ana, '/api/projects/lock', { projectName: 'Trailer' });
+          const events = await openEvents(ana);
+          try {
+            const snapshot = await events.next('snapshot');
+            TestSuite.assert(snapshot !== null, 'A new subscriber gets a snapshot first');
+            TestSuite.assertEqual(snapshot && snapshot.locks.length, 1, 'The snapshot lists the current locks');
+            TestSuite.assertEqual(snapshot && snapshot.locks[0].locked_by, 'Ana', 'The snapshot names the holder');
+
+            await editorRequest(ben, '/api/projects/lock', { projectName: 'Promo' });
+            const lock = await events.next('lock');
+            TestSuite.assertEqual(lock && lock.editorName, 'Ben', 'Other editors\' locks are broadcast');
+            TestSuite.assertEqual(lock && lock.locks.length, 2, 'Each event carries the full lock list');
+
+            await editorRequest(ben, '/api/projects/lock', { projectName: 'Promo' });
+            TestSuite.assertEqual(await events.next('lock', 300), null, 'Re-locking your own project is not a new lock event');
+
+            await editorRequest(ben, '/api/projects/unlock', { projectName: 'Promo' });
+            const unlock = await events.next('unlock');
+            TestSuite.assertEqual(unlock && unlock.projectName, 'Promo', 'Unlocks are broadcast');
+            TestSuite.assertEqual(unlock && unlock.locks.length, 1, 'The unlock event drops the released lock');
+
+            await editorRequest(ben, '/api/activity', { action: 'push', projectName: 'Promo' });
+            const push = await events.next('push');
+            TestSuite.assertEqual(push && push.editorName, 'Ben', 'Pushes are broadcast');
+          } finally {
+            events.close();
+          }
+        });
+      }
+    }
+  },
+
+  login2fa: {
+    name: 'Two-Factor Login Route',
+    tests: {
+
+      secondStep: async () => {
+        TestSuite.log('Testing POST /api/admin/login/2fa', 'test');
+        await withServer(async () => {
+          const request = createClient();
+          const { secret, enableCode, recoveryCodes } = await enrollOwner(request);
+          TestSuite.assertEqual(recoveryCodes && recoveryCodes.length, 10, 'Enabling two-factor returns recovery codes');
+
+          let loginToken = await startLogin(request);
+          TestSuite.assert(!!loginToken, 'Password login asks for the second step');
+
+          let res = await request('/api/admin/login/2fa', { loginToken, code: enableCode });
+          TestSuite.assertEqual(res.status, 401, 'The code used to enable two-factor cannot be replayed');
+
+          // The next step's code is inside the drift window and was never used
+          res = await request('/api/admin/login/2fa', { loginToken, code: totp.generateToken(secret, Date.now() + 30000) });
+          TestSuite.assertEqual(res.status, 200, 'A fresh code completes the login');
+
+          loginToken = await startLogin(request);
+          res = await request('/api/admin/login/2fa', { loginToken, code: recoveryCodes[0] });
+          TestSuite.assertEqual(res.status, 200, 'A recovery code completes the login');
+
+          loginToken = await startLogin(request);
+          res = await request('/api/admin/login/2fa', { loginToken, code: recoveryCodes[0] });
+          TestSuite.assertEqual(res.status, 401, 'The same recovery code does not work twice');
+        });
+      }
+    }
+  },
+
+  versions: {
+    name: 'Project Versions and Locks',
+    tests: {
+
+      lockedByOther: async () => {
+        TestSuite.log('Testing that pushes and restores respect the lock', 'test');
+        await withServer(async () => {
+          const request = createClient();
+          await signInOwner(request);
+          const ana = await createKey(request, 'Ana');
+          const ben = await createKey(request, 'Ben');
+          const manifest = { files: [{ name: 'Ep1.prproj', size: 10 }] };
+
+          let res = await editorRequest(ana, '/api/projects/Ep1/versions', { manifest });
+          TestSuite.assertEqual(res.status, 200, 'An unlocked project takes a push');
+
+          await editorRequest(ben, '/api/projects/lock', { projectName: 'Ep1' });
+          res = await editorRequest(ana, '/api/projects/Ep1/versions', { manifest });
+          TestSuite.assertEqual(res.status, 409, 'A push is refused while another editor holds the lock');
+          TestSuite.assertEqual(res.data.lockedBy, 'Ben', 'The refusal names the lock holder');
+
+          res = await editorRequest(ana, '/api/projects/Ep1/versions/1/restore', {});
+          TestSuite.assertEqual(res.status, 409, 'A restore is refused while another editor holds the lock');
+          res = await request('/api/projects/Ep1/versions/1/restore', {});
+          TestSuite.assertEqual(res.status, 409, 'A dashboard restore is refused until the lock is released');
+
+          res = await editorRequest(ben, '/api/projects/Ep1/versions', { manifest });
+          TestSuite.assertEqual(res.status, 200, 'The lock holder can push');
+          res = await editorRequest(ben, '/api/projects/Ep1/versions/1/restore', {});
+          TestSuite.assertEqual(res.status, 200, 'The lock holder can restore');
+          TestSuite.assertEqual(res.data.restoredFrom, 1, 'The restore reports its source version');
+
+          const versions = await editorRequest(ana, '/api/projects/Ep1/versions');
+          TestSuite.assertEqual(versions.data.length, 3, 'Refused calls record no version');
+        });
+      }
+    }
+  }
+};
+
+// ============== RUNNER ==============
+
+async function runTestSuite(suiteName) {
+  const suite = testSuites[suiteName];
+  if (!suite) {
+    TestSuite.assert(false, `Suite "${suiteName}" should exist`);
+    return;
+  }
+
+  TestSuite.log(suite.name, 'suite');
+  for (const [testName, test] of Object.entries(suite.tests)) {
+    try {
+      await test();
+    } catch (e) {
+      TestSuite.assert(false, `${testName} should not throw`, e.message);
+    }
+  }
+}
+
+async function runAllTests(suiteNames = Object.keys(testSuites)) {
+  for (const suiteName of suiteNames) {
+    await runTestSuite(suiteName);
+  }
+  TestSuite.summary();
+  process.exitCode = TestSuite.failed > 0 ? 1 : 0;
+}
+
+runAllTests(process.argv.length > 2 ? process.argv.slice(2) : undefined);
@@ -0,0 +1,145 @@
+// TOTP (RFC 6238) for admin two-factor logins.
+// Every time-based function takes `now` (ms) so codes can be checked against a
+// fixed clock, e.g. the RFC test vectors, without waiting for real time to pass.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, base32 as authenticator apps expect
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP for a counter; the key is raw bytes
+function hotp(key, counter, digits = DIGITS) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+}
+
+function counterAt(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Current code for a base32 secret
+function generateToken(secret, now = Date.now(), digits = DIGITS) {
+  return hotp(base32Decode(secret), counterAt(now), digits);
+}
+
+// The time step a code belongs to, or null. `window` steps either side allow
+// for clock drift; callers store the step to refuse replays of the same code.
+function verifyToken(secret, token, { now = Date.now(), window = 1, digits = DIGITS } = {}) {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(code)) return null;
+
+  const key = base32Decode(secret);
+  const current = counterAt(now);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    const expected = hotp(key, counter, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+// Recovery codes are compared by the hash of their letters and digits only,
+// so dashes, spaces and case do not matter
+function hashRecoveryCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function generateRecoveryCodes(count) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const code = base32Encode(crypto.randomBytes(5));
+    codes.push(`${code.slice(0, 4)}-${code.slice(4)}`);
+  }
+  return codes;
+}
+
+// Check a login code for an admin row. An authenticator code must belong to a
+// later time step than the last one accepted; a recovery code is removed once used.
+// Returns { method: 'totp', counter }, { method: 'recovery', recoveryCodes } with
+// the remaining hashes, or null.
+function checkSecondFactor(admin, code, now = Date.now()) {
+  const counter = verifyToken(admin.totp_secret, code, { now });
+  if (counter !== null && (admin.totp_last_counter === null || counter > admin.totp_last_counter)) {
+    return { method: 'totp', counter };
+  }
+
+  const hashes = JSON.parse(admin.recovery_codes || '[]');
+  const index = hashes.indexOf(hashRecoveryCode(code));
+  if (index !== -1) {
+    hashes.splice(index, 1);
+    return { method: 'recovery', recoveryCodes: hashes };
+  }
+  return null;
+}
+
+// otpauth:// URI for the enrollment QR code
+function buildOtpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  counterAt,
+  generateToken,
+  verifyToken,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  checkSecondFactor,
+  buildOtpauthUrl
+};
@@ -0,0 +1,268 @@
+/**
+ * Asset Collector - dependencies that are not plain footage on a timeline track
+ *
+ * Reads the .prproj itself (gzip XML) to find:
+ * - caption files (.srt, .scc, ...), Motion Graphics templates (.mogrt) and Lumetri LUTs
+ *   referenced anywhere in the project
+ * - the source media behind merged clips (the host only reports the merged clip)
+ * - fonts from the user's font folders whose names appear in titles and graphics
+ *
+ * Typed assets are pushed to assets/<folder>/<source folder hash>/ so they land next to
+ * the project on pull, where the .prproj path patching finds them, and two files with
+ * the same name from different folders stay apart; fonts are offered for install.
+ */
+
+const AssetCollector = {
+    assetTypes: {
+        caption: { folder: 'captions', label: 'Caption file', extensions: ['srt', 'scc', 'vtt', 'stl', 'mcc', 'dfxp'] },
+        mogrt: { folder: 'graphics', label: 'Motion Graphics template', extensions: ['mogrt'] },
+        lut: { folder: 'luts', label: 'Lumetri LUT', extensions: ['cube', 'look', '3dl', 'lut', 'csp', 'itx'] },
+        font: { folder: 'fonts', label: 'Font', extensions: ['ttf', 'otf', 'ttc'] }
+    },
+
+    // Font file names shorter than this match too much unrelated text
+    minFontNameLength: 5,
+
+    /**
+     * Asset type key for a path ('caption', 'mogrt', 'lut', 'font') or null for ordinary media
+     */
+    getAssetType(filePath) {
+        const ext = (filePath.split('.').pop() || '').toLowerCase();
+        return Object.keys(this.assetTypes).find(type => this.assetTypes[type].extensions.includes(ext)) || null;
+    },
+
+    /**
+     * Project-relative Drive path for a typed asset: assets/<folder>/<hash>/<name>.
+     * The hash is taken from the folder the file came from, so the same file always
+     * gets the same path and the file name itself is kept for fonts and relinking.
+     */
+    getDrivePath(assetType, filePath) {
+        const path = require('path');
+        const sourceFolder = path.dirname(filePath).replace(/\\/g, '/').toLowerCase();
+        const hash = require('crypto').createHash('md5').update(sourceFolder).digest('hex').slice(0, 8);
+        return `assets/${this.assetTypes[assetType].folder}/${hash}/${path.basename(filePath)}`;
+    },
+
+    /**
+     * Find the extra dependencies of a project
+     * @param {string} projectPath - the .prproj
+     * @param {Array} scannedFiles - files from the sequence scan (merged clips carry isMerged)
+     * @returns {Promise<Array<{path, name, assetType, reason, sequences}>>}
+     */
+    async collect(projectPath, scannedFiles = []) {
+        const fs = require('fs');
+        const path = require('path');
+        const xml = this.readProjectXml(projectPath);
+        if (!xml) return [];
+
+        const found = [];
+        const seen = new Set();
+        const add = (filePath, reason, sequences = []) => {
+            const key = filePath.toLowerCase();
+            if (seen.has(key) || !fs.existsSync(filePath)) return;
+            seen.add(key);
+            found.push({ path: filePath, name: path.basename(filePath), assetType: this.getAssetType(filePath), reason, sequences });
+        };
+
+        for (const filePath of this.findReferencedAssets(xml)) {
+            add(filePath, `${this.assetTypes[this.getAssetType(filePath)].label} referenced by the project`);
+        }
+
+        const objects = this._indexObjects(xml);
+        for (const merged of scannedFiles.filter(f => f.isMerged)) {
+            for (const filePath of this.findMergedClipMedia(objects, merged.name)) {
+                add(filePath, `Source of merged clip ${merged.name}`, merged.sequences);
+            }
+        }
+
+        for (const fontPath of this.findUsedFonts(xml)) {
+            add(fontPath, 'Font used in titles or graphics');
+        }
+
+        console.log(`🧩 Asset scan found ${found.length} extra dependencies`);
+        return found;
+    },
+
+    /**
+     * Decompressed XML of a .prproj ('' when it cannot be read)
+     */
+    readProjectXml(projectPath) {
+        try {
+            const buffer = require('fs').readFileSync(projectPath);
+            // Projects are normally gzip; very old or hand-made ones are plain XML
+            const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+            return (isGzip ? require('zlib').gunzipSync(buffer) : buffer).toString('utf8');
+        } catch (e) {
+            console.warn('⚠️ Could not read project XML:', e.message);
+            return '';
+        }
+    },
+
+    /**
+     * Absolute paths of captions, templates and LUTs mentioned in the project XML
+     */
+    findReferencedAssets(xml) {
+        const extensions = ['caption', 'mogrt', 'lut']
+            .reduce((all, type) => all.concat(this.assetTypes[type].extensions), [])
+            .join('|');
+        const pattern = new RegExp(`((?:[A-Za-z]:[\\\\/]|/(?:Users|Volumes)/)[^<>"*?|\\r\\n]*?\\.(?:${extensions}))(?![A-Za-z0-9])`, 'gi');
+
+        const paths = new Set();
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            paths.add(this._unescapeXml(match[1]));
+        }
+        return [...paths];
+    },
+
+    /**
+     * Media files reachable from the merged clip with this name in the project's object graph
+     */
+    findMergedClipMedia(objects, clipName) {
+        const nameTag = `<Name>${this._escapeXml(clipName)}</Name>`;
+        const queue = Object.keys(objects)
+            .filter(id => /ClipProjectItem|MasterClip/.test(objects[id].tag) && objects[id].body.includes(nameTag))
+            .map(id => ({ id, depth: 0 }));
+        const visited = new Set(queue.map(entry => entry.id));
+        const paths = new Set();
+
+        while (queue.length > 0) {
+            const { id, depth } = queue.shift();
+            const body = objects[id].body;
+
+            const pathPattern = /<ActualMediaFilePath>([^<]+)<\/ActualMediaFilePath>/g;
+            let match;
+            while ((match = pathPattern.exec(body)) !== null) {
+                paths.add(this._unescapeXml(match[1]));
+            }
+
+            // Master clip -> clips -> sources -> media is a handful of hops
+            if (depth >= 6) continue;
+            const refPattern = /ObjectU?Ref="([^"]+)"/g;
+            while ((match = refPattern.exec(body)) !== null) {
+                if (objects[match[1]] && !visited.has(match[1])) {
+                    visited.add(match[1]);
+                    queue.push({ id: match[1], depth: depth + 1 });
+                }
+            }
+        }
+        return [...paths];
+    },
+
+    /**
+     * Font files from the user's font folders whose names appear in the project
+     */
+    findUsedFonts(xml) {
+        const fs = require('fs');
+        const path = require('path');
+        const haystack = xml.toLowerCase();
+        const fonts = [];
+
+        for (const folder of this.getFontFolders()) {
+            let entries = [];
+            try {
+                entries = fs.readdirSync(folder);
+            } catch (e) {
+                continue;
+            }
+            for (const entry of entries) {
+                if (this.getAssetType(entry) !== 'font') continue;
+                const stem = path.basename(entry, path.extname(entry)).toLowerCase();
+                if (stem.length >= this.minFontNameLength && haystack.includes(stem)) {
+                    fonts.push(path.join(folder, entry));
+                }
+            }
+        }
+        return fonts;
+    },
+
+    /**
+     * Folders holding fonts the editor installed (system fonts are on every machine already)
+     */
+    getFontFolders() {
+        const os = require('os');
+        const path = require('path');
+        if (process.platform === 'win32') {
+            const localAppData = process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+            return [path.join(localAppData, 'Microsoft', 'Windows', 'Fonts')];
+        }
+        return [path.join(os.homedir(), 'Library', 'Fonts'), '/Library/Fonts'];
+    },
+
+    /**
+     * After a pull: offer to install fonts that came down under assets/fonts/ (one
+     * per file name; the first copy wins when two source folders had the same font)
+     * @param {string} targetFolder - local project folder
+     * @param {Array} files - pulled Drive files (name = project-relative path)
+     */
+    async restorePulledAssets(targetFolder, files) {
+        const fs = require('fs');
+        const path = require('path');
+        const [userFontFolder] = this.getFontFolders();
+
+        const fonts = files
+            .filter(f => f.name.startsWith(`assets/${this.assetTypes.font.folder}/`))
+            .map(f => SyncState.resolveLocalPath(targetFolder, f.name))
+            .filter(fontPath => fs.existsSync(fontPath) && !fs.existsSync(path.join(userFontFolder, path.basename(fontPath))))
+            .filter((fontPath, index, all) => all.findIndex(other => path.basename(other).toLowerCase() === path.basename(fontPath).toLowerCase()) === index);
+        if (fonts.length === 0) return 0;
+
+        if (!confirm(`This project uses ${fonts.length} font(s) that are not installed:\n\n${fonts.map(f => path.basename(f)).join('\n')}\n\nInstall them now?`)) {
+            return 0;
+        }
+
+        let installed = 0;
+        for (const fontPath of fonts) {
+            try {
+                await this.installFont(fontPath, userFontFolder);
+                installed++;
+            } catch (e) {
+                console.error(`❌ Could not install font ${fontPath}:`, e.message);
+            }
+        }
+        console.log(`🔤 Installed ${installed} font(s)`);
+        return installed;
+    },
+
+    /**
+     * Copy a font into the user font folder; Windows also needs it registered for the user
+     */
+    installFont(fontPath, userFontFolder) {
+        const fs = require('fs');
+        const path = require('path');
+        fs.mkdirSync(userFontFolder, { recursive: true });
+        const installedPath = path.join(userFontFolder, path.basename(fontPath));
+        fs.copyFileSync(fontPath, installedPath);
+
+        if (process.platform !== 'win32') return Promise.resolve(installedPath);
+
+        const fontName = `${path.basename(fontPath, path.extname(fontPath))} (${/\.otf$/i.test(fontPath) ? 'OpenType' : 'TrueType'})`;
+        return new Promise((resolve, reject) => {
+            require('child_process').execFile('reg', [
+                'add', 'HKCU\\Software\\Microsoft\\Windows NT\\CurrentVersion\\Fonts',
+                '/v', fontName, '/t', 'REG_SZ', '/d', installedPath, '/f'
+            ], { timeout: 5000, windowsHide: true }, (err) => err ? reject(err) : resolve(installedPath));
+        });
+    },
+
+    /**
+     * Top-level objects of the project XML by ObjectID/ObjectUID
+     */
+    _indexObjects(xml) {
+        const objects = {};
+        const pattern = /<(\w+) Object(?:U)?ID="([^"]+)"[^>]*>([\s\S]*?)<\/\1>/g;
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            objects[match[2]] = { tag: match[1], body: match[3] };
+        }
+        return objects;
+    },
+
+    _escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    },
+
+    _unescapeXml(text) {
+        return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+    }
+};
@@ -8,10 +8,21 @@ const Config = {
     data: {
         syncFolder: '',
         editorName: '',
+        apiKey: '',
         serverUrl: 'http://localhost:3000',
         autoSync: false,
         lastSync: null,
-        includeProjectMediaOnPush: true
+        includeProjectMediaOnPush: true,
+        includeProxiesOnPush: false,
+        packageAeProjects: true,
+        pullProxiesOnly: false,
+        maxParallelTransfers: 3,
+        uploadLimitMbps: 0,
+        downloadLimitMbps: 0,
+        throttleWorkingHoursOnly: false,
+        workingHoursStart: '09:00',
+        workingHoursEnd: '18:00',
+        useMediaPool: false
     },
 
     storageKey: 'premiere_sync_config',
@@ -60,6 +71,15 @@ const Config = {
         this.save();
     },
 
+    /**
+     * Number of files moved at once, shared by pushes and pulls (1-8)
+     */
+    getTransferConcurrency() {
+        const value = parseInt(this.data.maxParallelTransfers, 10);
+        if (Number.isNaN(value)) return 3;
+        return Math.min(8, Math.max(1, value));
+    },
+
     /**
      * Clear all settings
      */
@@ -68,10 +88,21 @@ const Config = {
         this.data = {
             syncFolder: '',
             editorName: '',
+            apiKey: '',
             serverUrl: 'http://localhost:3000',
             autoSync: false,
             lastSync: null,
-            includeProjectMediaOnPush: true
+            includeProjectMediaOnPush: true,
+            includeProxiesOnPush: false,
+            packageAeProjects: true,
+            pullProxiesOnly: false,
+            maxParallelTransfers: 3,
+            uploadLimitMbps: 0,
+            downloadLimitMbps: 0,
+            throttleWorkingHoursOnly: false,
+            workingHoursStart: '09:00',
+            workingHoursEnd: '18:00',
+            useMediaPool: false
         };
         console.log('🧹 Config cleared');
     }
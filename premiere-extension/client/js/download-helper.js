@@ -6,7 +6,8 @@
  * - Download speed calculation
  * - ETA estimation
  * - File counts (downloaded, skipped, remaining)
- * - Conflict detection
+ * - Three-way conflict detection against the last synced version (see sync-state.js)
+ * - Parallel workers (Config.getTransferConcurrency) with a status row per file
  * - Cancellation support
  */
 
@@ -37,6 +38,42 @@ function formatTime(seconds) {
     return `${hours}h ${mins}m`;
 }
 
+/**
+ * Build the Drive file list for a recorded version from its manifest.
+ * Each entry points at the revision that was pinned when the version was pushed.
+ */
+function getVersionDriveFiles(manifest) {
+    return (manifest.files || [])
+        .filter(entry => entry.driveId)
+        .map(entry => ({
+            id: entry.driveId,
+            name: entry.drivePath || entry.driveName || entry.name,
+            size: entry.size,
+            md5Checksum: entry.md5Checksum || null,
+            revisionId: entry.revisionId || null,
+            sourcePath: entry.sourcePath || entry.path || null,
+            duration: entry.duration || null,
+            frameRate: entry.frameRate || null
+        }));
+}
+
+/**
+ * Files a pull should fetch. Normally the Drive head; when the project's newest
+ * version is a restore, the pinned revisions of that version instead, because
+ * a restore only records a version and leaves the files on Drive untouched.
+ */
+async function listCurrentProjectFiles(projectName, projectFolderId) {
+    const [latest] = await SyncEngine.getProjectVersions(projectName);
+    if (latest && latest.restored_from) {
+        const record = await SyncEngine.getProjectVersion(projectName, latest.version);
+        if (record && record.manifest) {
+            console.log(`🕘 ${projectName} is at version ${latest.version} (restored from ${latest.restored_from})`);
+            return getVersionDriveFiles(record.manifest);
+        }
+    }
+    return GoogleDrive.listProjectFiles(projectFolderId);
+}
+
 /**
  * Download a project from Drive with progress tracking and conflict detection
  * @param {string} projectName - Name of the project folder on Drive
@@ -44,11 +81,14 @@ function formatTime(seconds) {
  * @param {string} targetFolder - Local folder to download to (from Config.data.syncFolder)
  * @param {boolean} showProgressModal - Whether to show download progress UI
  * @param {boolean} updateInPlace - If true, download to targetFolder directly (no subdirectory)
+ * @param {Object} options - { version: manifest } restores a recorded version, overwriting local files whose md5 differs
  * @returns {Promise<{success: boolean, downloadedCount?: number, skippedCount?: number, conflicts?: Array, error?: string}>}
  */
-async function downloadProjectWithProgress(projectName, projectFolderId, targetFolder, showProgressModal = true, updateInPlace = false) {
+async function downloadProjectWithProgress(projectName, projectFolderId, targetFolder, showProgressModal = true, updateInPlace = false, options = {}) {
+    const versionManifest = options.version || null;
     console.log(`📥 Starting download: ${projectName} to ${targetFolder}`);
     console.log(`Update in-place: ${updateInPlace}`);
+    if (versionManifest) console.log(`🕘 Restoring version ${versionManifest.version}`);
 
     // Show loading state immediately
     if (showProgressModal) {
@@ -107,7 +147,9 @@ async function downloadProjectWithProgress(projectName, projectFolderId, targetF
             document.getElementById('download-current-file').textContent = 'Fetching file list from Google Drive...';
         }
 
-        driveFiles = await GoogleDrive.listFilesInFolder(projectFolderId);
+        driveFiles = versionManifest
+            ? getVersionDriveFiles(versionManifest)
+            : await listCurrentProjectFiles(projectName, projectFolderId);
         console.log(`Found ${driveFiles.length} files on Drive`);
 
         // Remove loading animation
@@ -153,6 +195,8 @@ async function downloadProjectWithProgress(projectName, projectFolderId, targetF
         cancelled: false,
         totalBytes: totalSize,
         downloadedBytes: 0,
+        activeBytes: {}, // file name -> bytes streamed so far, for files in flight
+        transferredBytes: 0, // bytes actually pulled over the network (speed only)
         startTime: Date.now()
     };
 
@@ -166,18 +210,22 @@ async function downloadProjectWithProgress(projectName, projectFolderId, targetF
         const elapsed = (Date.now() - downloadState.startTime) / 1000;
         const safeElapsed = Math.max(elapsed, 0.1);
 
-        // Calculate progress
-        const percent = Math.round((downloadState.completedFiles / downloadState.totalFiles) * 100);
+        // Calculate progress by bytes, counting the partly streamed file
+        const inFlightBytes = Object.values(downloadState.activeBytes).reduce((sum, bytes) => sum + bytes, 0);
+        const processedBytes = downloadState.downloadedBytes + inFlightBytes;
+        const percent = downloadState.totalBytes > 0
+            ? Math.min(100, Math.round((processedBytes / downloadState.totalBytes) * 100))
+            : Math.round((downloadState.completedFiles / downloadState.totalFiles) * 100);
         const remaining = downloadState.totalFiles - downloadState.completedFiles;
 
-        // Calculate speed (files per second and bytes per second)
-        const filesPerSecond = downloadState.downloadedFiles / safeElapsed;
-        const bytesPerSecond = downloadState.downloadedBytes / safeElapsed;
+        // Calculate speed from bytes that actually came over the network
+        const bytesPerSecond = (downloadState.transferredBytes + inFlightBytes) / safeElapsed;
 
         // Calculate ETA
         let eta = 0;
-        if (filesPerSecond > 0 && remaining > 0) {
-            eta = remaining / filesPerSecond;
+        const remainingBytes = downloadState.totalBytes - processedBytes;
+        if (bytesPerSecond > 0 && remainingBytes > 0) {
+            eta = remainingBytes / bytesPerSecond;
         }
 
         // Update UI elements
@@ -198,6 +246,14 @@ async function downloadProjectWithProgress(projectName, projectFolderId, targetF
         if (downloadedCountEl) downloadedCountEl.textContent = `${downloadState.downloadedFiles} downloaded`;
         if (skippedCountEl) skippedCountEl.textContent = `${downloadState.skippedFiles} skipped`;
         if (remainingCountEl) remainingCountEl.textContent = `${remaining} remaining`;
+
+        const currentFileEl = document.getElementById('download-current-file');
+        const activeNames = Object.keys(downloadState.activeBytes);
+        if (currentFileEl && activeNames.length > 0) {
+            currentFileEl.textContent = activeNames.length === 1
+                ? `Downloading ${activeNames[0]}...`
+                : `Downloading ${activeNames.length} files in parallel...`;
+        }
     }
 
     // Initialize progress UI (modal already shown during loading)
@@ -206,10 +262,17 @@ async function downloadProjectWithProgress(projectName, projectFolderId, targetF
     }
 
     const downloadedFiles = [];
+    const fs = require('fs');
+
+    // Largest files first so one big clip does not run alone at the end
+    const queue = [...driveFiles].sort((a, b) => (parseInt(b.size) || 0) - (parseInt(a.size) || 0));
+    const workerCount = Math.min(Config.getTransferConcurrency(), queue.length);
+    console.log(`🚀 Pulling ${queue.length} files (workers: ${workerCount})...`);
+    for (const driveFile of queue) {
+        addFileToList(driveFile.name, 'queued', showProgressModal);
+    }
 
-    // Download each file
-    for (let i = 0; i < driveFiles.length; i++) {
-        const driveFile = driveFiles[i];
+    async function processSingleFile(driveFile) {
         const targetPath = `${projectPath}\\${driveFile.name}`;
         const fileSize = parseInt(driveFile.size) || 0;
 
@@ -218,131 +281,139 @@ async function downloadProjectWithProgress(projectName, projectFolderId, targetF
         // Check for cancellation
         if (downloadState.cancelled) {
             console.log('Download cancelled by user');
-            break;
+            return;
         }
 
-        // Update current file display
-        if (showProgressModal) {
-            document.getElementById('download-current-file').textContent = `Checking ${driveFile.name}...`;
-        }
-
-        // Check if file exists locally using CEP API
-        const statResult = cep.fs.stat(targetPath);
-        const localExists = (statResult.err === 0);
-
-        if (localExists) {
-            // File exists - check for conflicts using file size comparison
-            console.log(`  File exists locally, checking for conflicts...`);
-
-            // Get local file stats using Node.js fs if available (more reliable)
-            let localSize = 0;
-            let localMtime = null;
-
-            try {
-                if (typeof require !== 'undefined') {
-                    const fs = require('fs');
-                    if (fs.existsSync(targetPath)) {
-                        const stats = fs.statSync(targetPath);
-                        localSize = stats.size;
-                        localMtime = stats.mtime;
-                        console.log(`  Node.js Stat: size=${localSize}, mtime=${localMtime}`);
-                    }
-                } else {
-                    // Fallback to CEP
-                    const localStat = cep.fs.stat(targetPath);
-                    if (localStat.err === 0) {
-                        console.log(`  CEP Stat result:`, localStat);
-                        localSize = (localStat.data && localStat.data.size) || 0;
-                    }
-                }
-            } catch (e) {
-                console.warn('Stat check failed:', e);
-            }
-
-            const driveSize = parseInt(driveFile.size) || 0;
-
-            console.log(`  Local size: ${localSize}`);
-            console.log(`  Drive size: ${driveSize}`);
+        // Classify against the last synced version (three-way: base, local, Drive)
+        const classification = await SyncState.classify(projectPath, driveFile.name, targetPath, driveFile);
+        console.log(`  Sync state: ${classification.state}`);
 
-            if (localSize === driveSize) {
-                // Files are same size - assume identical, skip
-                console.log(`  ✓ Same size - Skipping ${driveFile.name}`);
+        if (versionManifest) {
+            // Restoring a version: the snapshot wins unless the local file already matches it
+            if (classification.state === 'unchanged') {
+                console.log(`  ✓ Matches version - Skipping ${driveFile.name}`);
+                SyncState.recordFile(projectPath, driveFile.name, targetPath, driveFile, classification.localMd5);
                 downloadState.skippedFiles++;
                 downloadState.completedFiles++;
-                downloadState.downloadedBytes += fileSize; // Count as "processed"
-
-                // Add to file list UI
+                downloadState.downloadedBytes += fileSize;
                 addFileToList(driveFile.name, 'skipped', showProgressModal);
                 updateUI();
-                continue;
-            } else {
-                // Different size - conflict detected
-                console.warn(`  ⚠️ Size mismatch detected: ${driveFile.name}`);
-                downloadState.conflicts.push({
-                    name: driveFile.name,
-                    localPath: targetPath,
-                    driveFile: driveFile,
-                    localSize: localSize,
-                    driveSize: driveSize
-                });
-                downloadState.completedFiles++;
-
-                // Add to file list UI
-                addFileToList(driveFile.name, 'conflict', showProgressModal);
-                updateUI();
-                continue;
+                return;
             }
-        }
-
-        // Download the file
-        try {
-            if (showProgressModal) {
-                document.getElementById('download-current-file').textContent = `Downloading ${driveFile.name}...`;
-                addFileToList(driveFile.name, 'downloading', showProgressModal);
+            if (classification.state !== 'missing') {
+                console.log(`  ↩️ Overwriting ${driveFile.name} with version copy`);
             }
+        } else if (classification.state === 'unchanged' || classification.state === 'local') {
+            // Identical, or only edited here - the local copy is kept and goes up on the next push
+            const reason = classification.state === 'local' ? 'changed locally, keeping' : 'unchanged';
+            console.log(`  ✓ ${reason} - Skipping ${driveFile.name}`);
+            if (classification.state === 'unchanged') {
+                SyncState.recordFile(projectPath, driveFile.name, targetPath, driveFile, classification.localMd5);
+            }
+            downloadState.skippedFiles++;
+            downloadState.completedFiles++;
+            downloadState.downloadedBytes += fileSize; // Count as "processed"
 
-            console.log(`  ⬇️ Downloading ${driveFile.name}...`);
-            const fileContent = await GoogleDrive.downloadFile(driveFile.id);
+            // Add to file list UI
+            addFileToList(driveFile.name, 'skipped', showProgressModal);
+            updateUI();
+            return;
+        } else if (classification.state === 'both') {
+            // Changed on both sides since the last sync - needs a decision
+            console.warn(`  ⚠️ Changed locally and on Drive: ${driveFile.name}`);
+            downloadState.conflicts.push({
+                name: driveFile.name,
+                localPath: targetPath,
+                projectPath: projectPath,
+                driveFile: driveFile,
+                projectFiles: driveFiles,
+                localSize: fs.existsSync(targetPath) ? fs.statSync(targetPath).size : 0,
+                driveSize: fileSize,
+                localMd5: classification.localMd5
+            });
+            downloadState.completedFiles++;
+            downloadState.downloadedBytes += fileSize;
 
-            // Check for cancellation after download
-            if (downloadState.cancelled) {
-                console.log('Download cancelled by user');
-                break;
-            }
+            // Add to file list UI
+            addFileToList(driveFile.name, 'conflict', showProgressModal);
+            updateUI();
+            return;
+        }
 
-            // Convert Uint8Array to Base64 for CEP file system
-            let binary = '';
-            const len = fileContent.byteLength;
-            for (let i = 0; i < len; i++) {
-                binary += String.fromCharCode(fileContent[i]);
-            }
-            const base64Content = btoa(binary);
+        // Download the file (missing locally, or only changed on Drive)
+        try {
+            downloadState.activeBytes[driveFile.name] = 0;
+            updateFileStatus(driveFile.name, 'downloading', showProgressModal);
 
-            // Write to disk using CEP API
-            const writeResult = cep.fs.writeFile(targetPath, base64Content, cep.encoding.Base64);
-            if (writeResult.err !== 0) {
-                console.error(`  ❌ Failed to write ${driveFile.name}: Error ${writeResult.err}`);
-                downloadState.failedFiles++;
-                updateFileStatus(driveFile.name, 'error', showProgressModal);
-            } else {
-                console.log(`  ✅ Downloaded ${driveFile.name}`);
+            // Same content already on this machine (e.g. pooled media from another project)
+            if (!fs.existsSync(targetPath) && await MediaPool.reuseLocalCopy(driveFile.md5Checksum, targetPath)) {
+                delete downloadState.activeBytes[driveFile.name];
                 downloadedFiles.push({ name: driveFile.name, path: targetPath, size: fileSize });
+                SyncState.recordFile(projectPath, driveFile.name, targetPath, driveFile);
                 downloadState.downloadedFiles++;
                 downloadState.downloadedBytes += fileSize;
-                updateFileStatus(driveFile.name, 'complete', showProgressModal);
+                downloadState.completedFiles++;
+                updateFileStatus(driveFile.name, 'reused', showProgressModal);
+                updateUI();
+                return;
             }
 
+            console.log(`  ⬇️ Downloading ${driveFile.name}...`);
+            const result = await GoogleDrive.downloadFileToPath(driveFile.id, targetPath, {
+                revisionId: driveFile.revisionId,
+                md5Checksum: driveFile.md5Checksum,
+                isCancelled: () => downloadState.cancelled,
+                onProgress: (loaded, total) => {
+                    downloadState.activeBytes[driveFile.name] = loaded;
+                    updateFileProgress(driveFile.name, loaded, total || fileSize, showProgressModal);
+                    updateUI();
+                }
+            });
+            delete downloadState.activeBytes[driveFile.name];
+
+            console.log(`  ✅ Downloaded ${driveFile.name}`);
+            downloadedFiles.push({ name: driveFile.name, path: targetPath, size: fileSize });
+            SyncState.recordFile(projectPath, driveFile.name, targetPath, driveFile);
+            MediaPool.remember(driveFile.md5Checksum, targetPath);
+            downloadState.downloadedFiles++;
+            downloadState.downloadedBytes += fileSize;
+            downloadState.transferredBytes += result.bytes - result.resumedFrom;
+            updateFileStatus(driveFile.name, 'complete', showProgressModal);
+
             downloadState.completedFiles++;
             updateUI();
         } catch (error) {
+            delete downloadState.activeBytes[driveFile.name];
+            if (error.cancelled) {
+                console.log('Download cancelled by user');
+                updateFileStatus(driveFile.name, 'error', showProgressModal);
+                return;
+            }
             console.error(`  ❌ Error downloading ${driveFile.name}:`, error);
             downloadState.failedFiles++;
             downloadState.completedFiles++;
+            downloadState.downloadedBytes += fileSize;
             updateFileStatus(driveFile.name, 'error', showProgressModal);
             updateUI();
         }
     }
 
+    let nextFileIndex = 0;
+    async function worker() {
+        while (true) {
+            if (downloadState.cancelled) return;
+            const currentIndex = nextFileIndex;
+            nextFileIndex++;
+            if (currentIndex >= queue.length) return;
+            await processSingleFile(queue[currentIndex]);
+        }
+    }
+    const workers = [];
+    for (let i = 0; i < workerCount; i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
     // Final UI update
     if (showProgressModal) {
         const currentFileEl = document.getElementById('download-current-file');
@@ -368,6 +439,24 @@ async function downloadProjectWithProgress(projectName, projectFolderId, targetF
         }
     }
 
+    // Point the pulled project at this machine's copies of its media before it is opened
+    if (!downloadState.cancelled) {
+        for (const pulled of downloadedFiles.filter(f => f.name.endsWith('.prproj'))) {
+            await rewritePulledProject(pulled.name, pulled.path, projectPath, driveFiles);
+        }
+    }
+
+    SyncState.save(projectPath);
+
+    // Fonts pulled into assets/fonts/ are offered for install
+    if (!downloadState.cancelled) {
+        try {
+            await AssetCollector.restorePulledAssets(projectPath, driveFiles);
+        } catch (e) {
+            console.warn('⚠️ Could not restore project assets:', e.message);
+        }
+    }
+
     console.log(`✅ Download complete: ${downloadState.downloadedFiles} downloaded, ${downloadState.skippedFiles} skipped, ${downloadState.conflicts.length} conflicts`);
 
     return {
@@ -424,6 +513,7 @@ function updateFileStatus(fileName, status, showProgressModal) {
         'queued': { text: 'Queued', class: '' },
         'downloading': { text: '⬇️ Downloading...', class: 'uploading' },
         'complete': { text: '✅ Done', class: 'complete' },
+        'reused': { text: '♻️ Reused local copy', class: 'complete' },
         'skipped': { text: '⏭️ Skipped', class: 'skipped' },
         'conflict': { text: '⚠️ Conflict', class: 'warning' },
         'error': { text: '❌ Failed', class: 'error' }
@@ -434,35 +524,204 @@ function updateFileStatus(fileName, status, showProgressModal) {
     item.className = `upload-file-item ${statusInfo.class}`;
 }
 
+/**
+ * Show byte progress on a file's row while it streams
+ */
+function updateFileProgress(fileName, loaded, total, showProgressModal) {
+    if (!showProgressModal) return;
+
+    const safeId = fileName.replace(/[^a-zA-Z0-9]/g, '_');
+    const statusEl = document.querySelector(`#download-item-${safeId} .file-item-status`);
+    if (!statusEl) return;
+
+    const percent = total ? Math.round((loaded / total) * 100) : 0;
+    statusEl.textContent = `⬇️ ${percent}% (${formatBytes(loaded)} / ${formatBytes(total)})`;
+}
+
+/**
+ * Path for the local copy kept by "Keep Both": clip.mp4 -> clip (Ali 2026-10-19 1530).mp4
+ */
+function buildKeepBothPath(localPath) {
+    const path = require('path');
+    const fs = require('fs');
+    const ext = path.extname(localPath);
+    const base = localPath.slice(0, localPath.length - ext.length);
+    const editor = (Config.data.editorName || 'local').replace(/[<>:"/\\|?*]/g, '_');
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ${pad(now.getHours())}${pad(now.getMinutes())}`;
+
+    let candidate = `${base} (${editor} ${stamp})${ext}`;
+    let counter = 2;
+    while (fs.existsSync(candidate)) {
+        candidate = `${base} (${editor} ${stamp} ${counter})${ext}`;
+        counter++;
+    }
+    return candidate;
+}
+
+/**
+ * Show the conflict modal and wait for a choice per file
+ * @returns {Promise<Array<'local'|'drive'|'both'>|null>} choices in conflict order, or null if cancelled
+ */
+function showConflictModal(conflicts) {
+    return new Promise((resolve) => {
+        const modal = document.getElementById('modal-conflicts');
+        const listEl = document.getElementById('conflict-list');
+        const applyAllSelect = document.getElementById('conflict-apply-all');
+        const applyAllBtn = document.getElementById('btn-conflict-apply-all');
+        const resolveBtn = document.getElementById('btn-conflict-resolve');
+        const cancelBtn = document.getElementById('btn-conflict-cancel');
+        if (!modal || !listEl) {
+            resolve(null);
+            return;
+        }
+
+        const choiceLabels = { local: 'Keep Local', drive: 'Take Drive', both: 'Keep Both' };
+        listEl.innerHTML = conflicts.map((conflict, index) => {
+            const localSize = conflict.localSize !== undefined ? formatBytes(conflict.localSize || 0) : '?';
+            const driveSize = formatBytes(parseInt(conflict.driveFile.size) || 0);
+            const modified = conflict.driveFile.modifiedTime ? new Date(conflict.driveFile.modifiedTime).toLocaleString() : 'unknown';
+            const options = Object.keys(choiceLabels).map(choice => `
+                <label class="conflict-choice">
+                    <input type="radio" name="conflict-choice-${index}" value="${choice}" ${choice === 'both' ? 'checked' : ''}>
+                    ${choiceLabels[choice]}
+                </label>
+            `).join('');
+            return `
+                <div class="conflict-row">
+                    <div class="conflict-file">
+                        <div class="conflict-name">${escapeHtml(conflict.name)}</div>
+                        <div class="conflict-meta">Local ${localSize} · Drive ${driveSize}, updated ${escapeHtml(modified)}</div>
+                    </div>
+                    <div class="conflict-choices">${options}</div>
+                </div>
+            `;
+        }).join('');
+
+        const finish = (choices) => {
+            modal.classList.add('hidden');
+            applyAllBtn.onclick = null;
+            resolveBtn.onclick = null;
+            cancelBtn.onclick = null;
+            resolve(choices);
+        };
+
+        applyAllBtn.onclick = () => {
+            const choice = applyAllSelect.value;
+            listEl.querySelectorAll(`input[type="radio"][value="${choice}"]`).forEach(input => {
+                input.checked = true;
+            });
+        };
+
+        resolveBtn.onclick = () => {
+            finish(conflicts.map((conflict, index) => {
+                const checked = listEl.querySelector(`input[name="conflict-choice-${index}"]:checked`);
+                return checked ? checked.value : 'both';
+            }));
+        };
+
+        cancelBtn.onclick = () => finish(null);
+
+        document.getElementById('conflict-count').textContent = conflicts.length;
+        modal.classList.remove('hidden');
+    });
+}
+
+/**
+ * Apply one conflict decision to disk and record the new sync base
+ */
+async function applyConflictChoice(conflict, choice) {
+    const { driveFile, localPath, projectPath } = conflict;
+
+    if (choice === 'local') {
+        // Drive's version becomes the base, so the local edit now reads as "changed locally"
+        SyncState.recordFile(projectPath, conflict.name, null, driveFile);
+        return { name: conflict.name, choice };
+    }
+
+    let keptCopy = null;
+    if (choice === 'both') {
+        keptCopy = buildKeepBothPath(localPath);
+        if (!FileSystem.renameFile(localPath, keptCopy)) {
+            throw new Error(`Could not rename ${localPath}`);
+        }
+        console.log(`  📎 Kept local copy as ${keptCopy}`);
+    }
+
+    await GoogleDrive.downloadFileToPath(driveFile.id, localPath, {
+        revisionId: driveFile.revisionId,
+        md5Checksum: driveFile.md5Checksum
+    });
+    SyncState.recordFile(projectPath, conflict.name, localPath, driveFile);
+    if (conflict.name.endsWith('.prproj')) {
+        await rewritePulledProject(conflict.name, localPath, projectPath, conflict.projectFiles || [driveFile]);
+    }
+
+    return { name: conflict.name, choice, keptCopy };
+}
+
+/**
+ * Point a pulled .prproj at this machine's copies of its media. The rewritten file
+ * no longer matches Drive byte-for-byte, so its md5 is recorded as the synced state.
+ */
+async function rewritePulledProject(name, filePath, projectPath, driveFiles) {
+    try {
+        ProjectRewriter.rewriteProjectFile(filePath, projectPath, driveFiles);
+        const driveFile = driveFiles.find(f => f.name === name);
+        if (driveFile) {
+            SyncState.recordFile(projectPath, name, filePath, driveFile, await computeLocalMd5({ filePath }));
+        }
+    } catch (e) {
+        console.warn(`⚠️ Could not rewrite paths in ${name}:`, e.message);
+    }
+}
+
 /**
  * Resolve conflicts for a pull operation
  * @param {Array} conflicts - Array of conflict objects from downloadProjectWithProgress
- * @param {string} strategy - 'drive' (use Drive version), 'local' (keep local), 'ask' (show modal)
+ * @param {string} strategy - 'drive' (use Drive version), 'local' (keep local), 'both' (keep both), 'ask' (show modal)
+ * @param {string} projectName - Project name for the activity log
  */
-async function resolveConflicts(conflicts, strategy = 'ask') {
+async function resolveConflicts(conflicts, strategy = 'ask', projectName = null) {
     if (conflicts.length === 0) return { resolved: 0 };
 
+    let choices;
     if (strategy === 'ask') {
         // Show conflict modal and let user decide
-        return await showConflictModal(conflicts);
+        choices = await showConflictModal(conflicts);
+        if (!choices) {
+            console.log('Conflict resolution cancelled - local files left untouched');
+            return { resolved: 0, cancelled: true };
+        }
+    } else {
+        choices = conflicts.map(() => strategy);
     }
 
     let resolved = 0;
-    for (const conflict of conflicts) {
-        if (strategy === 'drive') {
-            // Download and overwrite
-            const fileContent = await GoogleDrive.downloadFile(conflict.driveFile.id);
-            await FileSystem.writeFile(conflict.localPath, fileContent);
-            console.log(`Resolved conflict: ${conflict.name} (used Drive version)`);
-            resolved++;
-        } else if (strategy === 'local') {
-            // Keep local - do nothing
-            console.log(`Resolved conflict: ${conflict.name} (kept local version)`);
+    const failed = [];
+    const results = [];
+    for (let i = 0; i < conflicts.length; i++) {
+        const conflict = conflicts[i];
+        try {
+            results.push(await applyConflictChoice(conflict, choices[i]));
+            console.log(`Resolved conflict: ${conflict.name} (${choices[i]})`);
             resolved++;
+        } catch (error) {
+            console.error(`❌ Could not resolve ${conflict.name}:`, error);
+            failed.push(conflict.name);
         }
     }
 
-    return { resolved };
+    const projectPaths = [...new Set(conflicts.map(c => c.projectPath).filter(Boolean))];
+    projectPaths.forEach(projectPath => SyncState.save(projectPath));
+
+    // Leave a record of who chose what
+    const choiceText = { local: 'kept local', drive: 'took Drive', both: 'kept both' };
+    const details = results.map(r => `${r.name}: ${choiceText[r.choice]}`).join('; ');
+    await SyncEngine.logActivity('resolve-conflict', projectName, details);
+
+    return { resolved, failed, results };
 }
 
 /**
@@ -28,6 +28,12 @@ const GoogleDriveConfig = {
      */
     teamProjectsFolderId: '1gu4cUxVIWQc4yc1zylfQQtom7z-86cuL',
 
+    /**
+     * Content-addressed media shared by all projects (see media-pool.js)
+     * Lives inside the team projects folder and is hidden from the project list
+     */
+    mediaPoolFolderName: '_media_pool',
+
     /**
      * Team Member Emails (for sharing notifications)
      * Configure these in your local installation
@@ -2,6 +2,11 @@
    GOOGLE DRIVE API - LOOPBACK OAUTH FLOW
    ============================================ */
 
+// Drive keeps at most 200 pinned revisions per file. Pins stop short of that so
+// pins made outside the panel still fit; past the soft limit the oldest are released.
+const DRIVE_PIN_SOFT_LIMIT = 190;
+const DRIVE_PIN_PRUNE_TO = 180;
+
 const GoogleDrive = {
     accessToken: null,
     refreshToken: null,
@@ -420,8 +425,36 @@ const GoogleDrive = {
         }
 
         const data = await res.json();
-        console.log(`📂 Found ${data.files?.length || 0} projects:`, data.files?.map(f => f.name));
-        return data.files || [];
+        const projects = (data.files || []).filter(f => f.name !== GoogleDriveConfig.mediaPoolFolderName);
+        console.log(`📂 Found ${projects.length} projects:`, projects.map(f => f.name));
+        return projects;
+    },
+
+    /**
+     * Read manifest.json from a project's Drive folder (the last push)
+     * Returns null when the project or its manifest does not exist yet.
+     */
+    async getProjectManifest(projectName) {
+        const token = await this.getValidToken();
+        if (!token) throw new Error('Not authenticated');
+
+        const projects = await this.listProjects(GoogleDriveConfig.teamProjectsFolderId);
+        const project = projects.find(p => p.name === projectName);
+        if (!project) return null;
+
+        const query = `name='manifest.json' and '${project.id}' in parents and trashed=false`;
+        const res = await fetch(
+            `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(query)}&fields=files(id)&supportsAllDrives=true&includeItemsFromAllDrives=true`,
+            { headers: { 'Authorization': `Bearer ${token}` } }
+        );
+        if (!res.ok) throw new Error(`Failed to find manifest: ${res.status}`);
+
+        const data = await res.json();
+        const manifestFile = data.files && data.files[0];
+        if (!manifestFile) return null;
+
+        const content = await this.downloadFile(manifestFile.id);
+        return JSON.parse(new TextDecoder().decode(content));
     },
 
     // =============================================
@@ -555,16 +588,68 @@ const GoogleDrive = {
     },
 
     /**
-     * Download a single file from Drive
+     * Files that make up a project: everything in its folder plus the media-pool
+     * entries its manifest points at, listed under their project-relative paths.
+     * Proxies carry proxyFor (their original's path) and originals carry proxyName;
+     * sourcePath is where the file was on the pusher's machine (for .prproj rewriting);
+     * duration and frameRate come from its project item (for ranking relink candidates).
+     */
+    async listProjectFiles(projectFolderId) {
+        const files = await this.listFilesInFolder(projectFolderId);
+        const manifestFile = files.find(f => f.name === 'manifest.json');
+        if (!manifestFile) return files;
+
+        try {
+            const content = await this.downloadFile(manifestFile.id);
+            const manifest = JSON.parse(new TextDecoder().decode(content));
+            const listed = new Set(files.map(f => f.name));
+
+            for (const entry of manifest.files || []) {
+                if (!entry.pooled || !entry.driveId || listed.has(entry.drivePath)) continue;
+                files.push({
+                    id: entry.driveId,
+                    name: entry.drivePath,
+                    size: entry.size,
+                    md5Checksum: entry.md5Checksum || null,
+                    modifiedTime: entry.modifiedTime || null,
+                    pooled: true
+                });
+                listed.add(entry.drivePath);
+            }
+
+            const byName = {};
+            files.forEach(f => { byName[f.name] = f; });
+            for (const entry of manifest.files || []) {
+                const file = byName[entry.drivePath];
+                if (!file) continue;
+                file.sourcePath = entry.sourcePath || entry.path || null;
+                file.duration = entry.duration || null;
+                file.frameRate = entry.frameRate || null;
+            }
+            for (const entry of manifest.files || []) {
+                if (!entry.proxyFor || !byName[entry.drivePath]) continue;
+                byName[entry.drivePath].proxyFor = entry.proxyFor;
+                if (byName[entry.proxyFor]) byName[entry.proxyFor].proxyName = entry.drivePath;
+            }
+        } catch (e) {
+            console.warn('⚠️ Could not read project manifest:', e.message);
+        }
+        return files;
+    },
+
+    /**
+     * Download a single file from Drive into memory
+     * Pass a revisionId to fetch a pinned revision instead of the head.
+     * Buffers the whole file - use downloadFileToPath for anything that goes to disk.
      */
-    async downloadFile(fileId, onProgress) {
+    async downloadFile(fileId, onProgress, revisionId = null) {
         const token = await this.getValidToken();
         if (!token) throw new Error('Not authenticated');
 
-        const res = await fetch(
-            `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`,
-            { headers: { 'Authorization': `Bearer ${token}` } }
-        );
+        const url = revisionId
+            ? `https://www.googleapis.com/drive/v3/files/${fileId}/revisions/${revisionId}?alt=media`
+            : `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`;
+        const res = await fetch(url, { headers: { 'Authorization': `Bearer ${token}` } });
 
         if (!res.ok) {
             throw new Error(`Failed to download file: ${res.statusText}`);
@@ -582,6 +667,183 @@ const GoogleDrive = {
         return uint8Array;
     },
 
+    /**
+     * Stream a Drive file to disk, resuming where an earlier attempt stopped
+     *
+     * Bytes land in "<target>.part" next to a "<target>.part.json" journal naming the
+     * Drive file, revision and md5 being fetched. A retry or a later pull of the same
+     * version continues with an HTTP Range request; a different version starts over.
+     * The finished file is checked against md5Checksum before it replaces the target,
+     * so the target is never left half-written.
+     * @param {Object} options - { revisionId, md5Checksum, onProgress(loaded, total), isCancelled() }
+     * @returns {Promise<{bytes: number, resumedFrom: number}>}
+     */
+    async downloadFileToPath(fileId, targetPath, options = {}) {
+        const fs = require('fs');
+        const path = require('path');
+        const { revisionId = null, md5Checksum = null, isCancelled = null } = options;
+
+        const url = revisionId
+            ? `https://www.googleapis.com/drive/v3/files/${fileId}/revisions/${revisionId}?alt=media`
+            : `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`;
+        const partPath = `${targetPath}.part`;
+        const journalPath = `${partPath}.json`;
+        const journal = { fileId, revisionId, md5Checksum };
+
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+
+        // Only resume bytes that belong to the same Drive version
+        let offset = 0;
+        try {
+            const previous = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+            if (previous.fileId === fileId && previous.revisionId === revisionId &&
+                previous.md5Checksum === md5Checksum && fs.existsSync(partPath)) {
+                offset = fs.statSync(partPath).size;
+            }
+        } catch (e) {
+            // no journal - fresh download
+        }
+        if (offset === 0 && fs.existsSync(partPath)) fs.unlinkSync(partPath);
+        fs.writeFileSync(journalPath, JSON.stringify({ ...journal, startedAt: new Date().toISOString() }));
+
+        const resumedFrom = offset;
+        if (offset > 0) console.log(`↪️ Resuming ${path.basename(targetPath)} from ${offset} bytes`);
+
+        for (let attempt = 1; ; attempt++) {
+            const token = await this.getValidToken();
+            if (!token) throw new Error('Not authenticated');
+
+            try {
+                await this._streamToPart(url, token, partPath, offset, options);
+                const bytes = fs.statSync(partPath).size;
+
+                if (md5Checksum) {
+                    const actualMd5 = await computeLocalMd5({ filePath: partPath });
+                    if (actualMd5 !== md5Checksum) {
+                        // Corrupt or stale partial data: throw it away and fetch the whole file again
+                        fs.unlinkSync(partPath);
+                        offset = 0;
+                        throw createUploadError(`Checksum mismatch for ${path.basename(targetPath)}`, null, true);
+                    }
+                }
+
+                fs.renameSync(partPath, targetPath);
+                try { fs.unlinkSync(journalPath); } catch (e) { /* already gone */ }
+                return { bytes, resumedFrom };
+            } catch (error) {
+                if (error.cancelled) throw error; // keep .part and journal for the next pull
+
+                const retriable = error.retriable !== false;
+                if (!retriable || attempt >= DRIVE_MAX_RETRIES) throw error;
+
+                offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+                const delayMs = buildRetryDelayMs(attempt, error.retryAfterMs);
+                console.warn(`⚠️ Download of ${path.basename(targetPath)} interrupted (${error.message}), resuming from ${offset} bytes in ${delayMs}ms`);
+                await sleep(delayMs);
+            }
+        }
+    },
+
+    /**
+     * One attempt at streaming url into partPath from byte offset onwards
+     * Resolves once the response has been fully written; errors carry status/retriable.
+     */
+    _streamToPart(url, token, partPath, offset, options) {
+        const https = require('https');
+        const fs = require('fs');
+        const { onProgress = null, isCancelled = null } = options;
+
+        return new Promise((resolve, reject) => {
+            let finished = false;
+            let out = null;
+            const fail = (err) => {
+                if (finished) return;
+                finished = true;
+                if (out) out.destroy();
+                reject(err);
+            };
+
+            const request = (requestUrl, redirects) => {
+                // Drive may redirect alt=media to its content host; that host needs no token
+                const headers = redirects === 0 ? { 'Authorization': `Bearer ${token}` } : {};
+                if (offset > 0) headers['Range'] = `bytes=${offset}-`;
+
+                const req = https.get(requestUrl, { headers }, (res) => {
+                    if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+                        res.resume();
+                        if (redirects >= 5) return fail(createUploadError('Too many redirects', res.statusCode, false));
+                        return request(new URL(res.headers.location, requestUrl).toString(), redirects + 1);
+                    }
+
+                    // Range starts at the end of the file: the .part already holds everything
+                    if (res.statusCode === 416 && offset > 0) {
+                        res.resume();
+                        finished = true;
+                        return resolve();
+                    }
+
+                    if (res.statusCode !== 200 && res.statusCode !== 206) {
+                        res.resume();
+                        const retryAfterMs = getRetryAfterMs({ getResponseHeader: (name) => res.headers[name.toLowerCase()] });
+                        return fail(createUploadError(
+                            `Failed to download file: HTTP ${res.statusCode}`,
+                            res.statusCode,
+                            shouldRetryStatus(res.statusCode),
+                            retryAfterMs
+                        ));
+                    }
+
+                    // 200 means the server ignored the Range header and sent the whole file
+                    const start = res.statusCode === 206 ? offset : 0;
+                    const rangeTotal = /\/(\d+)$/.exec(res.headers['content-range'] || '');
+                    const total = rangeTotal
+                        ? parseInt(rangeTotal[1], 10)
+                        : (parseInt(res.headers['content-length'], 10) || 0) + start;
+                    let loaded = start;
+                    let lastReport = 0;
+
+                    out = fs.createWriteStream(partPath, { flags: start > 0 ? 'a' : 'w' });
+
+                    res.on('data', (chunk) => {
+                        loaded += chunk.length;
+                        if (isCancelled && isCancelled()) {
+                            req.destroy();
+                            const err = new Error('Download cancelled');
+                            err.cancelled = true;
+                            return fail(err);
+                        }
+                        const now = Date.now();
+                        if (onProgress && now - lastReport >= 200) {
+                            lastReport = now;
+                            onProgress(loaded, total);
+                        }
+                    });
+                    res.on('error', (err) => fail(createUploadError(err.message, null, true)));
+                    out.on('error', (err) => {
+                        req.destroy();
+                        fail(createUploadError(err.message, null, false));
+                    });
+                    out.on('finish', () => {
+                        if (finished) return;
+                        if (total && loaded !== total) {
+                            return fail(createUploadError(`Connection dropped at ${loaded} of ${total} bytes`, null, true));
+                        }
+                        finished = true;
+                        if (onProgress) onProgress(loaded, total || loaded);
+                        resolve();
+                    });
+
+                    // The shared download bucket paces the stream when a cap is set
+                    res.pipe(Throttle.createStream('down')).pipe(out);
+                });
+
+                req.on('error', (err) => fail(createUploadError(err.message, null, true)));
+            };
+
+            request(url, 0);
+        });
+    },
+
     /**
      * Get file metadata (for conflict detection)
      */
@@ -602,41 +864,90 @@ const GoogleDrive = {
     },
 
     /**
-     * Download entire project folder
+     * Pin the revisions a recorded version points at so a restore can always fetch them.
+     * Unchanged files are pinned too: their revision may predate pinning or an earlier
+     * pin may have failed. Revisions that are already pinned cost one lookup.
      */
-    async downloadProject(projectFolderId, targetPath, onFileProgress) {
-        try {
-            console.log(`📥 Downloading project from folder: ${projectFolderId}`);
+    async pinVersionRevisions(manifest) {
+        const entries = (manifest.files || []).filter(entry => entry.driveId && entry.revisionId);
+        let pinned = 0;
 
-            // List all files in the project folder
-            const files = await this.listFilesInFolder(projectFolderId);
-            console.log(`Found ${files.length} files to download`);
+        for (const entry of entries) {
+            try {
+                await this.pinRevision(entry.driveId, entry.revisionId);
+                pinned++;
+            } catch (e) {
+                console.warn(`⚠️ Could not pin revision of ${entry.drivePath || entry.name}:`, e.message);
+            }
+        }
 
-            const downloadedFiles = [];
+        return { pinned, failed: entries.length - pinned };
+    },
 
-            for (const file of files) {
-                console.log(`Downloading: ${file.name}`);
+    /**
+     * Pin one revision, first releasing the oldest pinned revisions of the file
+     * when it is at the soft limit (their versions can no longer be restored for it)
+     */
+    async pinRevision(fileId, revisionId) {
+        const revisions = await this.listRevisions(fileId);
+        const target = revisions.find(r => r.id === revisionId);
+        if (target && target.keepForever) return;
+
+        const pinned = revisions
+            .filter(r => r.keepForever)
+            .sort((a, b) => new Date(a.modifiedTime) - new Date(b.modifiedTime));
+        if (pinned.length + 1 > DRIVE_PIN_SOFT_LIMIT) {
+            const release = pinned.slice(0, pinned.length + 1 - DRIVE_PIN_PRUNE_TO);
+            console.log(`📌 Releasing ${release.length} old pinned revisions of ${fileId}`);
+            for (const revision of release) {
+                await this.setRevisionKeepForever(fileId, revision.id, false);
+            }
+        }
 
-                const content = await this.downloadFile(file.id, (progress) => {
-                    if (onFileProgress) {
-                        onFileProgress(file.name, progress);
-                    }
-                });
+        await this.setRevisionKeepForever(fileId, revisionId, true);
+    },
 
-                downloadedFiles.push({
-                    name: file.name,
-                    content: content,
-                    mimeType: file.mimeType,
-                    md5Checksum: file.md5Checksum,
-                    size: file.size,
-                    modifiedTime: file.modifiedTime
-                });
+    async listRevisions(fileId) {
+        const token = await this.getValidToken();
+        if (!token) throw new Error('Not authenticated');
+
+        const revisions = [];
+        let pageToken = '';
+        do {
+            const url = `https://www.googleapis.com/drive/v3/files/${fileId}/revisions?fields=nextPageToken,revisions(id,keepForever,modifiedTime)&pageSize=1000${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+            const res = await fetch(url, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+
+            if (!res.ok) {
+                const errorText = await res.text();
+                throw new Error(`Failed to list revisions: ${res.status} ${errorText}`);
             }
 
-            return { success: true, files: downloadedFiles };
-        } catch (error) {
-            console.error('Download error:', error);
-            return { success: false, error: error.message };
+            const data = await res.json();
+            revisions.push(...(data.revisions || []));
+            pageToken = data.nextPageToken || '';
+        } while (pageToken);
+
+        return revisions;
+    },
+
+    async setRevisionKeepForever(fileId, revisionId, keepForever) {
+        const token = await this.getValidToken();
+        if (!token) throw new Error('Not authenticated');
+
+        const res = await fetch(`https://www.googleapis.com/drive/v3/files/${fileId}/revisions/${revisionId}?fields=id,keepForever`, {
+            method: 'PATCH',
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ keepForever })
+        });
+
+        if (!res.ok) {
+            const errorText = await res.text();
+            throw new Error(`Failed to ${keepForever ? 'pin' : 'unpin'} revision: ${res.status} ${errorText}`);
         }
     }
 };
@@ -0,0 +1,144 @@
+/**
+ * Health Check - pre-flight report run before a push
+ *
+ * Looks at the open project and the files about to be pushed. Errors would leave
+ * teammates with a broken project (offline, missing or empty media, unsaved edits);
+ * warnings are worth a look but do not block. The push waits until every error is
+ * fixed and re-checked, or explicitly waived.
+ */
+
+const HealthCheck = {
+    _driveTypes: null,
+
+    locationMessages: {
+        removable: 'On a removable drive - the push fails if it is unplugged, and later pushes need it connected',
+        network: 'On a network path - uploads are slower and the share may be unavailable next time',
+        external: 'On an external volume - later pushes need it mounted'
+    },
+
+    /**
+     * Check the project and its push list
+     * @param {{name: string, path: string}} project
+     * @param {Array} files - the push file list (name, path, type, size)
+     * @returns {Promise<{issues: Array, totalBytes: number, counts: Object}>}
+     */
+    async run(project, files) {
+        const fs = require('fs');
+        const path = require('path');
+        const projectRoot = path.dirname(project.path);
+        const issues = [];
+        const add = (severity, code, message, name, filePath) => {
+            issues.push({ id: `${code}|${filePath || name}`, severity, code, message, name, path: filePath || '' });
+        };
+        this._driveTypes = null;
+
+        // Unsaved edits would not be in the .prproj that gets uploaded
+        if (await FileSystem.evalHost('hasUnsavedChanges()') === 'true') {
+            add('error', 'unsaved', 'Project has unsaved changes - save before pushing', project.name, project.path);
+        }
+
+        try {
+            const offline = JSON.parse(await FileSystem.evalHost('getOfflineFiles()') || '{}');
+            for (const item of offline.files || []) {
+                add('error', 'offline', 'Offline in Premiere - relink it or remove it from the timeline', item.name, item.lastPath);
+            }
+        } catch (e) {
+            console.warn('⚠️ Could not check offline media:', e.message);
+        }
+
+        let totalBytes = 0;
+        let fileCount = 0;
+        for (const file of files) {
+            if (!file.path || !fs.existsSync(file.path)) {
+                add('error', 'missing', 'Missing on disk', file.name, file.path);
+                continue;
+            }
+
+            const size = fs.statSync(file.path).size;
+            totalBytes += size;
+            fileCount++;
+            if (size === 0) {
+                add('error', 'empty', 'Zero-byte file - probably a failed copy or export', file.name, file.path);
+            }
+
+            const location = await this.getLocationType(file.path);
+            if (location !== 'local') {
+                add('warning', location, this.locationMessages[location], file.name, file.path);
+            }
+
+            if (/\.aep$/i.test(file.path) && !file.aeBundle && !this.isInsideFolder(file.path, projectRoot)) {
+                add('warning', 'aep-outside', 'After Effects project outside the project folder - teammates get it under external_*/ and must relink the Dynamic Link', file.name, file.path);
+            }
+        }
+
+        add('info', 'size', `Total upload: ${formatBytes(totalBytes)} in ${fileCount} file(s)`, project.name, project.path);
+
+        const counts = { error: 0, warning: 0, info: 0 };
+        issues.forEach(issue => counts[issue.severity]++);
+        console.log(`🩺 Health check: ${counts.error} error(s), ${counts.warning} warning(s), ${formatBytes(totalBytes)} to push`);
+        return { issues, totalBytes, counts };
+    },
+
+    isInsideFolder(filePath, folder) {
+        const normalize = (value) => (value || '').replace(/\\/g, '/').replace(/\/+$/, '').toLowerCase();
+        const file = normalize(require('path').resolve(filePath));
+        const root = normalize(folder);
+        return !!root && file.startsWith(root + '/');
+    },
+
+    /**
+     * Where a file lives: 'local', 'removable', 'network' or 'external' (macOS volumes)
+     */
+    async getLocationType(filePath) {
+        if (/^[\\/]{2}/.test(filePath)) return 'network';
+
+        if (process.platform === 'win32') {
+            const match = /^([a-zA-Z]):/.exec(filePath);
+            if (!match) return 'local';
+            const types = await this._loadDriveTypes();
+            const type = types[match[1].toUpperCase()];
+            if (type === 2) return 'removable';
+            if (type === 4) return 'network';
+            return 'local';
+        }
+
+        // The boot volume also appears under /Volumes as a link to /
+        const volume = /^\/Volumes\/([^/]+)/.exec(filePath);
+        if (volume) {
+            try {
+                if (require('fs').realpathSync(`/Volumes/${volume[1]}`) === '/') return 'local';
+            } catch (e) {
+                // unmounted volume
+            }
+            return 'external';
+        }
+        return 'local';
+    },
+
+    /**
+     * Drive letter -> Win32_LogicalDisk DriveType (2 = removable, 4 = network)
+     */
+    _loadDriveTypes() {
+        if (this._driveTypes) return this._driveTypes;
+
+        this._driveTypes = new Promise((resolve) => {
+            const command = 'Get-CimInstance Win32_LogicalDisk | Select-Object DeviceID,DriveType | ConvertTo-Json';
+            require('child_process').execFile('powershell', ['-NoProfile', '-Command', command], { timeout: 5000, windowsHide: true }, (err, stdout) => {
+                const types = {};
+                if (err) {
+                    console.warn('⚠️ Could not read drive types:', err.message);
+                    resolve(types);
+                    return;
+                }
+                try {
+                    const disks = [].concat(JSON.parse(stdout));
+                    disks.forEach(disk => { types[disk.DeviceID.charAt(0).toUpperCase()] = disk.DriveType; });
+                } catch (e) {
+                    console.warn('⚠️ Could not parse drive types:', e.message);
+                }
+                resolve(types);
+            });
+        });
+        return this._driveTypes;
+    }
+};
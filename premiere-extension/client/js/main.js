@@ -62,6 +62,10 @@ let currentProject = null;
 let teamProjects = [];
 let projectLocks = {};
 let pendingFilesToPush = [];
+let pendingPushPlan = null; // { deleted, summary } once the push planner has run
+let pushPlanRun = 0;
+let pushSequences = []; // [{ id, name, active }] from the last dependency scan
+let excludedSequenceIds = new Set();
 let isPushing = false;
 let isPulling = false;
 
@@ -183,6 +187,17 @@ function setupEventListeners() {
     elements.btnSettings.addEventListener('click', () => openModal('modal-settings'));
     elements.btnDeactivate.addEventListener('click', handleLogout);
 
+    const btnSaveServer = document.getElementById('btn-save-server');
+    if (btnSaveServer) {
+        btnSaveServer.addEventListener('click', handleSaveServerSettings);
+    }
+
+    ['input-parallel-transfers', 'input-upload-limit', 'input-download-limit',
+        'toggle-throttle-hours', 'input-hours-start', 'input-hours-end', 'toggle-media-pool'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('change', handleSaveTransferSettings);
+    });
+
     // Current project refresh
     elements.btnRefreshCurrent.addEventListener('click', refreshCurrentProject);
 
@@ -216,6 +231,35 @@ function setupEventListeners() {
         });
     }
 
+    // Proxy options: push attached proxies, pull proxies instead of originals
+    const includeProxiesToggle = document.getElementById('toggle-include-proxies');
+    if (includeProxiesToggle) {
+        includeProxiesToggle.checked = !!Config.data.includeProxiesOnPush;
+        includeProxiesToggle.addEventListener('change', (e) => {
+            Config.data.includeProxiesOnPush = !!e.target.checked;
+            Config.save();
+        });
+    }
+    const packageAeToggle = document.getElementById('toggle-package-ae');
+    if (packageAeToggle) {
+        packageAeToggle.checked = Config.data.packageAeProjects !== false;
+        packageAeToggle.addEventListener('change', (e) => {
+            Config.data.packageAeProjects = !!e.target.checked;
+            Config.save();
+        });
+    }
+    const proxyOnlyPullToggle = document.getElementById('toggle-proxy-only-pull');
+    if (proxyOnlyPullToggle) {
+        proxyOnlyPullToggle.checked = !!Config.data.pullProxiesOnly;
+        proxyOnlyPullToggle.addEventListener('change', (e) => {
+            Config.data.pullProxiesOnly = !!e.target.checked;
+            Config.save();
+            if (explorerContext.projectId) {
+                renderProjectExplorer(explorerContext.files, explorerContext.offlineFiles, explorerContext.targetFolder, explorerContext.isCurrentProject);
+            }
+        });
+    }
+
     // Add project
     elements.btnAddFile.addEventListener('click', handleAddProject);
 
@@ -398,13 +442,101 @@ function showMainPanel() {
         elements.settingsServerUrl.textContent = 'Google Drive (OAuth)';
     }
 
+    const serverUrlInput = document.getElementById('input-server-url');
+    const apiKeyInput = document.getElementById('input-api-key');
+    if (serverUrlInput) serverUrlInput.value = Config.data.serverUrl || '';
+    if (apiKeyInput) apiKeyInput.value = Config.data.apiKey || '';
+
+    showTransferSettings();
+
     const includeProjectMediaToggle = document.getElementById('toggle-include-project-media');
     if (includeProjectMediaToggle) {
         includeProjectMediaToggle.checked = !!Config.data.includeProjectMediaOnPush;
     }
+    const includeProxiesToggle = document.getElementById('toggle-include-proxies');
+    if (includeProxiesToggle) {
+        includeProxiesToggle.checked = !!Config.data.includeProxiesOnPush;
+    }
+    const packageAeToggle = document.getElementById('toggle-package-ae');
+    if (packageAeToggle) {
+        packageAeToggle.checked = Config.data.packageAeProjects !== false;
+    }
     updateFilesScopeLabel();
 }
 
+/**
+ * Save the team server URL and API key (used for locks, activity and version history)
+ */
+async function handleSaveServerSettings() {
+    const serverUrl = document.getElementById('input-server-url').value.trim().replace(/\/+$/, '');
+    const apiKey = document.getElementById('input-api-key').value.trim();
+    const statusEl = document.getElementById('server-key-status');
+
+    if (!serverUrl || !apiKey) {
+        if (statusEl) statusEl.textContent = 'Enter both a server URL and an API key';
+        return;
+    }
+
+    if (statusEl) statusEl.textContent = 'Checking key...';
+    const result = await SyncEngine.validateKey(apiKey, serverUrl);
+
+    if (!result.valid) {
+        if (statusEl) statusEl.textContent = `❌ ${result.error || 'Invalid API key'}`;
+        return;
+    }
+
+    Config.data.serverUrl = serverUrl;
+    Config.data.apiKey = apiKey;
+    Config.data.editorName = result.editorName || Config.data.editorName;
+    Config.save();
+
+    elements.editorNameDisplay.textContent = Config.data.editorName || 'Editor';
+    if (elements.settingsEditorName) {
+        elements.settingsEditorName.textContent = Config.data.editorName;
+    }
+    if (statusEl) statusEl.textContent = `✅ Connected as ${Config.data.editorName}`;
+}
+
+/**
+ * Fill the Transfers settings from Config
+ */
+function showTransferSettings() {
+    const setValue = (id, value) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    };
+    setValue('input-parallel-transfers', Config.getTransferConcurrency());
+    setValue('input-upload-limit', Config.data.uploadLimitMbps || 0);
+    setValue('input-download-limit', Config.data.downloadLimitMbps || 0);
+    setValue('input-hours-start', Config.data.workingHoursStart || '09:00');
+    setValue('input-hours-end', Config.data.workingHoursEnd || '18:00');
+
+    const hoursToggle = document.getElementById('toggle-throttle-hours');
+    if (hoursToggle) hoursToggle.checked = !!Config.data.throttleWorkingHoursOnly;
+
+    const poolToggle = document.getElementById('toggle-media-pool');
+    if (poolToggle) poolToggle.checked = MediaPool.isEnabled();
+}
+
+/**
+ * Save parallel transfers, bandwidth caps, the working-hours schedule and media pool use
+ * Takes effect on the next chunk of any running transfer.
+ */
+function handleSaveTransferSettings() {
+    const readNumber = (id) => Math.max(0, parseFloat(document.getElementById(id).value) || 0);
+
+    Config.data.maxParallelTransfers = parseInt(document.getElementById('input-parallel-transfers').value, 10) || 3;
+    Config.data.uploadLimitMbps = readNumber('input-upload-limit');
+    Config.data.downloadLimitMbps = readNumber('input-download-limit');
+    Config.data.throttleWorkingHoursOnly = document.getElementById('toggle-throttle-hours').checked;
+    Config.data.workingHoursStart = document.getElementById('input-hours-start').value || '09:00';
+    Config.data.workingHoursEnd = document.getElementById('input-hours-end').value || '18:00';
+    Config.data.useMediaPool = document.getElementById('toggle-media-pool').checked;
+    Config.save();
+
+    showTransferSettings();
+}
+
 /* ============================================
    GOOGLE DRIVE AUTHENTICATION
    ============================================ */
@@ -508,12 +640,21 @@ async function initializeSync() {
     // Load team projects from server
     await refreshTeamProjects();
 
-    // Start periodic checks
-    SyncEngine.startPeriodicCheck((state) => {
+    // Poll until the event stream connects, and again whenever it drops
+    const onPolledState = (state) => {
         if (state) {
             handleSyncState(state);
         }
         updateLastCheckTime();
+    };
+    SyncEngine.startPeriodicCheck(onPolledState);
+
+    SyncEngine.startEventStream(handleSyncEvent, (connected) => {
+        if (connected) {
+            SyncEngine.stopPeriodicCheck();
+        } else if (!SyncEngine.checkInterval) {
+            SyncEngine.startPeriodicCheck(onPolledState);
+        }
     });
 }
 
@@ -523,6 +664,10 @@ function handleSyncState(state) {
     if (state.locks) {
         state.locks.forEach(lock => {
             projectLocks[lock.project_name] = lock;
+            // Resume the heartbeat for our own locks after a panel reload
+            if (lock.locked_by === Config.data.editorName && !SyncEngine.lockHeartbeats[lock.project_name]) {
+                SyncEngine.startLockHeartbeat(lock.project_name, handleLockLost);
+            }
         });
     }
 
@@ -530,6 +675,40 @@ function handleSyncState(state) {
     renderTeamProjects();
 }
 
+/**
+ * Handle a live event from the server's event stream
+ */
+function handleSyncEvent(type, event) {
+    // Every event carries the current locks, so the list never drifts
+    if (event.locks) {
+        handleSyncState({ locks: event.locks });
+    }
+    updateLastCheckTime();
+
+    if (type === 'snapshot') return;
+
+    const isMine = event.editorName === Config.data.editorName;
+    const who = escapeHtml(event.editorName || 'Someone');
+    const project = escapeHtml(event.projectName || 'a project');
+    const messages = {
+        push: `📤 ${who} just pushed ${project}`,
+        pull: `📥 ${who} just pulled ${project}`,
+        lock: `🔒 ${who} locked ${project}`,
+        unlock: `🔓 ${who} unlocked ${project}`,
+        restore: `🕘 ${project} was restored to version ${event.restoredFrom}`,
+        'auto-unlock': `🔓 ${who}'s lock on ${project} expired`,
+        'force-unlock': `🔓 An admin released the lock on ${project}`
+    };
+
+    if (type === 'push' || type === 'restore') {
+        refreshTeamProjects();
+    }
+
+    if (!isMine && messages[type]) {
+        showNotification(messages[type], 'info');
+    }
+}
+
 /* ============================================
    FOLDER MANAGEMENT
    ============================================ */
@@ -828,11 +1007,12 @@ async function handlePushCurrent() {
         console.log('📦 Scanning timeline files...');
         console.log('Current project:', currentProject);
 
-        // Get timeline files only (not all project panel files)
-        console.log('🔍 Calling getTimelineFiles...');
-        const timelineFilesArray = await FileSystem.getTimelineFiles();
-        console.log('✅ Timeline files:', timelineFilesArray);
-        console.log('✅ Timeline files count:', timelineFilesArray?.length || 0);
+        // Media used by every sequence, each tagged with the sequences that use it
+        console.log('🔍 Calling getSequenceFiles...');
+        const sequenceScan = await FileSystem.getSequenceFiles();
+        const timelineFilesArray = sequenceScan.files;
+        pushSequences = sequenceScan.sequences;
+        console.log(`✅ ${timelineFilesArray.length} files across ${pushSequences.length} sequence(s)`);
 
         // Build file list
         const allFiles = [];
@@ -854,7 +1034,8 @@ async function handlePushCurrent() {
             path: currentProject.path,
             type: 'project',
             size: projectSize,
-            selected: true
+            selected: true,
+            includedBecause: 'Project file'
         });
         seenPaths.add(currentProject.path);
 
@@ -881,16 +1062,21 @@ async function handlePushCurrent() {
                         path: file.path,
                         type: file.type || 'file',
                         size: fileSize,
-                        selected: true
+                        selected: true,
+                        proxyPath: file.proxyPath || '',
+                        duration: file.duration || null,
+                        frameRate: file.frameRate || null,
+                        sequences: file.sequences || [],
+                        includedBecause: describeInclusion(file.chains)
                     });
                     seenPaths.add(file.path);
                 }
             });
         } else {
-            console.warn('⚠️ No timeline files detected');
-            if (timelineFilesArray && timelineFilesArray.error) {
-                console.error('Timeline error:', timelineFilesArray.error);
-                alert('⚠️ Timeline scanning error: ' + timelineFilesArray.error + '\n\nMake sure you have an active sequence open.');
+            console.warn('⚠️ No sequence media detected');
+            if (sequenceScan.error) {
+                console.error('Sequence scan error:', sequenceScan.error);
+                alert('⚠️ Sequence scanning error: ' + sequenceScan.error + '\n\nMake sure the project has at least one sequence.');
             }
         }
 
@@ -916,7 +1102,11 @@ async function handlePushCurrent() {
                             path: mediaFile.path,
                             type: mediaFile.type || 'file',
                             size: fileSize,
-                            selected: true
+                            selected: true,
+                            proxyPath: mediaFile.proxyPath || '',
+                            duration: mediaFile.duration || null,
+                            frameRate: mediaFile.frameRate || null,
+                            includedBecause: 'In the project panel'
                         });
                         seenPaths.add(mediaFile.path);
                     }
@@ -925,7 +1115,53 @@ async function handlePushCurrent() {
                 console.warn('Could not merge project media files:', projectMediaError);
             }
         } else {
-            console.log('📌 Push scope: timeline dependencies only (project panel merge disabled)');
+            console.log('📌 Push scope: sequence dependencies only (project panel merge disabled)');
+        }
+
+        // Captions, templates, LUTs, fonts and merged-clip sources found in the .prproj
+        try {
+            const fs = require('fs');
+            const assets = await AssetCollector.collect(currentProject.path, timelineFilesArray);
+            for (const asset of assets) {
+                if (seenPaths.has(asset.path)) continue;
+                allFiles.push({
+                    name: asset.name,
+                    path: asset.path,
+                    type: asset.assetType || 'file',
+                    size: fs.statSync(asset.path).size,
+                    selected: true,
+                    assetType: asset.assetType || undefined,
+                    sequences: asset.sequences || [],
+                    includedBecause: asset.reason
+                });
+                seenPaths.add(asset.path);
+            }
+        } catch (assetError) {
+            console.warn('Could not collect project assets:', assetError);
+        }
+
+        // Optional: attached proxies go up too, into a proxies/ subtree for remote editors
+        if (Config.data.includeProxiesOnPush) {
+            const fs = require('fs');
+            const path = require('path');
+            for (const file of allFiles.slice()) {
+                if (!file.proxyPath || seenPaths.has(file.proxyPath)) continue;
+                if (!fs.existsSync(file.proxyPath)) {
+                    console.warn(`⚠️ Proxy for ${file.name} not found on disk: ${file.proxyPath}`);
+                    continue;
+                }
+                allFiles.push({
+                    name: `[Proxy] ${path.basename(file.proxyPath)}`,
+                    path: file.proxyPath,
+                    type: 'proxy',
+                    size: fs.statSync(file.proxyPath).size,
+                    selected: true,
+                    proxyFor: file.path,
+                    sequences: file.sequences || [],
+                    includedBecause: `Proxy of ${file.name}`
+                });
+                seenPaths.add(file.proxyPath);
+            }
         }
 
         console.log('📋 Total files found:', allFiles.length);
@@ -951,9 +1187,11 @@ async function handlePushCurrent() {
 
             const fs = require('fs');
             const path = require('path');
+            const bundleRoot = path.join(require('os').tmpdir(), 'teamsync-ae-bundles');
+            const bundleNames = new Set();
 
             for (const aepFile of aepFiles) {
-                console.log(`🎬 Binary scanning AE project: ${aepFile.path}`);
+                console.log(`🎬 Collecting AE project: ${aepFile.path}`);
 
                 try {
                     if (!fs.existsSync(aepFile.path)) {
@@ -961,6 +1199,54 @@ async function handlePushCurrent() {
                         continue;
                     }
 
+                    // Preferred: a collected bundle (AE Collect Files) that replaces the .aep
+                    if (Config.data.packageAeProjects !== false) {
+                        btn.innerHTML = `📦 Packaging ${aepFile.name}...`;
+                        const stem = path.basename(aepFile.path, path.extname(aepFile.path));
+                        let bundleName = stem;
+                        for (let n = 2; bundleNames.has(bundleName.toLowerCase()); n++) bundleName = `${stem}_${n}`;
+                        bundleNames.add(bundleName.toLowerCase());
+
+                        const bundleFolder = path.join(bundleRoot, bundleName);
+                        fs.rmSync(bundleFolder, { recursive: true, force: true });
+                        fs.mkdirSync(bundleFolder, { recursive: true });
+
+                        const bundle = await FileSystem.packageAEProject(aepFile.path, bundleFolder);
+                        const bundleFiles = bundle.error ? [] : FileSystem.getFilesInFolder(bundleFolder, true);
+                        if (bundleFiles.some(f => f.extension === '.aep')) {
+                            // The bundle's .aep takes the original's place in the push
+                            const originalIndex = allFiles.findIndex(f => f.path === aepFile.path);
+                            if (originalIndex !== -1) allFiles.splice(originalIndex, 1);
+
+                            for (const bundleFile of bundleFiles) {
+                                const bundlePath = path.relative(bundleFolder, bundleFile.path);
+                                const isProject = bundleFile.extension === '.aep';
+                                allFiles.push({
+                                    name: isProject ? aepFile.name : `[AE] ${bundleFile.name}`,
+                                    path: bundleFile.path,
+                                    type: isProject ? (aepFile.type || 'file') : 'file',
+                                    size: bundleFile.size,
+                                    selected: true,
+                                    isAeFootage: !isProject,
+                                    aeBundle: bundleName,
+                                    bundlePath: toForwardSlash(bundlePath),
+                                    sourcePath: isProject ? aepFile.path : undefined,
+                                    sequences: aepFile.sequences || [],
+                                    includedBecause: isProject
+                                        ? describeInclusion(aepFile.chains)
+                                        : `Footage of After Effects project ${aepFile.name}`
+                                });
+                                seenPaths.add(bundleFile.path);
+                            }
+                            if (bundle.missing && bundle.missing.length > 0) {
+                                console.warn(`⚠️ ${bundle.missing.length} footage file(s) of ${aepFile.name} are missing and were not packaged:`, bundle.missing);
+                            }
+                            console.log(`📦 Packaged ${aepFile.name}: ${bundle.copiedCount} footage item(s) in ae_bundles/${bundleName}/`);
+                            continue;
+                        }
+                        console.warn(`⚠️ Could not package ${aepFile.name}${bundle.error ? `: ${bundle.error}` : ''}. Falling back to a footage scan...`);
+                    }
+
                     // Preferred path: ask AE directly via BridgeTalk.
                     // This captures nested comps and linked media more reliably than binary parsing.
                     const compNames = (aepFile.compNames && aepFile.compNames.length > 0)
@@ -996,7 +1282,9 @@ async function handlePushCurrent() {
                             type: type,
                             size: fileSize,
                             selected: true,
-                            isAeFootage: true
+                            isAeFootage: true,
+                            sequences: aepFile.sequences || [],
+                            includedBecause: `Footage of After Effects project ${aepFile.name}`
                         });
                         seenPaths.add(footage.path);
                         bridgeTalkAdded++;
@@ -1117,7 +1405,9 @@ async function handlePushCurrent() {
                                 type: type,
                                 size: fileSize,
                                 selected: true,
-                                isAeFootage: true
+                                isAeFootage: true,
+                                sequences: aepFile.sequences || [],
+                                includedBecause: `Footage of After Effects project ${aepFile.name}`
                             });
                             seenPaths.add(foundPath);
                             console.log(`  ✅ AE footage: ${fileName} (${foundPath})`);
@@ -1134,6 +1424,21 @@ async function handlePushCurrent() {
             console.log('📋 Total files after AE scan:', allFiles.length);
         }
 
+        // Pre-flight report: errors must be fixed or waived before anything is uploaded
+        const btn = elements.btnPush;
+        const originalBtnText = btn.innerHTML;
+        btn.innerHTML = '🩺 Checking project...';
+        let healthOk;
+        try {
+            healthOk = await showHealthCheckModal(currentProject, allFiles);
+        } finally {
+            btn.innerHTML = originalBtnText;
+        }
+        if (!healthOk) {
+            console.log('🩺 Push stopped at the health check');
+            return;
+        }
+
         // Show file selection modal
         showFileSelectionModal(currentProject.name, allFiles);
 
@@ -1144,33 +1449,316 @@ async function handlePushCurrent() {
     }
 }
 
+/**
+ * Show the pre-push health check for the files about to be pushed
+ * @returns {Promise<boolean>} true when every error is fixed or waived and the user continues
+ */
+async function showHealthCheckModal(project, files) {
+    const modal = document.getElementById('modal-health-check');
+    const summaryEl = document.getElementById('health-summary');
+    const listEl = document.getElementById('health-list');
+    const cancelBtn = document.getElementById('btn-health-cancel');
+    const saveBtn = document.getElementById('btn-health-save');
+    const recheckBtn = document.getElementById('btn-health-recheck');
+    const continueBtn = document.getElementById('btn-health-continue');
+    if (!modal) return true;
+
+    let report = await HealthCheck.run(project, files);
+    const waived = new Set();
+
+    return new Promise((resolve) => {
+        const blockingErrors = () => report.issues.filter(issue => issue.severity === 'error' && !waived.has(issue.id));
+
+        const render = () => {
+            summaryEl.innerHTML = `
+                <div class="upload-report-stat"><strong>${report.counts.error}</strong>Errors</div>
+                <div class="upload-report-stat"><strong>${report.counts.warning}</strong>Warnings</div>
+                <div class="upload-report-stat"><strong>${formatBytes(report.totalBytes)}</strong>To upload</div>
+            `;
+            listEl.innerHTML = report.issues.map((issue, index) => `
+                <div class="upload-report-row">
+                    <div class="upload-report-status ${issue.severity}">${issue.severity.toUpperCase()}</div>
+                    <div class="upload-report-name" title="${escapeReportText(issue.path).replace(/"/g, '&quot;')}">${escapeReportText(issue.name)}</div>
+                    <div class="upload-report-reason">
+                        ${escapeReportText(issue.message)}
+                        ${issue.severity === 'error' ? `
+                            <label class="health-waive">
+                                <input type="checkbox" data-waive="${index}" ${waived.has(issue.id) ? 'checked' : ''}>
+                                Waive
+                            </label>` : ''}
+                    </div>
+                </div>
+            `).join('');
+            saveBtn.classList.toggle('hidden', !report.issues.some(issue => issue.code === 'unsaved'));
+            updateContinue();
+        };
+
+        const updateContinue = () => {
+            const remaining = blockingErrors().length;
+            continueBtn.disabled = remaining > 0;
+            continueBtn.textContent = remaining > 0 ? `${remaining} error(s) to fix or waive` : 'Continue';
+        };
+
+        const recheck = async () => {
+            recheckBtn.disabled = true;
+            recheckBtn.textContent = 'Checking...';
+            try {
+                report = await HealthCheck.run(project, files);
+            } finally {
+                recheckBtn.disabled = false;
+                recheckBtn.textContent = 'Re-check';
+            }
+            render();
+        };
+
+        const finish = (proceed) => {
+            modal.classList.add('hidden');
+            listEl.onchange = null;
+            cancelBtn.onclick = null;
+            saveBtn.onclick = null;
+            recheckBtn.onclick = null;
+            continueBtn.onclick = null;
+            resolve(proceed);
+        };
+
+        listEl.onchange = (e) => {
+            const issue = report.issues[e.target.getAttribute('data-waive')];
+            if (!issue) return;
+            if (e.target.checked) waived.add(issue.id);
+            else waived.delete(issue.id);
+            updateContinue();
+        };
+
+        saveBtn.onclick = async () => {
+            await FileSystem.evalHost('saveProject()');
+            await recheck();
+        };
+        recheckBtn.onclick = recheck;
+        cancelBtn.onclick = () => finish(false);
+        continueBtn.onclick = () => {
+            const waivedIssues = report.issues.filter(issue => waived.has(issue.id));
+            if (waivedIssues.length > 0) {
+                console.warn(`🩺 Pushing with ${waivedIssues.length} waived error(s):`, waivedIssues.map(issue => `${issue.name}: ${issue.message}`));
+            }
+            finish(true);
+        };
+
+        render();
+        modal.classList.remove('hidden');
+    });
+}
+
+/**
+ * Let the editor pick the file for each offline clip the relinker could not decide on
+ * @param {Array<{item, candidates}>} review - candidates ranked best first
+ * @returns {Promise<Array<{item, path}>>} the confirmed choices (none when skipped)
+ */
+function showRelinkReviewModal(review) {
+    const modal = document.getElementById('modal-relink-review');
+    const listEl = document.getElementById('relink-review-list');
+    const skipBtn = document.getElementById('btn-relink-skip');
+    const confirmBtn = document.getElementById('btn-relink-confirm');
+    if (!modal) return Promise.resolve([]);
+
+    listEl.innerHTML = review.map(({ item, candidates }, index) => `
+        <div class="upload-report-row relink-row">
+            <div class="upload-report-name" title="${escapeReportText(item.lastPath).replace(/"/g, '&quot;')}">
+                ${escapeReportText(item.name)}
+                <div class="upload-report-why">${escapeReportText(item.lastPath || 'No previous path')}</div>
+            </div>
+            <div>
+                <select class="relink-choice" data-review="${index}">
+                    ${candidates.map((candidate, c) => `
+                        <option value="${c}" ${c === 0 && candidate.score >= 0 ? 'selected' : ''}>
+                            ${escapeReportText(candidate.relativePath)} (${candidate.score}) - ${escapeReportText(candidate.reasons.join(', ') || 'Name only')}
+                        </option>`).join('')}
+                    <option value="" ${candidates[0].score < 0 ? 'selected' : ''}>Leave offline</option>
+                </select>
+            </div>
+        </div>
+    `).join('');
+
+    return new Promise((resolve) => {
+        const finish = (choices) => {
+            modal.classList.add('hidden');
+            skipBtn.onclick = null;
+            confirmBtn.onclick = null;
+            resolve(choices);
+        };
+
+        skipBtn.onclick = () => finish([]);
+        confirmBtn.onclick = () => {
+            const choices = [];
+            listEl.querySelectorAll('.relink-choice').forEach(select => {
+                if (select.value === '') return;
+                const { item, candidates } = review[select.getAttribute('data-review')];
+                choices.push({ item, path: candidates[select.value].path });
+            });
+            finish(choices);
+        };
+
+        modal.classList.remove('hidden');
+    });
+}
+
+/**
+ * Why a scanned file is part of the push, from the sequence chains the host reported
+ * e.g. "Used in Long cut > Intro [nested] > Cam [multicam]"
+ */
+function describeInclusion(chains) {
+    if (!chains || chains.length === 0) return '';
+    const shown = chains.slice(0, 3).map(chain => chain.join(' > ')).join('; ');
+    return `Used in ${shown}${chains.length > 3 ? ` and ${chains.length - 3} more` : ''}`;
+}
+
 // File Selection Modal
 function showFileSelectionModal(projectName, files) {
     pendingFilesToPush = files.map(f => ({ ...f, selected: true }));
+    pendingPushPlan = null;
+    excludedSequenceIds = new Set();
 
     const listContainer = document.getElementById('file-selection-list');
+    renderSequenceFilter();
     renderFileSelectionList(listContainer);
     updateFilesScopeLabel();
     updateFilesCount();
 
     openModal('modal-files');
+    planPendingPush(projectName);
+}
+
+/**
+ * Compare the selection with the last push and badge each file new/changed/unchanged
+ * The modal stays usable while this runs; files without a plan upload as before.
+ */
+async function planPendingPush(projectName) {
+    const run = ++pushPlanRun;
+    const summaryEl = document.getElementById('files-plan-summary');
+    if (summaryEl) summaryEl.textContent = 'Comparing with the last push...';
+
+    try {
+        const plan = await PushPlanner.plan(
+            projectName.replace('.prproj', ''),
+            currentProject.path,
+            pendingFilesToPush,
+            (done, total) => {
+                if (run === pushPlanRun && summaryEl) summaryEl.textContent = `Comparing with the last push... ${done}/${total}`;
+            }
+        );
+        if (run !== pushPlanRun) return; // modal was reopened meanwhile
+
+        // Merge the results into the current list so ticks and sequence filtering done
+        // while planning ran are kept; files that are gone from disk cannot be uploaded
+        const plannedByPath = new Map(plan.files.map(file => [file.path, file]));
+        pendingFilesToPush = pendingFilesToPush.map(file => {
+            const planned = plannedByPath.get(file.path);
+            if (!planned) return file;
+            return {
+                ...file,
+                planStatus: planned.planStatus,
+                localMd5: planned.localMd5,
+                manifestEntry: planned.manifestEntry,
+                selected: planned.planStatus === 'deleted' ? false : file.selected
+            };
+        });
+        pendingPushPlan = { deleted: plan.deleted, summary: plan.summary };
+
+        const s = plan.summary;
+        if (summaryEl) {
+            summaryEl.textContent = plan.manifest
+                ? `${s.new} new, ${s.changed} changed, ${s.unchanged} unchanged, ${s.deleted} deleted locally • ${formatBytes(s.uploadBytes)} to upload`
+                : `First push • ${formatBytes(s.uploadBytes)} to upload`;
+        }
+        renderFileSelectionList(document.getElementById('file-selection-list'));
+        updateFilesCount();
+    } catch (e) {
+        console.warn('⚠️ Push planning failed:', e);
+        if (run === pushPlanRun && summaryEl) summaryEl.textContent = 'Could not compare with the last push';
+    }
+}
+
+/**
+ * Sequence checkboxes above the file list; only shown when the project has several edits
+ */
+function renderSequenceFilter() {
+    const filterEl = document.getElementById('files-sequence-filter');
+    if (!filterEl) return;
+    if (pushSequences.length < 2) {
+        filterEl.innerHTML = '';
+        return;
+    }
+
+    filterEl.innerHTML = '<span class="files-sequence-label">Sequences:</span>' + pushSequences.map((sequence, index) => {
+        const count = pendingFilesToPush.filter(f => (f.sequences || []).includes(sequence.id)).length;
+        return `
+            <label class="checkbox-label" title="${count} file(s) used in this sequence">
+                <input type="checkbox" ${excludedSequenceIds.has(sequence.id) ? '' : 'checked'} onchange="toggleSequenceFilter(${index}, this.checked)">
+                ${escapeHtml(sequence.name)}${sequence.active ? ' (active)' : ''}
+            </label>
+        `;
+    }).join('');
+}
+
+/**
+ * Include or leave out one sequence; files still used by another included sequence stay selected
+ */
+function toggleSequenceFilter(index, included) {
+    const sequence = pushSequences[index];
+    if (!sequence) return;
+    if (included) excludedSequenceIds.delete(sequence.id);
+    else excludedSequenceIds.add(sequence.id);
+
+    pendingFilesToPush.forEach(file => {
+        const sequences = file.sequences || [];
+        if (sequences.length === 0 || file.planStatus === 'deleted') return;
+        file.selected = sequences.some(id => !excludedSequenceIds.has(id));
+    });
+    renderFileSelectionList(document.getElementById('file-selection-list'));
+    updateFilesCount();
+}
+window.toggleSequenceFilter = toggleSequenceFilter;
+
+function sequenceNamesFor(file) {
+    if (pushSequences.length < 2 || !file.sequences || file.sequences.length === 0) return '';
+    return pushSequences.filter(sequence => file.sequences.includes(sequence.id)).map(sequence => sequence.name).join(', ');
 }
 
 function renderFileSelectionList(container) {
+    const planLabels = { new: 'New', changed: 'Changed', unchanged: 'Unchanged', deleted: 'Missing on disk' };
+
     container.innerHTML = pendingFilesToPush.map((file, index) => {
         const icon = getFileIcon(file.type);
         const sizeText = file.size ? formatBytes(file.size) : '0 B';
+        const badge = file.planStatus
+            ? `<span class="plan-badge plan-${file.planStatus}">${planLabels[file.planStatus]}</span>`
+            : '';
+        const usedIn = sequenceNamesFor(file);
         return `
             <div class="file-selection-item ${file.selected ? 'selected' : ''}" data-index="${index}" onclick="toggleFileSelection(${index})">
                 <input type="checkbox" ${file.selected ? 'checked' : ''} onclick="event.stopPropagation(); toggleFileSelection(${index})">
                 <div class="file-selection-icon">${icon}</div>
                 <div class="file-selection-info">
                     <div class="file-selection-name">${escapeHtml(file.name)}</div>
-                    <div class="file-selection-meta">${escapeHtml(file.type || 'file')} • ${sizeText}</div>
+                    <div class="file-selection-meta">${escapeHtml(file.type || 'file')} • ${sizeText}${usedIn ? ` • ${escapeHtml(usedIn)}` : ''}</div>
                 </div>
+                ${badge}
             </div>
         `;
     }).join('');
+
+    // Files from the last push that are no longer part of the project
+    if (pendingPushPlan && pendingPushPlan.deleted.length > 0) {
+        container.innerHTML += pendingPushPlan.deleted.map(entry => `
+            <div class="file-selection-item plan-deleted-item">
+                <div class="file-selection-icon">🗑️</div>
+                <div class="file-selection-info">
+                    <div class="file-selection-name">${escapeHtml(entry.drivePath || entry.name)}</div>
+                    <div class="file-selection-meta">In the last push, not in this one • stays on Drive</div>
+                </div>
+                <span class="plan-badge plan-deleted">Deleted locally</span>
+            </div>
+        `).join('');
+    }
 }
 
 function toggleFileSelection(index) {
@@ -1197,7 +1785,7 @@ function updateFilesScopeLabel() {
     if (!scopeLabel) return;
     scopeLabel.textContent = Config.data.includeProjectMediaOnPush
         ? 'Scope: All project media'
-        : 'Scope: Timeline only';
+        : 'Scope: Sequence media only';
 }
 
 function getFileIcon(type) {
@@ -1207,6 +1795,11 @@ function getFileIcon(type) {
         case 'audio': return '🎵';
         case 'image': return '🖼️';
         case 'project': return '🎬';
+        case 'proxy': return '🎞️';
+        case 'caption': return '💬';
+        case 'mogrt': return '✨';
+        case 'lut': return '🎨';
+        case 'font': return '🔤';
         default: return '📄';
     }
 }
@@ -1247,10 +1840,13 @@ function showUploadReportModal(result) {
             const statusLabel = status.toUpperCase();
             const name = escapeReportText(entry.drivePath || entry.name || 'Unknown file');
             const reason = escapeReportText(entry.reason || '');
+            const includedBecause = entry.includedBecause
+                ? `<div class="upload-report-why">${escapeReportText(entry.includedBecause)}</div>`
+                : '';
             return `
                 <div class="upload-report-row">
                     <div class="upload-report-status ${status}">${statusLabel}</div>
-                    <div class="upload-report-name">${name}</div>
+                    <div class="upload-report-name">${name}${includedBecause}</div>
                     <div class="upload-report-reason">${reason}</div>
                 </div>
             `;
@@ -1260,6 +1856,55 @@ function showUploadReportModal(result) {
     modal.classList.remove('hidden');
 }
 
+/**
+ * Every item a relink touched: old and new path, why it matched, or why it failed
+ * "Undo Relink" puts the whole batch back on its previous paths.
+ */
+function showRelinkReportModal(result) {
+    const modal = document.getElementById('modal-relink-report');
+    const summaryEl = document.getElementById('relink-report-summary');
+    const listEl = document.getElementById('relink-report-list');
+    const undoBtn = document.getElementById('btn-relink-undo');
+    if (!modal || !summaryEl || !listEl) return;
+
+    const skipped = result.entries.filter(entry => entry.status === 'skipped').length;
+    summaryEl.innerHTML = `
+        <div class="upload-report-stat"><strong>${result.relinked}</strong>Relinked</div>
+        <div class="upload-report-stat"><strong>${result.failed}</strong>Failed</div>
+        <div class="upload-report-stat"><strong>${result.unmatched}</strong>No match</div>
+        <div class="upload-report-stat"><strong>${skipped}</strong>Left offline</div>
+    `;
+
+    listEl.innerHTML = result.entries.map(entry => `
+        <div class="upload-report-row">
+            <div class="upload-report-status ${entry.status}">${entry.status.toUpperCase()}</div>
+            <div class="upload-report-name">
+                ${escapeReportText(entry.name)}
+                <div class="upload-report-why">Was: ${escapeReportText(entry.oldPath || 'no path')}</div>
+                ${entry.newPath ? `<div class="upload-report-why">Now: ${escapeReportText(entry.newPath)}</div>` : ''}
+            </div>
+            <div class="upload-report-reason">${escapeReportText([entry.reason, entry.error].filter(Boolean).join(' - '))}</div>
+        </div>
+    `).join('');
+
+    if (undoBtn) {
+        undoBtn.disabled = !Relinker.lastBatch || Relinker.lastBatch.length === 0;
+        undoBtn.textContent = '↩️ Undo Relink';
+        undoBtn.onclick = async () => {
+            if (!confirm(`Put ${Relinker.lastBatch.length} relinked item(s) back on their previous paths?`)) return;
+            undoBtn.disabled = true;
+            undoBtn.textContent = 'Undoing...';
+            const outcome = await Relinker.undoLastBatch();
+            undoBtn.textContent = `Restored ${outcome.restored}`;
+            if (outcome.failed.length > 0) {
+                alert(`Could not restore ${outcome.failed.length} item(s):\n\n${outcome.failed.map(f => `${f.name}: ${f.error}`).join('\n')}`);
+            }
+        };
+    }
+
+    modal.classList.remove('hidden');
+}
+
 async function handlePushSelectedFiles() {
     const selectedFiles = pendingFilesToPush.filter(f => f.selected);
 
@@ -1268,6 +1913,15 @@ async function handlePushSelectedFiles() {
         return;
     }
 
+    // The server will not record a push while someone else holds the lock
+    const pushName = currentProject.name.replace('.prproj', '');
+    const locks = await SyncEngine.getLocks();
+    const lock = Array.isArray(locks) ? locks.find(l => l.project_name === pushName) : null;
+    if (lock && lock.locked_by !== Config.data.editorName) {
+        alert(`🔒 ${pushName} is locked by ${lock.locked_by}.\n\nWait until they release it before pushing.`);
+        return;
+    }
+
     closeAllModals();
 
     // Show progress UI
@@ -1315,6 +1969,7 @@ async function handlePushSelectedFiles() {
         btn.classList.remove('disabled-look');
         btn.style.cursor = '';
         pendingFilesToPush = [];
+        pendingPushPlan = null;
     }
 }
 
@@ -1376,60 +2031,14 @@ async function handlePullProjectOld(projectId, projectName) {
                 message += `Skipped: ${result.skippedCount} (unchanged)\n`;
             }
 
-            // Handle conflicts - ask user what to do
+            // Files changed on both sides go through the conflict modal
             if (result.conflicts && result.conflicts.length > 0) {
-                message += `\n⚠️ ${result.conflicts.length} file(s) have conflicts (different sizes):\n`;
-                result.conflicts.forEach(c => {
-                    message += `  - ${c.name}\n`;
-                });
-                message += `\nThese files were NOT downloaded yet.`;
-
-                alert(message);
-
-                // Ask if user wants to overwrite with Drive versions
-                const overwrite = window.confirm(
-                    `Do you want to UPDATE local files with Drive versions?\n\n` +
-                    `⚠️ This will overwrite your local copies!\n\n` +
-                    `Conflicted files:\n${result.conflicts.map(c => `  - ${c.name}`).join('\n')}\n\n` +
-                    `OK = Use Drive version\nCancel = Keep local version`
-                );
-
-                if (overwrite) {
-                    // Download conflicted files
-                    let overwriteCount = 0;
-                    for (const conflict of result.conflicts) {
-                        try {
-                            console.log(`Downloading conflict: ${conflict.name}`);
-                            const fileContent = await GoogleDrive.downloadFile(conflict.driveFile.id);
-
-                            // Convert to Base64
-                            let binary = '';
-                            const len = fileContent.byteLength;
-                            for (let i = 0; i < len; i++) {
-                                binary += String.fromCharCode(fileContent[i]);
-                            }
-                            const base64Content = btoa(binary);
-
-                            // Write file
-                            const writeResult = cep.fs.writeFile(conflict.localPath, base64Content, cep.encoding.Base64);
-                            if (writeResult.err === 0) {
-                                console.log(`✅ Overwritten: ${conflict.name}`);
-                                overwriteCount++;
-                            } else {
-                                console.error(`❌ Failed to write: ${conflict.name}`);
-                            }
-                        } catch (error) {
-                            console.error(`Error downloading ${conflict.name}:`, error);
-                        }
-                    }
-
-                    alert(`✅ Updated ${overwriteCount} file(s) from Drive!`);
+                const resolution = await resolveConflicts(result.conflicts, 'ask', projectName);
+                if (resolution.cancelled) {
+                    message += `\n⚠️ ${result.conflicts.length} conflicted file(s) left untouched.`;
                 } else {
-                    alert(`Kept local versions of ${result.conflicts.length} file(s).`);
+                    message += `\nResolved ${resolution.resolved} conflict(s).`;
                 }
-
-                // Skip the rest, already handled
-                return;
             }
 
             message += `\n\nLocation:\n${result.projectPath}`;
@@ -1505,8 +2114,10 @@ async function handleImportProject(projectName) {
     // Also get all the files associated with this project from the server
     let projectFiles = [];
     try {
-        const filesResponse = await fetch(`${Config.data.serverUrl}/api/projects/${encodeURIComponent(projectName)}/files`);
-        projectFiles = await filesResponse.json();
+        const filesResponse = await fetch(`${Config.data.serverUrl}/api/projects/${encodeURIComponent(projectName)}/files`, {
+            headers: SyncEngine.authHeaders()
+        });
+        if (filesResponse.ok) projectFiles = await filesResponse.json();
     } catch (e) {
         console.log('Could not fetch project files:', e);
     }
@@ -1615,10 +2226,13 @@ async function handleLockAndEdit(projectName) {
         projectLocks[projectName] = {
             project_name: projectName,
             locked_by: Config.data.editorName,
-            locked_at: new Date().toISOString()
+            locked_at: new Date().toISOString(),
+            expires_at: result.expiresAt
         };
+        SyncEngine.startLockHeartbeat(projectName, handleLockLost);
 
         renderTeamProjects();
+        updateExplorerLockButton();
         alert(`✅ Project locked!\n\nYou can now safely edit ${projectName}.\nOthers won't be able to edit until you release.`);
     } else {
         alert(`❌ ${result.error}`);
@@ -1629,11 +2243,13 @@ async function handleUnlock(projectName) {
     const result = await SyncEngine.unlockProject(projectName);
 
     if (result.success) {
+        SyncEngine.stopLockHeartbeat(projectName);
         await SyncEngine.logActivity('unlock', projectName);
         closeAllModals();
 
         delete projectLocks[projectName];
         renderTeamProjects();
+        updateExplorerLockButton();
 
         alert(`✅ Lock released for ${projectName}`);
     } else {
@@ -1641,6 +2257,51 @@ async function handleUnlock(projectName) {
     }
 }
 
+/**
+ * Called when a lock heartbeat finds the lease gone (expired or force-unlocked)
+ */
+function handleLockLost(projectName, result) {
+    delete projectLocks[projectName];
+    renderTeamProjects();
+    updateExplorerLockButton();
+    alert(`⚠️ Your lock on ${projectName} was released.\n\n${result.error || 'The lease expired.'}\nLock it again before making more changes.`);
+}
+
+/**
+ * Lock or release the project open in the explorer
+ */
+async function handleExplorerLockToggle() {
+    const { projectName } = explorerContext;
+    if (!projectName) return;
+
+    const lock = projectLocks[projectName];
+    if (lock && lock.locked_by === Config.data.editorName) {
+        await handleUnlock(projectName);
+    } else {
+        await handleLockAndEdit(projectName);
+    }
+    // Lock handlers close every modal; bring the explorer back
+    reopenExplorerModal();
+}
+window.handleExplorerLockToggle = handleExplorerLockToggle;
+
+function updateExplorerLockButton() {
+    const btn = document.getElementById('btn-explorer-lock');
+    const { projectName } = explorerContext;
+    if (!btn || !projectName) return;
+
+    const lock = projectLocks[projectName];
+    const isLockedByOther = lock && lock.locked_by !== Config.data.editorName;
+    btn.disabled = !!isLockedByOther;
+    if (isLockedByOther) {
+        btn.textContent = `🔒 ${lock.locked_by}`;
+    } else if (lock) {
+        btn.textContent = '🔓 Release Lock';
+    } else {
+        btn.textContent = '🔒 Lock';
+    }
+}
+
 async function handlePushProject(projectName) {
     await SyncEngine.logActivity('push', projectName);
     closeAllModals();
@@ -1734,8 +2395,9 @@ function renderProjectExplorer(driveFiles, offlineFiles, targetFolder, isCurrent
 
         // Check if this file is Offline in Premiere
         // Match by name, or by fileName from original path, or by filename at end of Drive name
+        // Proxies are attached, never linked in place of the original
         const driveBaseName = file.name.includes('/') ? file.name.split('/').pop() : file.name;
-        const offlineItem = offlineFiles.find(of =>
+        const offlineItem = !file.proxyFor && offlineFiles.find(of =>
             of.name === file.name ||
             of.name === driveBaseName ||
             (of.fileName && of.fileName === file.name) ||
@@ -1748,6 +2410,10 @@ function renderProjectExplorer(driveFiles, offlineFiles, targetFolder, isCurrent
             // Escaping backslashes for JS string in HTML attribute
             const safePath = targetFolder.replace(/\\/g, '\\\\');
             actionBtn = `<button class="btn btn-primary btn-small" onclick="handleSingleFilePull('${file.id}', '${file.name}', '${safePath}', '${offlineItem.nodeId}')">Pull & Link</button>`;
+        } else if (!exists && file.proxyName && Config.data.pullProxiesOnly) {
+            statusHtml = '<span class="status-proxy">🎞️ Proxy Only</span>';
+            const safePath = targetFolder.replace(/\\/g, '\\\\');
+            actionBtn = `<button class="btn btn-secondary btn-small" onclick="handleSingleFilePull('${file.id}', '${file.name}', '${safePath}', null)">Full-Res</button>`;
         } else if (!exists) {
             statusHtml = '<span class="status-missing">Missing Locally</span>';
             const safePath = targetFolder.replace(/\\/g, '\\\\');
@@ -1777,6 +2443,7 @@ function renderProjectExplorer(driveFiles, offlineFiles, targetFolder, isCurrent
         if (file.mimeType && file.mimeType.includes('image')) icon = '🖼️';
         if (file.mimeType && file.mimeType.includes('audio')) icon = '🎵';
         if (file.name.endsWith('.prproj')) icon = '🟣';
+        if (file.proxyFor) icon = '🎞️';
 
         row.innerHTML = `
             <div class="col-name" title="${file.name}">
@@ -1792,7 +2459,7 @@ function renderProjectExplorer(driveFiles, offlineFiles, targetFolder, isCurrent
 }
 
 // Store explorer context for Pull All
-let explorerContext = { files: [], targetFolder: '', offlineFiles: [] };
+let explorerContext = { files: [], targetFolder: '', offlineFiles: [], projectId: null, projectName: '' };
 let pullCancelled = false;
 
 /**
@@ -1810,7 +2477,11 @@ window.cancelPullAll = cancelPullAll;
  * Pull All files from the current project explorer
  */
 async function handlePullAll() {
-    const { files, targetFolder, offlineFiles } = explorerContext;
+    const { targetFolder, offlineFiles } = explorerContext;
+    // Proxy-only pulls leave originals that have a proxy on Drive until "Fetch Full-Res"
+    const files = Config.data.pullProxiesOnly
+        ? (explorerContext.files || []).filter(f => !f.proxyName)
+        : explorerContext.files;
     if (!files || files.length === 0) {
         alert('No files to pull.');
         return;
@@ -1838,10 +2509,8 @@ async function handlePullAll() {
     let skipped = 0;
     let cancelled = 0;
     const total = files.length;
-
-    // Node.js fs for checking local files
-    let fs = null;
-    try { if (typeof require !== 'undefined') fs = require('fs'); } catch (e) { }
+    const conflicts = [];
+    let projectRewrite = null;
 
     // Sort files so .prproj is LAST — ensures all media is downloaded before project patching
     files.sort((a, b) => {
@@ -1853,36 +2522,47 @@ async function handlePullAll() {
     for (const file of files) {
         // Check for cancellation
         if (pullCancelled) {
-            cancelled = total - pulled - skipped;
+            cancelled = total - pulled - skipped - conflicts.length;
             console.log(`🛑 Pull cancelled. ${pulled} pulled, ${skipped} skipped, ${cancelled} cancelled.`);
             break;
         }
 
-        const processedBefore = pulled + skipped;
+        const processedBefore = pulled + skipped + conflicts.length;
         const remainingBefore = Math.max(0, total - processedBefore);
         if (statusEl) statusEl.textContent = `Pulling ${processedBefore + 1}/${total}: ${file.name} (remaining: ${remainingBefore})`;
 
-        // Check if already synced locally
-        const localPath = `${targetFolder}\\${file.name}`;
-        let exists = false;
-        let localSize = -1;
-        if (fs && fs.existsSync(localPath)) {
-            exists = true;
-            localSize = fs.statSync(localPath).size;
-        }
-        const driveSize = parseInt(file.size) || 0;
+        // Compare local, Drive and the last synced version
+        const localPath = SyncState.resolveLocalPath(targetFolder, file.name);
+        const classification = await SyncState.classify(targetFolder, file.name, localPath, file);
 
-        if (exists && localSize === driveSize) {
+        if (classification.state === 'unchanged' || classification.state === 'local') {
+            // Already synced, or edited only here (kept for the next push)
+            if (classification.state === 'unchanged') {
+                SyncState.recordFile(targetFolder, file.name, localPath, file, classification.localMd5);
+            }
             skipped++;
-            const processedNow = pulled + skipped;
+            const processedNow = pulled + skipped + conflicts.length;
             const remainingNow = Math.max(0, total - processedNow);
             if (statusEl) statusEl.textContent = `Skipped ${file.name} (${processedNow}/${total}, remaining: ${remainingNow})`;
-            continue; // Already synced, skip
+            continue;
+        }
+
+        if (classification.state === 'both') {
+            console.warn(`⚠️ ${file.name} changed locally and on Drive`);
+            conflicts.push({
+                name: file.name,
+                localPath,
+                projectPath: targetFolder,
+                driveFile: file,
+                projectFiles: explorerContext.files,
+                localMd5: classification.localMd5
+            });
+            continue;
         }
 
-        // Find if this file is offline in timeline
+        // Find if this file is offline in timeline (proxies are attached afterwards instead)
         const pullBaseName = file.name.includes('/') ? file.name.split('/').pop() : file.name;
-        const offlineItem = offlineFiles.find(of =>
+        const offlineItem = !file.proxyFor && offlineFiles.find(of =>
             of.name === file.name ||
             of.name === pullBaseName ||
             (of.fileName && of.fileName === file.name) ||
@@ -1893,49 +2573,81 @@ async function handlePullAll() {
 
         try {
             const safePath = targetFolder.replace(/\\/g, '\\\\');
-            await handleSingleFilePull(file.id, file.name, safePath, linkNodeId);
+            const rewrite = await handleSingleFilePull(file.id, file.name, safePath, linkNodeId);
+            if (file.name.endsWith('.prproj')) projectRewrite = rewrite;
             pulled++;
-            const processedNow = pulled + skipped;
+            const processedNow = pulled + skipped + conflicts.length;
             const remainingNow = Math.max(0, total - processedNow);
             if (statusEl) statusEl.textContent = `Pulled ${file.name} (${processedNow}/${total}, remaining: ${remainingNow})`;
         } catch (e) {
             console.error(`Failed to pull ${file.name}:`, e);
-            const processedNow = pulled + skipped;
+            const processedNow = pulled + skipped + conflicts.length;
             const remainingNow = Math.max(0, total - processedNow);
             if (statusEl) statusEl.textContent = `Error pulling ${file.name} (${processedNow}/${total}, remaining: ${remainingNow})`;
         }
     }
 
+    SyncState.save(targetFolder);
+
+    // Files changed on both sides go through the conflict modal
+    let conflictNote = '';
+    if (conflicts.length > 0 && !pullCancelled) {
+        if (statusEl) statusEl.textContent = `⚠️ ${conflicts.length} conflict(s) need a decision...`;
+        const resolution = await resolveConflicts(conflicts, 'ask', explorerContext.projectName);
+        conflictNote = resolution.cancelled
+            ? ` ⚠️ ${conflicts.length} conflicted file(s) left untouched.`
+            : ` Resolved ${resolution.resolved} conflict(s).`;
+        if (!resolution.cancelled) pulled += resolution.results.filter(r => r.choice !== 'local').length;
+    } else if (conflicts.length > 0) {
+        conflictNote = ` ⚠️ ${conflicts.length} conflicted file(s) left untouched.`;
+    }
+
     // Handle cancellation
     if (pullCancelled) {
-        if (statusEl) statusEl.textContent = `🛑 Cancelled! Pulled ${pulled}, skipped ${skipped}, cancelled ${cancelled} files.`;
+        if (statusEl) statusEl.textContent = `🛑 Cancelled! Pulled ${pulled}, skipped ${skipped}, cancelled ${cancelled} files.${conflictNote}`;
     } else {
-        // Auto-relink all offline media after pulling
+        // Auto-relink all offline media after pulling, unless a pulled .prproj
+        // (not the one open in Premiere) already had every media path rewritten
         if (pulled > 0) {
-            if (statusEl) statusEl.textContent = `🔗 Auto-relinking offline media...`;
-            console.log('🔗 Running auto-relink for target folder:', targetFolder);
+            const projectOnline = projectRewrite && projectRewrite.unresolved.length === 0 && !explorerContext.isCurrentProject;
+            if (projectOnline) {
+                if (statusEl) statusEl.textContent = `Done! Pulled ${pulled} files, ${projectRewrite.rewritten} media path(s) rewritten. ${skipped} already synced.${conflictNote}`;
+            } else {
+                if (statusEl) statusEl.textContent = `🔗 Auto-relinking offline media...`;
+                console.log('🔗 Running auto-relink for target folder:', targetFolder);
 
-            try {
-                const relinkResult = await new Promise(resolve => {
-                    const escapedPath = targetFolder.replace(/\\/g, '\\\\');
-                    FileSystem.csInterface.evalScript(`autoRelinkOfflineMedia('${escapedPath}')`, resolve);
-                });
+                try {
+                    const r = await Relinker.relinkProject(targetFolder, explorerContext.files);
+                    if (r.entries.length > 0) showRelinkReportModal(r);
 
-                console.log('Auto-relink result:', relinkResult);
-                const r = JSON.parse(relinkResult);
+                    if (r.relinked > 0) {
+                        if (statusEl) statusEl.textContent = `Done! Pulled ${pulled} files, relinked ${r.relinked} media. ${skipped} already synced.${conflictNote}`;
+                        console.log(`✅ Auto-relinked ${r.relinked} offline media items`);
+                    } else {
+                        if (statusEl) statusEl.textContent = `Done! Pulled ${pulled} files, ${skipped} already synced.${conflictNote}`;
+                    }
+                } catch (relinkErr) {
+                    console.error('Auto-relink error:', relinkErr);
+                    if (statusEl) statusEl.textContent = `Done! Pulled ${pulled} files, ${skipped} already synced. (Relink failed)${conflictNote}`;
+                }
+            }
 
-                if (r.relinked > 0) {
-                    if (statusEl) statusEl.textContent = `Done! Pulled ${pulled} files, relinked ${r.relinked} media. ${skipped} already synced.`;
-                    console.log(`✅ Auto-relinked ${r.relinked} offline media items`);
-                } else {
-                    if (statusEl) statusEl.textContent = `Done! Pulled ${pulled} files, ${skipped} already synced.`;
+            try {
+                await AssetCollector.restorePulledAssets(targetFolder, files);
+            } catch (assetErr) {
+                console.error('Asset restore error:', assetErr);
+            }
+
+            try {
+                const proxyResult = await attachPulledProxies(files, targetFolder);
+                if (proxyResult && proxyResult.attached > 0 && statusEl) {
+                    statusEl.textContent += ` Attached ${proxyResult.attached} proxies.`;
                 }
-            } catch (relinkErr) {
-                console.error('Auto-relink error:', relinkErr);
-                if (statusEl) statusEl.textContent = `Done! Pulled ${pulled} files, ${skipped} already synced. (Relink failed)`;
+            } catch (proxyErr) {
+                console.error('Proxy attach error:', proxyErr);
             }
         } else {
-            if (statusEl) statusEl.textContent = `Done! ${skipped} files already synced.`;
+            if (statusEl) statusEl.textContent = `Done! ${skipped} files already synced.${conflictNote}`;
         }
     }
 
@@ -1955,6 +2667,94 @@ async function handlePullAll() {
 
 window.handlePullAll = handlePullAll;
 
+/**
+ * Attach pulled proxies (files listed with proxyFor) to their full-res clips in Premiere
+ */
+async function attachPulledProxies(files, targetFolder) {
+    const fs = require('fs');
+    const projectFiles = explorerContext.files || files;
+    // The original's clip is found by its path here or on the pusher's machine;
+    // the file name alone is only used by the host when it is unique
+    const mapping = files
+        .filter(f => f.proxyFor)
+        .map(f => {
+            const original = projectFiles.find(o => o.name === f.proxyFor);
+            return {
+                fileName: f.proxyFor.split('/').pop(),
+                mediaPaths: [SyncState.resolveLocalPath(targetFolder, f.proxyFor), original && original.sourcePath].filter(Boolean),
+                proxyPath: SyncState.resolveLocalPath(targetFolder, f.name)
+            };
+        })
+        .filter(m => fs.existsSync(m.proxyPath));
+    if (mapping.length === 0) return null;
+
+    console.log(`🎞️ Attaching ${mapping.length} proxies...`);
+    const resultStr = await FileSystem.evalHost(`attachProxies(${JSON.stringify(mapping)})`);
+    const result = JSON.parse(resultStr);
+    console.log('Attach proxies result:', result);
+    return result;
+}
+
+/**
+ * Drive original behind a Premiere clip: the file whose path here or on the pusher's
+ * machine (sourcePath) is the clip's media path, else the only file with its name
+ */
+function findDriveOriginal(files, targetFolder, mediaPath, fileName) {
+    const normalize = p => (p || '').replace(/\\/g, '/').toLowerCase();
+    const name = (fileName || '').toLowerCase();
+    const candidates = files.filter(f => !f.proxyFor && f.name.split('/').pop().toLowerCase() === name);
+
+    if (mediaPath) {
+        const wantedPath = normalize(mediaPath);
+        const exact = candidates.find(f =>
+            normalize(f.sourcePath) === wantedPath ||
+            normalize(SyncState.resolveLocalPath(targetFolder, f.name)) === wantedPath);
+        if (exact) return exact;
+    }
+    return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Download the full-res originals of the clips selected in Premiere and link them
+ * (proxy-only pulls leave originals on Drive until they are needed)
+ */
+async function handleFetchFullRes() {
+    const { files, targetFolder } = explorerContext;
+    const statusEl = document.getElementById('explorer-status');
+
+    const selectionStr = await FileSystem.evalHost('getSelectedMedia()');
+    let selection = [];
+    try {
+        selection = JSON.parse(selectionStr).files || [];
+    } catch (e) {
+        console.warn('Could not read Premiere selection:', e);
+    }
+    if (selection.length === 0) {
+        alert('Select clips in the Project panel or on the timeline first.');
+        return;
+    }
+
+    const wanted = [];
+    for (const item of selection) {
+        const driveFile = findDriveOriginal(files || [], targetFolder, item.lastPath, item.fileName || item.name);
+        if (driveFile) wanted.push({ driveFile, nodeId: item.nodeId });
+    }
+    if (wanted.length === 0) {
+        alert('None of the selected clips have a full-res original in this project on Drive.');
+        return;
+    }
+
+    pullCancelled = false;
+    for (let i = 0; i < wanted.length; i++) {
+        if (pullCancelled) break;
+        const { driveFile, nodeId } = wanted[i];
+        if (statusEl) statusEl.textContent = `Fetching full-res ${i + 1}/${wanted.length}: ${driveFile.name}`;
+        await handleSingleFilePull(driveFile.id, driveFile.name, targetFolder, nodeId);
+    }
+}
+
+window.handleFetchFullRes = handleFetchFullRes;
+
 /**
  * Reopen the explorer modal from the floating download indicator
  */
@@ -2001,37 +2801,40 @@ async function handleSingleFilePull(fileId, fileName, targetFolder, linkNodeId)
         if (progressFileName) progressFileName.textContent = fileName;
         if (statusEl) statusEl.textContent = `Downloading ${fileName}...`;
 
-        // Download with progress tracking
-        const accessToken = await GoogleDrive.getValidToken();
-        const downloadUrl = `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`;
+        const fs = require('fs');
+        const path = require('path');
+
+        const targetPath = `${targetFolder}\\${fileName.replace(/\//g, '\\')}`;
 
         // Track download speed
-        let startTime = Date.now();
-        let lastTime = startTime;
+        let lastTime = Date.now();
         let lastLoaded = 0;
 
-        const content = await new Promise((resolve, reject) => {
-            const xhr = new XMLHttpRequest();
-            xhr.open('GET', downloadUrl, true);
-            xhr.setRequestHeader('Authorization', `Bearer ${accessToken}`);
-            xhr.responseType = 'arraybuffer';
-
-            xhr.onprogress = (event) => {
-                if (event.lengthComputable) {
-                    const percentage = (event.loaded / event.total) * 100;
-                    const loadedMB = (event.loaded / (1024 * 1024)).toFixed(2);
-                    const totalMB = (event.total / (1024 * 1024)).toFixed(2);
+        // Stream straight to disk (parent folders for "subfolder/file.aep" are created on the way);
+        // an interrupted pull of this version resumes from its .part file
+        const pulledDriveFile = (explorerContext.files || []).find(f => f.id === fileId);
+        const pulledMd5 = pulledDriveFile ? pulledDriveFile.md5Checksum : null;
+
+        // Same content already on this machine (e.g. pooled media from another project)
+        const reused = !fs.existsSync(targetPath) && await MediaPool.reuseLocalCopy(pulledMd5, targetPath);
+        if (!reused) {
+            await GoogleDrive.downloadFileToPath(fileId, targetPath, {
+                revisionId: pulledDriveFile ? pulledDriveFile.revisionId : null,
+                md5Checksum: pulledMd5,
+                isCancelled: () => pullCancelled,
+                onProgress: (loaded, total) => {
+                    const percentage = total ? (loaded / total) * 100 : 0;
+                    const loadedMB = (loaded / (1024 * 1024)).toFixed(2);
+                    const totalMB = (total / (1024 * 1024)).toFixed(2);
 
                     // Calculate speed
                     const now = Date.now();
                     const timeDiff = now - lastTime;
                     if (timeDiff > 500) { // Update speed every 500ms
-                        const bytesDiff = event.loaded - lastLoaded;
-                        const speed = (bytesDiff / timeDiff) * 1000; // bytes per second
-                        const speedKB = (speed / 1024).toFixed(1);
-                        if (progressSpeed) progressSpeed.textContent = `${speedKB} KB/s`;
+                        const speed = ((loaded - lastLoaded) / timeDiff) * 1000; // bytes per second
+                        if (progressSpeed) progressSpeed.textContent = `${formatBytes(speed)}/s`;
                         lastTime = now;
-                        lastLoaded = event.loaded;
+                        lastLoaded = loaded;
                     }
 
                     // Update UI
@@ -2039,140 +2842,59 @@ async function handleSingleFilePull(fileId, fileName, targetFolder, linkNodeId)
                     if (progressPercentage) progressPercentage.textContent = `${percentage.toFixed(0)}%`;
                     if (progressSize) progressSize.textContent = `${loadedMB} / ${totalMB} MB`;
                 }
-            };
-
-            xhr.onload = () => {
-                if (xhr.status === 200) {
-                    resolve(new Uint8Array(xhr.response));
-                } else {
-                    reject(new Error(`Download failed: ${xhr.statusText}`));
-                }
-            };
-
-            xhr.onerror = () => reject(new Error('Network error'));
-            xhr.send();
-        });
+            });
+        }
 
         // Hide progress bar
         if (progressContainer) progressContainer.classList.add('hidden');
-        if (statusEl) statusEl.textContent = `Writing file...`;
-
-        // 2. Write to disk
-        const fs = require('fs');
-        const path = require('path');
-
-        const targetPath = `${targetFolder}\\${fileName.replace(/\//g, '\\')}`;
-
-        // Ensure ALL parent folders exist (handles subfolder files like "subfolder/file.aep")
-        const parentDir = path.dirname(targetPath);
-        if (!fs.existsSync(parentDir)) {
-            fs.mkdirSync(parentDir, { recursive: true });
-            console.log(`📁 Created directory: ${parentDir}`);
-        }
-
-        // Write using Node.js fs directly (more reliable than cep.fs for binary)
-        const nodeBuffer = Buffer.from(content);
-        fs.writeFileSync(targetPath, nodeBuffer);
 
         console.log(`✅ Saved to: ${targetPath}`);
+        if (!fileName.endsWith('.prproj')) MediaPool.remember(pulledMd5, targetPath);
 
-        // 2.5 PATCH .prproj file: Replace media paths to point to download folder
+        // 2.5 Rewrite the .prproj's media paths to where the manifest put each file here
+        let projectRewrite = null;
         if (fileName.endsWith('.prproj')) {
             try {
-                console.log('🔧 Patching .prproj media paths...');
-                if (statusEl) statusEl.textContent = `Patching project paths...`;
-
-                const zlib = require('zlib');
-
-                // Read and decompress the .prproj (gzip-compressed XML)
-                const prprojBuffer = fs.readFileSync(targetPath);
-                const xmlBuffer = zlib.gunzipSync(prprojBuffer);
-                let xmlString = xmlBuffer.toString('utf8');
-
-                // Build a map of available files in the target folder (recursive)
-                const availableFiles = {};
-                function scanFolder(dir) {
-                    try {
-                        const entries = fs.readdirSync(dir, { withFileTypes: true });
-                        for (const entry of entries) {
-                            const fullPath = path.join(dir, entry.name);
-                            if (entry.isFile()) {
-                                // Map by lowercase filename for matching
-                                availableFiles[entry.name.toLowerCase()] = fullPath;
-                            } else if (entry.isDirectory()) {
-                                scanFolder(fullPath); // Recurse into subfolders
-                            }
-                        }
-                    } catch (e) {
-                        console.warn('Could not scan folder:', dir, e.message);
-                    }
-                }
-                scanFolder(targetFolder);
-
-                console.log('📁 Available files in target folder:', Object.keys(availableFiles));
-
-                // Find and replace file paths in the XML
-                // Premiere stores paths in XML like: <ActualMediaFilePath>C:\original\path\file.ext</ActualMediaFilePath>
-                // Also in attributes and other elements
-                let patchCount = 0;
-
-                // Pattern: match Windows absolute paths (drive letter paths)
-                // This regex finds paths like C:\folder\subfolder\file.ext
-                const pathPattern = /([A-Z]:\\(?:[^<>"*?|\r\n]+\\)*([^<>"*?|\\\r\n]+\.[a-zA-Z0-9]{2,6}))/gi;
-
-                xmlString = xmlString.replace(pathPattern, (fullMatch, fullPath, basename) => {
-                    const lowerBasename = basename.toLowerCase();
-
-                    // Check if we have this file in our download folder
-                    if (availableFiles[lowerBasename]) {
-                        const newPath = availableFiles[lowerBasename];
-                        if (newPath.toLowerCase() !== fullPath.toLowerCase()) {
-                            patchCount++;
-                            console.log(`  🔗 ${basename}: ${fullPath} → ${newPath}`);
-                            return newPath;
-                        }
-                    }
-
-                    return fullMatch; // No change
-                });
-
-                console.log(`✅ Patched ${patchCount} media path(s) in .prproj`);
-
-                // Recompress and save
-                if (patchCount > 0) {
-                    const patchedXml = Buffer.from(xmlString, 'utf8');
-                    const recompressed = zlib.gzipSync(patchedXml);
-                    fs.writeFileSync(targetPath, recompressed);
-                    console.log('✅ Saved patched .prproj');
-                }
-
-            } catch (patchError) {
-                console.error('⚠️ Could not patch .prproj paths (non-fatal):', patchError.message);
+                if (statusEl) statusEl.textContent = `Rewriting project paths...`;
+                projectRewrite = ProjectRewriter.rewriteProjectFile(targetPath, targetFolder, explorerContext.files);
+            } catch (rewriteError) {
+                console.error('⚠️ Could not rewrite .prproj paths (non-fatal):', rewriteError.message);
                 // Non-fatal — project will still open, just with Link Media dialog
             }
         }
 
+        // 2.6 Record the pulled version as the new sync base
+        if (pulledDriveFile) {
+            // A rewritten .prproj no longer matches Drive byte-for-byte; remember what we wrote
+            const writtenMd5 = fileName.endsWith('.prproj') ? await computeLocalMd5({ filePath: targetPath }) : null;
+            SyncState.recordFile(targetFolder, fileName, targetPath, pulledDriveFile, writtenMd5);
+            SyncState.save(targetFolder);
+        }
+
         // 3. Auto-Actions
         if (linkNodeId === 'PROJECT_RELOAD') {
             // It's the project file!
             if (confirm('Project updated! Reload project now?')) {
                 await FileSystem.openProject(targetPath);
 
-                // Auto-relink offline media after project reload (with delay for load)
-                setTimeout(() => {
-                    const escapedFolder = targetFolder.replace(/\\/g, '\\\\');
-                    console.log('🔗 Auto-relinking media after project reload...');
-                    FileSystem.csInterface.evalScript(`autoRelinkOfflineMedia('${escapedFolder}')`, (res) => {
+                // Auto-relink offline media after project reload (with delay for load),
+                // unless the rewritten project already points at every file
+                if (projectRewrite && projectRewrite.unresolved.length === 0) {
+                    console.log('✅ All media paths rewritten, no relink needed');
+                } else {
+                    setTimeout(async () => {
+                        console.log('🔗 Auto-relinking media after project reload...');
                         try {
-                            const r = JSON.parse(res);
+                            const r = await Relinker.relinkProject(targetFolder, explorerContext.files);
+                            if (r.entries.length > 0) showRelinkReportModal(r);
                             if (r.relinked > 0) {
                                 console.log(`✅ Auto-relinked ${r.relinked} media items after reload`);
                             }
                         } catch (e) {
-                            console.warn('Auto-relink parse error:', e);
+                            console.warn('Auto-relink error:', e);
                         }
-                    });
-                }, 3000); // Wait 3s for project to fully load
+                    }, 3000); // Wait 3s for project to fully load
+                }
             }
         } else if (linkNodeId && linkNodeId !== 'null') {
             // It's a media file to link!
@@ -2200,10 +2922,17 @@ async function handleSingleFilePull(fileId, fileName, targetFolder, linkNodeId)
             }
         }, 1000);
 
+        return projectRewrite;
     } catch (e) {
+        const statusEl = document.getElementById('explorer-status');
+        if (e.cancelled) {
+            console.log(`🛑 Pull of ${fileName} cancelled`);
+            if (statusEl) statusEl.textContent = `Cancelled ${fileName}`;
+            if (progressContainer) progressContainer.classList.add('hidden');
+            return;
+        }
         console.error(e);
         alert(`Download failed: ${e.message}`);
-        const statusEl = document.getElementById('explorer-status');
         if (statusEl) statusEl.textContent = `Error downloading ${fileName}`;
         if (progressContainer) progressContainer.classList.add('hidden');
     } finally {
@@ -2261,7 +2990,7 @@ async function handlePullProject(projectId, projectName, skipLoading = false) {
 
     try {
         // 1. Fetch Drive Files
-        const driveFiles = await GoogleDrive.listFilesInFolder(projectId);
+        const driveFiles = await listCurrentProjectFiles(projectName, projectId);
         console.log(`Found ${driveFiles.length} files on Drive`);
 
         // 2. Fetch Offline Files from Premiere
@@ -2289,11 +3018,12 @@ async function handlePullProject(projectId, projectName, skipLoading = false) {
 
         if (status) status.textContent = `Found ${driveFiles.length} files. Rendering...`;
 
-        // Store context for Pull All button
-        explorerContext = { files: driveFiles, targetFolder, offlineFiles };
+        // Store context for Pull All and Versions buttons
+        explorerContext = { files: driveFiles, targetFolder, offlineFiles, projectId, projectName, isCurrentProject };
 
         // 4. Render File List
         renderProjectExplorer(driveFiles, offlineFiles, targetFolder, isCurrentProject);
+        updateExplorerLockButton();
         if (status) status.textContent = `Ready`;
 
     } catch (error) {
@@ -2303,4 +3033,81 @@ async function handlePullProject(projectId, projectName, skipLoading = false) {
     }
 }
 
+/* ============================================
+   PROJECT VERSION HISTORY
+   ============================================ */
+
+/**
+ * Show the recorded versions of the project open in the explorer
+ */
+async function showProjectVersions() {
+    const { projectName } = explorerContext;
+    const modal = document.getElementById('modal-project-versions');
+    const listEl = document.getElementById('versions-list');
+    if (!modal || !listEl || !projectName) return;
+
+    document.getElementById('versions-project-name').textContent = projectName;
+    listEl.innerHTML = '<div class="loading-message">Loading versions...</div>';
+    modal.classList.remove('hidden');
+
+    const versions = await SyncEngine.getProjectVersions(projectName);
+    if (!Array.isArray(versions) || versions.length === 0) {
+        listEl.innerHTML = '<div class="loading-message">No versions recorded yet. Every push creates one.</div>';
+        return;
+    }
+
+    listEl.innerHTML = versions.map((v, index) => {
+        const restoredNote = v.restored_from ? ` · restored from v${v.restored_from}` : '';
+        const action = index === 0
+            ? '<span class="version-current">Current</span>'
+            : `<button class="btn btn-secondary btn-small" onclick="handleRestoreVersion(${v.version})">↩️ Restore</button>`;
+        return `
+            <div class="upload-report-row version-row">
+                <div class="upload-report-status uploaded">v${v.version}</div>
+                <div class="upload-report-name">
+                    ${escapeReportText(v.created_by || 'Unknown')} · ${new Date(v.created_at).toLocaleString()}
+                    <div class="upload-report-reason">${v.file_count} files · ${formatBytes(v.total_size || 0)}${restoredNote}</div>
+                </div>
+                <div class="version-action">${action}</div>
+            </div>
+        `;
+    }).join('');
+}
+window.showProjectVersions = showProjectVersions;
+
+function closeProjectVersions() {
+    const modal = document.getElementById('modal-project-versions');
+    if (modal) modal.classList.add('hidden');
+}
+window.closeProjectVersions = closeProjectVersions;
+
+/**
+ * Restore a recorded version into the explorer's target folder.
+ * Files are pulled at the Drive revisions pinned by that push.
+ */
+async function handleRestoreVersion(version) {
+    const { projectId, projectName, targetFolder } = explorerContext;
+
+    if (!confirm(`Restore ${projectName} to version ${version}?\n\nLocal files that differ from that version will be overwritten.`)) {
+        return;
+    }
+
+    // The server records the restore as a new version, so teammates pull it too
+    const restored = await SyncEngine.restoreProjectVersion(projectName, version);
+    if (!restored.success) {
+        alert(`❌ Could not restore version ${version}: ${restored.error}`);
+        return;
+    }
+
+    closeProjectVersions();
 
+    const result = await downloadProjectWithProgress(projectName, projectId, targetFolder, true, true, { version: restored.manifest });
+
+    if (result.success) {
+        alert(`✅ Restored version ${version} as version ${restored.version}: ${result.downloadedCount} downloaded, ${result.skippedCount} already matched, ${result.failedCount} failed.`);
+        await handlePullProject(projectId, projectName, true);
+    } else {
+        alert(`❌ Version ${restored.version} was recorded but the download failed: ${result.error}`);
+    }
+}
+window.handleRestoreVersion = handleRestoreVersion;
@@ -0,0 +1,143 @@
+/**
+ * Media Pool - team-wide, content-addressed store for media shared across projects
+ *
+ * Pushed media goes into one "_media_pool" folder next to the project folders,
+ * named "<md5>.<ext>". A file used by ten projects is stored and uploaded once;
+ * project manifests point at the pool entry (pooled: true) and keep the file's
+ * project-relative path, so pulls still recreate the project's own folder tree.
+ *
+ * A local index (md5 -> path on this machine) lets pulls copy a file that is
+ * already on disk from another project instead of downloading it again.
+ */
+
+const MediaPool = {
+    indexStorageKey: 'teamsync_media_index',
+    maxIndexEntries: 20000,
+    _folderId: null,
+    _index: null,
+
+    /**
+     * Whether pushes should store media in the pool (settings toggle, off by default)
+     */
+    isEnabled() {
+        return Config.data.useMediaPool === true;
+    },
+
+    /**
+     * Drive folder ID of the pool, created on first use
+     */
+    async getFolderId() {
+        if (!this._folderId) {
+            this._folderId = await GoogleDrive.getOrCreateFolder(
+                GoogleDriveConfig.mediaPoolFolderName,
+                GoogleDriveConfig.teamProjectsFolderId
+            );
+        }
+        return this._folderId;
+    },
+
+    /**
+     * Name of a file inside the pool: its md5 plus the original extension
+     */
+    poolName(md5, fileName) {
+        const match = /\.[a-zA-Z0-9]{1,8}$/.exec(fileName || '');
+        return `${md5}${match ? match[0].toLowerCase() : ''}`;
+    },
+
+    // =============================================
+    // LOCAL INDEX
+    // =============================================
+
+    _loadIndex() {
+        if (this._index) return this._index;
+        try {
+            this._index = JSON.parse(localStorage.getItem(this.indexStorageKey) || '{}');
+        } catch (e) {
+            this._index = {};
+        }
+        return this._index;
+    },
+
+    _saveIndex() {
+        const index = this._loadIndex();
+        const keys = Object.keys(index);
+        // Oldest entries go first once the index is full
+        for (let i = 0; i < keys.length - this.maxIndexEntries; i++) {
+            delete index[keys[i]];
+        }
+        try {
+            localStorage.setItem(this.indexStorageKey, JSON.stringify(index));
+        } catch (e) {
+            console.warn('⚠️ Could not save media index:', e.message);
+        }
+    },
+
+    /**
+     * Remember that localPath holds the content with this md5
+     */
+    remember(md5, localPath) {
+        if (!md5 || !localPath) return;
+        try {
+            const stats = require('fs').statSync(localPath);
+            const index = this._loadIndex();
+            delete index[md5]; // re-insert so it counts as newest
+            index[md5] = { path: localPath, size: stats.size, mtimeMs: stats.mtimeMs };
+            this._saveIndex();
+        } catch (e) {
+            // file vanished - nothing to remember
+        }
+    },
+
+    /**
+     * Path of a local file that still holds this md5, or null
+     * Trusts the index while size and mtime are unchanged, re-hashes otherwise.
+     */
+    async findLocalCopy(md5, excludePath = null) {
+        const index = this._loadIndex();
+        const entry = index[md5];
+        if (!entry) return null;
+
+        const fs = require('fs');
+        const path = require('path');
+        if (excludePath && path.resolve(entry.path).toLowerCase() === path.resolve(excludePath).toLowerCase()) {
+            return null;
+        }
+
+        try {
+            const stats = fs.statSync(entry.path);
+            if (stats.size === entry.size && stats.mtimeMs === entry.mtimeMs) return entry.path;
+            if (await computeLocalMd5({ filePath: entry.path }) === md5) {
+                this.remember(md5, entry.path);
+                return entry.path;
+            }
+        } catch (e) {
+            // moved or deleted since it was indexed
+        }
+
+        delete index[md5];
+        this._saveIndex();
+        return null;
+    },
+
+    /**
+     * Copy an already-downloaded file with this md5 to targetPath
+     * @returns {Promise<boolean>} true when the copy was made and no download is needed
+     */
+    async reuseLocalCopy(md5, targetPath) {
+        if (!md5) return false;
+        const source = await this.findLocalCopy(md5, targetPath);
+        if (!source) return false;
+
+        const fs = require('fs');
+        try {
+            fs.mkdirSync(require('path').dirname(targetPath), { recursive: true });
+            fs.copyFileSync(source, targetPath, fs.constants.COPYFILE_FICLONE);
+            console.log(`♻️ Reused local copy of ${targetPath} from ${source}`);
+            this.remember(md5, targetPath);
+            return true;
+        } catch (e) {
+            console.warn(`⚠️ Could not reuse ${source}:`, e.message);
+            return false;
+        }
+    }
+};
@@ -0,0 +1,143 @@
+/**
+ * Project Rewriter - points a pulled .prproj at this machine's copies of its media
+ *
+ * Each manifest entry records the pusher's absolute path (sourcePath) next to the
+ * file's project-relative Drive path. Before the project is opened, every media path
+ * in the gzipped XML that the manifest knows is rewritten to where that file landed
+ * under the puller's project folder, so Premiere opens it online without a relink
+ * pass and without guessing between files that share a name.
+ */
+
+const ProjectRewriter = {
+    /**
+     * Pusher's absolute path (normalized) -> local path, for pulled files that carry sourcePath
+     * @param {Array} files - Drive files of the project (name = project-relative path)
+     * @param {string} targetFolder - local project folder
+     */
+    buildPathMap(files, targetFolder) {
+        const pathMap = {};
+        for (const file of files || []) {
+            if (!file.sourcePath || !file.name || file.name.endsWith('.prproj')) continue;
+            pathMap[this.normalize(file.sourcePath)] = SyncState.resolveLocalPath(targetFolder, file.name);
+        }
+        return pathMap;
+    },
+
+    /**
+     * Comparable form of a path from either OS
+     */
+    normalize(filePath) {
+        return toForwardSlash(filePath).replace(/\/+/g, '/').toLowerCase();
+    },
+
+    /**
+     * Rewrite the media paths of a .prproj on disk
+     * Projects pushed before manifests recorded paths fall back to unique file names.
+     * @returns {{rewritten: number, unresolved: Array<string>}} unresolved = media paths still missing
+     */
+    rewriteProjectFile(projectFilePath, targetFolder, files) {
+        const fs = require('fs');
+        const zlib = require('zlib');
+        const root = require('path').normalize(targetFolder);
+
+        const buffer = fs.readFileSync(projectFilePath);
+        const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+        const xml = (isGzip ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+
+        const pathMap = this.buildPathMap(files, root);
+        const result = Object.keys(pathMap).length > 0
+            ? this.rewriteXml(xml, pathMap)
+            : this.rewriteXml(xml, this.buildFileNameMap(xml, root));
+
+        if (result.rewritten > 0) {
+            const output = Buffer.from(result.xml, 'utf8');
+            fs.writeFileSync(projectFilePath, isGzip ? zlib.gzipSync(output) : output);
+        }
+
+        const unresolved = this.findMissingMedia(result.xml);
+        console.log(`🔧 Rewrote ${result.rewritten} media path(s) in ${projectFilePath}; ${unresolved.length} still missing`);
+        return { rewritten: result.rewritten, unresolved };
+    },
+
+    /**
+     * Replace every absolute path in element text that the map knows and that exists locally
+     */
+    rewriteXml(xml, pathMap) {
+        const fs = require('fs');
+        let rewritten = 0;
+
+        const output = xml.replace(/>((?:[A-Za-z]:[\\/]|[\\/])[^<>]+)</g, (match, rawPath) => {
+            const key = this.normalize(this._unescapeXml(rawPath));
+            const localPath = pathMap[key];
+            if (!localPath || this.normalize(localPath) === key || !fs.existsSync(localPath)) return match;
+            rewritten++;
+            return `>${this._escapeXml(localPath)}<`;
+        });
+
+        return { xml: output, rewritten };
+    },
+
+    /**
+     * Legacy fallback: map media paths to files under targetFolder by name, skipping
+     * names that occur more than once (those would be a guess)
+     */
+    buildFileNameMap(xml, targetFolder) {
+        const fs = require('fs');
+        const path = require('path');
+        const byName = {};
+
+        const scan = (dir) => {
+            let entries = [];
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch (e) {
+                console.warn('Could not scan folder:', dir, e.message);
+                return;
+            }
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isFile()) {
+                    const key = entry.name.toLowerCase();
+                    byName[key] = byName[key] === undefined ? fullPath : null;
+                } else if (entry.isDirectory() && !(dir === targetFolder && entry.name === 'proxies')) {
+                    // Proxies are attached separately and must not replace originals
+                    scan(fullPath);
+                }
+            }
+        };
+        scan(targetFolder);
+
+        const pathMap = {};
+        for (const mediaPath of this._mediaPaths(xml)) {
+            const localPath = byName[mediaPath.split(/[\\/]/).pop().toLowerCase()];
+            if (localPath) pathMap[this.normalize(mediaPath)] = localPath;
+        }
+        return pathMap;
+    },
+
+    /**
+     * Media paths of the project that do not exist on this machine
+     */
+    findMissingMedia(xml) {
+        const fs = require('fs');
+        return this._mediaPaths(xml).filter(mediaPath => !fs.existsSync(mediaPath));
+    },
+
+    _mediaPaths(xml) {
+        const paths = new Set();
+        const pattern = /<ActualMediaFilePath>([^<]+)<\/ActualMediaFilePath>/g;
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            paths.add(this._unescapeXml(match[1]));
+        }
+        return [...paths];
+    },
+
+    _escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    },
+
+    _unescapeXml(text) {
+        return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+    }
+};
@@ -0,0 +1,100 @@
+/**
+ * Push Planner - work out what a push has to upload before any bytes move
+ *
+ * Each selected file is compared with the last manifest.json on Drive:
+ * - new: not part of the last push
+ * - changed: its md5 differs from the pushed copy
+ * - unchanged: same md5 as the pushed copy; the upload reuses the manifest entry
+ * - deleted: in the last push but no longer in this one, or gone from disk
+ *
+ * Hashes come from the sync state where possible (see sync-state.js): a file whose
+ * size and mtime match its cached entry is not read again, and a size change alone
+ * is enough to call a file changed.
+ */
+
+const PushPlanner = {
+    /**
+     * Plan a push of `files` (the file selection list) for the project at projectPath
+     * @returns {Promise<{manifest, files: Array, deleted: Array, summary: Object}>}
+     */
+    async plan(projectName, projectPath, files, onProgress = null) {
+        const path = require('path');
+        const projectRoot = path.dirname(projectPath);
+
+        let manifest = null;
+        try {
+            manifest = await GoogleDrive.getProjectManifest(projectName);
+        } catch (e) {
+            console.warn('⚠️ Could not read the last manifest, planning every file as new:', e.message);
+        }
+
+        const manifestByPath = {};
+        for (const entry of (manifest && manifest.files) || []) {
+            const drivePath = entry.drivePath || entry.driveName || entry.name;
+            if (drivePath) manifestByPath[drivePath.toLowerCase()] = entry;
+        }
+
+        const planned = [];
+        const planPaths = new Set();
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            const drivePath = buildDriveRelativePath(file, projectRoot) || file.name;
+            const entry = manifestByPath[drivePath.toLowerCase()] || null;
+            planPaths.add(drivePath.toLowerCase());
+
+            const result = await this.classifyFile(projectRoot, drivePath, file, entry);
+            planned.push({
+                ...file,
+                drivePath,
+                planStatus: result.status,
+                localMd5: result.localMd5,
+                manifestEntry: entry
+            });
+            if (onProgress) onProgress(i + 1, files.length);
+        }
+
+        const deleted = Object.keys(manifestByPath)
+            .filter(key => !planPaths.has(key))
+            .map(key => manifestByPath[key]);
+
+        const summary = { new: 0, changed: 0, unchanged: 0, deleted: deleted.length, uploadBytes: 0 };
+        for (const file of planned) {
+            summary[file.planStatus]++;
+            if (file.planStatus === 'new' || file.planStatus === 'changed') {
+                summary.uploadBytes += file.size || 0;
+            }
+        }
+
+        console.log(`🧮 Push plan for ${projectName}: ${summary.new} new, ${summary.changed} changed, ${summary.unchanged} unchanged, ${summary.deleted} deleted locally`);
+        return { manifest, files: planned, deleted, summary };
+    },
+
+    /**
+     * Compare one local file with its entry in the last manifest
+     * @returns {Promise<{status: 'new'|'changed'|'unchanged'|'deleted', localMd5: string|null}>}
+     */
+    async classifyFile(projectRoot, drivePath, file, entry) {
+        const fs = require('fs');
+        if (!file.path || !fs.existsSync(file.path)) {
+            return { status: 'deleted', localMd5: null };
+        }
+        if (!entry) {
+            return { status: 'new', localMd5: null };
+        }
+
+        const stats = fs.statSync(file.path);
+        const cached = SyncState.getEntry(projectRoot, drivePath);
+
+        let localMd5 = null;
+        if (cached && cached.localMd5 && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+            localMd5 = cached.localMd5;
+        } else if (entry.size !== undefined && entry.size !== null && Number(entry.size) !== stats.size) {
+            return { status: 'changed', localMd5: null };
+        } else {
+            localMd5 = await computeLocalMd5({ filePath: file.path });
+        }
+
+        const unchanged = localMd5 && entry.md5Checksum && localMd5 === entry.md5Checksum && entry.driveId;
+        return { status: unchanged ? 'unchanged' : 'changed', localMd5 };
+    }
+};
@@ -0,0 +1,224 @@
+/**
+ * Relinker - reconnects offline project items to pulled files
+ *
+ * File names alone are not enough: cards from different cameras all start at
+ * C0001.MP4. Every local file with the item's name (or its clip name plus any
+ * extension) is a candidate, scored on:
+ * - the manifest: the file that was pushed from the item's last path wins outright
+ * - the folders above the file matching the item's last path (CARD_A/C0001.MP4)
+ * - file size against the pushed file, duration and frame rate against the item
+ *
+ * A clear winner is relinked directly; anything else goes to a review table.
+ * Every item touched ends up in a report, and the last batch can be undone.
+ */
+
+const Relinker = {
+    // A winner needs this many points more than the runner-up to be relinked unasked
+    autoAcceptMargin: 30,
+
+    // Report entries of the last relink, kept for "Undo relink"
+    lastBatch: null,
+
+    /**
+     * Relink the offline items of the open project to files under targetFolder
+     * @param {string} targetFolder - local project folder
+     * @param {Array} files - the project's Drive files (name = project-relative path)
+     * @returns {Promise<{relinked: number, failed: number, unmatched: number, reviewed: number, entries: Array}>}
+     *   entries: { nodeId, name, oldPath, newPath, reason, status: relinked|failed|unmatched|skipped, error }
+     */
+    async relinkProject(targetFolder, files) {
+        const result = { relinked: 0, failed: 0, unmatched: 0, reviewed: 0, entries: [] };
+        const offline = JSON.parse(await FileSystem.evalHost('getOfflineMediaDetails()') || '{}');
+        if (offline.error) throw new Error(offline.error);
+        const items = offline.items || [];
+        if (items.length === 0) return result;
+
+        const localFiles = this.indexLocalFiles(targetFolder, files);
+        const choices = [];
+        const review = [];
+        const entryFor = (item, fields) => ({ nodeId: item.nodeId, name: item.name, oldPath: item.lastPath, newPath: '', reason: '', error: '', ...fields });
+
+        for (const item of items) {
+            const candidates = this.rankCandidates(item, this.findCandidates(item, localFiles));
+            if (candidates.length === 0) {
+                result.unmatched++;
+                result.entries.push(entryFor(item, { status: 'unmatched', error: 'No file with this name in the project folder' }));
+            } else if (this.isConfident(candidates)) {
+                choices.push({ item, path: candidates[0].path, reason: candidates[0].reasons.join(', ') || 'Only file with this name' });
+            } else {
+                review.push({ item, candidates });
+            }
+        }
+
+        if (review.length > 0) {
+            console.log(`🔍 ${review.length} offline item(s) have ambiguous matches`);
+            const confirmed = await showRelinkReviewModal(review);
+            result.reviewed = confirmed.length;
+            for (const { item, candidates } of review) {
+                const choice = confirmed.find(c => c.item === item);
+                if (choice) {
+                    const candidate = candidates.find(c => c.path === choice.path);
+                    choices.push({ item, path: choice.path, reason: ['Confirmed in review'].concat(candidate ? candidate.reasons : []).join(', ') });
+                } else {
+                    result.entries.push(entryFor(item, { status: 'skipped', error: `Left offline in review (${candidates.length} possible files)` }));
+                }
+            }
+        }
+
+        for (const choice of choices) {
+            const response = await this._relink(choice.item.nodeId, choice.path);
+            if (response.success) {
+                result.relinked++;
+                result.entries.push(entryFor(choice.item, { status: 'relinked', newPath: choice.path, reason: choice.reason }));
+            } else {
+                result.failed++;
+                result.entries.push(entryFor(choice.item, { status: 'failed', newPath: choice.path, reason: choice.reason, error: response.error || 'Premiere did not accept the new path' }));
+                console.warn(`⚠️ Could not relink ${choice.item.name}:`, response.error);
+            }
+        }
+
+        if (result.relinked > 0) {
+            await FileSystem.evalHost('saveProject()');
+            this.lastBatch = result.entries.filter(entry => entry.status === 'relinked');
+        }
+        console.log(`🔗 Relinked ${result.relinked}, failed ${result.failed}, no match ${result.unmatched}`);
+        return result;
+    },
+
+    /**
+     * Put every item of the last relink back on its previous path
+     * @returns {Promise<{restored: number, failed: Array<{name, error}>}>}
+     */
+    async undoLastBatch() {
+        const batch = this.lastBatch || [];
+        const outcome = { restored: 0, failed: [] };
+
+        for (const entry of batch) {
+            if (!entry.oldPath) {
+                outcome.failed.push({ name: entry.name, error: 'No previous path recorded' });
+                continue;
+            }
+            const response = await this._relink(entry.nodeId, entry.oldPath);
+            if (response.success) {
+                outcome.restored++;
+            } else {
+                outcome.failed.push({ name: entry.name, error: response.error || 'Premiere did not accept the old path' });
+            }
+        }
+
+        if (outcome.restored > 0) await FileSystem.evalHost('saveProject()');
+        this.lastBatch = null;
+        console.log(`↩️ Undid relink of ${outcome.restored} item(s), ${outcome.failed.length} failed`);
+        return outcome;
+    },
+
+    /**
+     * Files under targetFolder (proxies/ excluded) with their Drive entry when pulled
+     */
+    indexLocalFiles(targetFolder, files) {
+        const path = require('path');
+        const root = path.normalize(targetFolder);
+        const driveByPath = {};
+        for (const file of files || []) {
+            driveByPath[ProjectRewriter.normalize(SyncState.resolveLocalPath(root, file.name))] = file;
+        }
+
+        return FileSystem.getFilesInFolder(root, true)
+            .map(file => ({
+                path: file.path,
+                relativePath: toForwardSlash(path.relative(root, file.path)),
+                size: file.size,
+                driveFile: driveByPath[ProjectRewriter.normalize(file.path)] || null
+            }))
+            // Proxies must never stand in for the full-res original
+            .filter(file => !file.relativePath.startsWith('proxies/'));
+    },
+
+    /**
+     * Local files named like the item's media file, or like the clip with any extension
+     */
+    findCandidates(item, localFiles) {
+        const fileName = (item.fileName || '').toLowerCase();
+        const clipName = (item.name || '').toLowerCase();
+        return localFiles.filter(file => {
+            const name = file.relativePath.split('/').pop().toLowerCase();
+            return name === fileName || name.replace(/\.[^.]+$/, '') === clipName;
+        });
+    },
+
+    /**
+     * Score candidates for an offline item, best first
+     * @returns {Array<{path, relativePath, score, reasons: Array<string>}>}
+     */
+    rankCandidates(item, candidates) {
+        const lastFolders = toForwardSlash(item.lastPath || '').toLowerCase().split('/').slice(0, -1).reverse();
+
+        return candidates.map(candidate => {
+            let score = 0;
+            const reasons = [];
+            const drive = candidate.driveFile;
+
+            if (drive && drive.sourcePath && item.lastPath &&
+                ProjectRewriter.normalize(drive.sourcePath) === ProjectRewriter.normalize(item.lastPath)) {
+                score += 100;
+                reasons.push('Pushed from this clip\'s path');
+            }
+
+            const folders = candidate.relativePath.split('/').slice(0, -1).reverse();
+            let sharedFolders = 0;
+            while (sharedFolders < folders.length && folders[sharedFolders].toLowerCase() === lastFolders[sharedFolders]) sharedFolders++;
+            if (sharedFolders > 0) {
+                score += 15 * sharedFolders;
+                reasons.push(`Same folder (${folders.slice(0, sharedFolders).reverse().join('/')})`);
+            }
+
+            if (candidate.relativePath.split('/').pop().toLowerCase() === (item.fileName || '').toLowerCase()) {
+                score += 10;
+                reasons.push('Same file name');
+            }
+
+            if (drive && drive.size) {
+                if (Number(drive.size) === candidate.size) {
+                    score += 20;
+                    reasons.push('Size matches the pushed file');
+                } else {
+                    score -= 50;
+                    reasons.push('Size differs from the pushed file');
+                }
+            }
+
+            if (drive && drive.duration && item.duration) {
+                const same = Math.abs(drive.duration - item.duration) < 0.05;
+                score += same ? 40 : -40;
+                reasons.push(same ? 'Duration matches' : `Duration differs (${drive.duration}s vs ${item.duration}s)`);
+            }
+
+            if (drive && drive.frameRate && item.frameRate) {
+                const same = Math.abs(drive.frameRate - item.frameRate) < 0.01;
+                score += same ? 20 : -20;
+                reasons.push(same ? 'Frame rate matches' : `Frame rate differs (${drive.frameRate} vs ${item.frameRate} fps)`);
+            }
+
+            return { path: candidate.path, relativePath: candidate.relativePath, score, reasons };
+        }).sort((a, b) => b.score - a.score);
+    },
+
+    /**
+     * Relink without asking: a lone candidate nothing speaks against, or a clear winner
+     */
+    isConfident(ranked) {
+        if (ranked.length === 0 || ranked[0].score < 0) return false;
+        if (ranked.length === 1) return true;
+        return ranked[0].score - ranked[1].score >= this.autoAcceptMargin;
+    },
+
+    async _relink(nodeId, filePath) {
+        try {
+            return JSON.parse(await FileSystem.evalHost(
+                `relinkMedia('${nodeId}', '${filePath.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}')`
+            ) || '{}');
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+    }
+};
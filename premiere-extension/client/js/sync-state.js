@@ -0,0 +1,156 @@
+/**
+ * Sync State - the last synced version of every file in a local project folder
+ *
+ * Stored as .teamsync-state.json in the project root. Each entry is keyed by the
+ * file's Drive-relative path and records:
+ * - md5 / modifiedTime / driveId: the Drive version last pulled or pushed (the "base")
+ * - localMd5: md5 of what was written locally (differs from md5 for patched .prproj files)
+ * - size / mtimeMs: local stat at that moment, so unchanged files skip hashing
+ *
+ * With a base, every file can be classified three ways instead of by size alone:
+ * unchanged, changed locally, changed remotely, or changed on both sides.
+ */
+
+const SyncState = {
+    fileName: '.teamsync-state.json',
+    _cache: {},
+
+    _fs() {
+        return require('fs');
+    },
+
+    _path() {
+        return require('path');
+    },
+
+    _statePath(projectRoot) {
+        return this._path().join(projectRoot, this.fileName);
+    },
+
+    _key(projectRoot) {
+        return this._path().resolve(projectRoot).toLowerCase();
+    },
+
+    /**
+     * Load (and cache) the state for a project folder
+     */
+    load(projectRoot) {
+        const key = this._key(projectRoot);
+        if (this._cache[key]) return this._cache[key];
+
+        let state = { version: 1, files: {} };
+        try {
+            const statePath = this._statePath(projectRoot);
+            if (this._fs().existsSync(statePath)) {
+                const parsed = JSON.parse(this._fs().readFileSync(statePath, 'utf8'));
+                if (parsed && parsed.files) state = parsed;
+            }
+        } catch (e) {
+            console.warn('⚠️ Could not read sync state, starting fresh:', e.message);
+        }
+
+        this._cache[key] = state;
+        return state;
+    },
+
+    save(projectRoot) {
+        const state = this.load(projectRoot);
+        try {
+            this._fs().mkdirSync(projectRoot, { recursive: true });
+            this._fs().writeFileSync(this._statePath(projectRoot), JSON.stringify(state, null, 2));
+        } catch (e) {
+            console.error('❌ Could not save sync state:', e.message);
+        }
+    },
+
+    getEntry(projectRoot, relPath) {
+        return this.load(projectRoot).files[relPath] || null;
+    },
+
+    /**
+     * Local path of a Drive-relative path inside the project folder
+     */
+    resolveLocalPath(projectRoot, relPath) {
+        return this._path().join(projectRoot, ...relPath.split('/'));
+    },
+
+    /**
+     * Record that localPath now holds the given Drive version.
+     * Pass localMd5 when the written bytes differ from Drive (e.g. a patched .prproj).
+     * Pass no localPath to record only the Drive base; the local file is then re-hashed next time.
+     */
+    recordFile(projectRoot, relPath, localPath, driveFile, localMd5 = null) {
+        let stats = null;
+        if (localPath) {
+            try {
+                stats = this._fs().statSync(localPath);
+            } catch (e) {
+                console.warn(`⚠️ Could not stat ${localPath} for sync state`);
+            }
+        }
+
+        this.load(projectRoot).files[relPath] = {
+            driveId: driveFile.id || driveFile.driveId || null,
+            md5: driveFile.md5Checksum || null,
+            modifiedTime: driveFile.modifiedTime || null,
+            localMd5: localMd5 || driveFile.md5Checksum || null,
+            size: stats ? stats.size : null,
+            mtimeMs: stats ? stats.mtimeMs : null,
+            syncedAt: new Date().toISOString()
+        };
+    },
+
+    removeFile(projectRoot, relPath) {
+        delete this.load(projectRoot).files[relPath];
+    },
+
+    /**
+     * md5 of the local file, reusing the recorded hash when size and mtime still match
+     */
+    async getLocalMd5(projectRoot, relPath, localPath) {
+        const entry = this.getEntry(projectRoot, relPath);
+        try {
+            const stats = this._fs().statSync(localPath);
+            if (entry && entry.localMd5 && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+                return entry.localMd5;
+            }
+        } catch (e) {
+            return null;
+        }
+        return await computeLocalMd5({ filePath: localPath });
+    },
+
+    /**
+     * Classify a Drive file against its local copy and the recorded base
+     * @returns {Promise<{state: 'missing'|'unchanged'|'local'|'remote'|'both', localMd5: string|null}>}
+     */
+    async classify(projectRoot, relPath, localPath, driveFile) {
+        if (!this._fs().existsSync(localPath)) {
+            return { state: 'missing', localMd5: null };
+        }
+
+        const localMd5 = await this.getLocalMd5(projectRoot, relPath, localPath);
+        const remoteMd5 = driveFile.md5Checksum || null;
+
+        // Same bytes on both sides - nothing to do whatever the history
+        if (localMd5 && remoteMd5 && localMd5 === remoteMd5) {
+            return { state: 'unchanged', localMd5 };
+        }
+
+        const base = this.getEntry(projectRoot, relPath);
+        if (!base) {
+            // Both sides exist, differ, and we never synced this file: treat as a conflict
+            return { state: 'both', localMd5 };
+        }
+
+        const localChanged = !localMd5 || localMd5 !== (base.localMd5 || base.md5);
+        const remoteChanged = remoteMd5
+            ? remoteMd5 !== base.md5
+            : driveFile.modifiedTime !== base.modifiedTime;
+
+        if (localChanged && remoteChanged) return { state: 'both', localMd5 };
+        if (localChanged) return { state: 'local', localMd5 };
+        if (remoteChanged) return { state: 'remote', localMd5 };
+        return { state: 'unchanged', localMd5 };
+    }
+};
@@ -5,15 +5,25 @@
 const SyncEngine = {
     checkInterval: null,
     lastCheck: null,
+    lockHeartbeats: {},
+    lockHeartbeatMs: 60000,
+    eventStream: null,
+    eventStreamConnected: false,
+    eventRetryMs: 5000,
+
+    // Every editor route authenticates with the key in the Authorization header
+    authHeaders(extra = {}, apiKey = Config.data.apiKey) {
+        return { ...extra, 'Authorization': `Bearer ${apiKey}` };
+    },
 
     async validateKey(apiKey, serverUrl) {
         try {
             const response = await fetch(`${serverUrl}/api/validate`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ apiKey })
+                headers: this.authHeaders({}, apiKey)
             });
-            return await response.json();
+            const result = await response.json();
+            return response.ok ? result : { valid: false, error: result.error || 'Invalid API key' };
         } catch (error) {
             console.error('Validation error:', error);
             return { valid: false, error: 'Cannot connect to server' };
@@ -22,7 +32,9 @@ const SyncEngine = {
 
     async getSyncState() {
         try {
-            const response = await fetch(`${Config.data.serverUrl}/api/sync-state`);
+            const response = await fetch(`${Config.data.serverUrl}/api/sync-state`, {
+                headers: this.authHeaders()
+            });
             return await response.json();
         } catch (error) {
             console.error('Error fetching sync state:', error);
@@ -32,7 +44,9 @@ const SyncEngine = {
 
     async getAvailableProjects() {
         try {
-            const response = await fetch(`${Config.data.serverUrl}/api/projects`);
+            const response = await fetch(`${Config.data.serverUrl}/api/projects`, {
+                headers: this.authHeaders()
+            });
             return await response.json();
         } catch (error) {
             console.error('Error fetching projects:', error);
@@ -40,15 +54,15 @@ const SyncEngine = {
         }
     },
 
-    async logActivity(action, projectName = null) {
+    async logActivity(action, projectName = null, details = null) {
         try {
             await fetch(`${Config.data.serverUrl}/api/activity`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
-                    apiKey: Config.data.apiKey,
                     action,
-                    projectName
+                    projectName,
+                    details
                 })
             });
         } catch (error) {
@@ -60,9 +74,8 @@ const SyncEngine = {
         try {
             const response = await fetch(`${Config.data.serverUrl}/api/projects/register`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
-                    apiKey: Config.data.apiKey,
                     projectName,
                     projectPath,
                     files // Array of associated files
@@ -79,9 +92,8 @@ const SyncEngine = {
         try {
             const response = await fetch(`${Config.data.serverUrl}/api/projects/lock`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
-                    apiKey: Config.data.apiKey,
                     projectName
                 })
             });
@@ -96,9 +108,8 @@ const SyncEngine = {
         try {
             const response = await fetch(`${Config.data.serverUrl}/api/projects/unlock`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
-                    apiKey: Config.data.apiKey,
                     projectName
                 })
             });
@@ -109,9 +120,104 @@ const SyncEngine = {
         }
     },
 
+    async recordProjectVersion(projectName, manifest) {
+        try {
+            const response = await fetch(`${Config.data.serverUrl}/api/projects/${encodeURIComponent(projectName)}/versions`, {
+                method: 'POST',
+                headers: this.authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    manifest
+                })
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Error recording project version:', error);
+            return { success: false, error: 'Network error' };
+        }
+    },
+
+    async getProjectVersions(projectName) {
+        try {
+            const response = await fetch(`${Config.data.serverUrl}/api/projects/${encodeURIComponent(projectName)}/versions`, {
+                headers: this.authHeaders()
+            });
+            if (!response.ok) return [];
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching project versions:', error);
+            return [];
+        }
+    },
+
+    async getProjectVersion(projectName, version) {
+        try {
+            const response = await fetch(`${Config.data.serverUrl}/api/projects/${encodeURIComponent(projectName)}/versions/${version}`, {
+                headers: this.authHeaders()
+            });
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching project version:', error);
+            return null;
+        }
+    },
+
+    async restoreProjectVersion(projectName, version) {
+        try {
+            const response = await fetch(`${Config.data.serverUrl}/api/projects/${encodeURIComponent(projectName)}/versions/${version}/restore`, {
+                method: 'POST',
+                headers: this.authHeaders()
+            });
+            const result = await response.json();
+            return response.ok ? result : { success: false, error: result.error || `HTTP ${response.status}` };
+        } catch (error) {
+            console.error('Error restoring project version:', error);
+            return { success: false, error: 'Network error' };
+        }
+    },
+
+    async renewLock(projectName) {
+        try {
+            const response = await fetch(`${Config.data.serverUrl}/api/projects/lock/renew`, {
+                method: 'POST',
+                headers: this.authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    projectName
+                })
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Error renewing lock:', error);
+            return { success: false, error: 'Network error' };
+        }
+    },
+
+    // Keep a held lock alive; the server releases it if the heartbeat stops
+    startLockHeartbeat(projectName, onLost) {
+        this.stopLockHeartbeat(projectName);
+        this.lockHeartbeats[projectName] = setInterval(async () => {
+            const result = await this.renewLock(projectName);
+            // Network errors are retried on the next beat; only a lost lease stops it
+            if (!result.success && result.error !== 'Network error') {
+                console.warn(`🔓 Lost lock on ${projectName}: ${result.error}`);
+                this.stopLockHeartbeat(projectName);
+                if (onLost) onLost(projectName, result);
+            }
+        }, this.lockHeartbeatMs);
+    },
+
+    stopLockHeartbeat(projectName) {
+        if (this.lockHeartbeats[projectName]) {
+            clearInterval(this.lockHeartbeats[projectName]);
+            delete this.lockHeartbeats[projectName];
+        }
+    },
+
     async getLocks() {
         try {
-            const response = await fetch(`${Config.data.serverUrl}/api/projects/locks`);
+            const response = await fetch(`${Config.data.serverUrl}/api/projects/locks`, {
+                headers: this.authHeaders()
+            });
             return await response.json();
         } catch (error) {
             console.error('Error fetching locks:', error);
@@ -137,6 +243,93 @@ const SyncEngine = {
             clearInterval(this.checkInterval);
             this.checkInterval = null;
         }
+    },
+
+    // Subscribe to the server's event stream (Server-Sent Events over fetch).
+    // onStatusChange(connected) lets the caller fall back to polling while it is down.
+    startEventStream(onEvent, onStatusChange) {
+        this.stopEventStream();
+        const controller = new AbortController();
+        this.eventStream = controller;
+
+        const setConnected = (connected) => {
+            if (this.eventStreamConnected === connected) return;
+            this.eventStreamConnected = connected;
+            if (onStatusChange) onStatusChange(connected);
+        };
+
+        const connect = async () => {
+            let retryMs = this.eventRetryMs;
+
+            while (this.eventStream === controller) {
+                try {
+                    const response = await fetch(`${Config.data.serverUrl}/api/events`, {
+                        headers: this.authHeaders({ 'Accept': 'text/event-stream' }),
+                        signal: controller.signal
+                    });
+                    if (!response.ok || !response.body) {
+                        throw new Error(`Event stream returned ${response.status}`);
+                    }
+
+                    console.log('📡 Event stream connected');
+                    setConnected(true);
+                    retryMs = this.eventRetryMs;
+                    await this._readEventStream(response.body, onEvent);
+                    console.warn('📡 Event stream closed by server');
+                } catch (error) {
+                    if (controller.signal.aborted) return;
+                    console.warn('📡 Event stream unavailable:', error.message || error);
+                }
+
+                setConnected(false);
+                if (this.eventStream !== controller) return;
+                await new Promise(resolve => setTimeout(resolve, retryMs));
+                retryMs = Math.min(retryMs * 2, 60000);
+            }
+        };
+
+        connect();
+    },
+
+    stopEventStream() {
+        if (this.eventStream) {
+            this.eventStream.abort();
+            this.eventStream = null;
+        }
+        this.eventStreamConnected = false;
+    },
+
+    // Parse "event:"/"data:" blocks separated by blank lines
+    async _readEventStream(body, onEvent) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) return;
+
+            buffer += decoder.decode(value, { stream: true });
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let type = 'message';
+                const dataLines = [];
+                for (const line of block.split('\n')) {
+                    if (line.startsWith('event:')) type = line.slice(6).trim();
+                    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+                }
+                if (dataLines.length === 0) continue; // keepalive comment
+
+                try {
+                    if (onEvent) onEvent(type, JSON.parse(dataLines.join('\n')));
+                } catch (e) {
+                    console.warn('Could not handle stream event:', e);
+                }
+            }
+        }
     }
 };
 
@@ -184,6 +377,22 @@ const FileSystem = {
         return this.isCEP;
     },
 
+    // Run an ExtendScript call; resolves with its result string, or '' outside Premiere
+    evalHost(script) {
+        return new Promise((resolve) => {
+            if (!this.csInterface) {
+                resolve('');
+                return;
+            }
+            try {
+                this.csInterface.evalScript(script, resolve);
+            } catch (e) {
+                console.error('evalScript error:', e);
+                resolve('');
+            }
+        });
+    },
+
     // Get current project from Premiere Pro
     getCurrentProjectInfo() {
         return new Promise((resolve) => {
@@ -520,6 +729,18 @@ const FileSystem = {
         }
     },
 
+    renameFile(source, destination) {
+        if (!this.fs) return false;
+
+        try {
+            this.fs.renameSync(source, destination);
+            return true;
+        } catch (error) {
+            console.error('Error renaming file:', error);
+            return false;
+        }
+    },
+
     fileExists(filePath) {
         if (!this.fs) return false;
         return this.fs.existsSync(filePath);
@@ -578,6 +799,21 @@ const FileSystem = {
         });
     },
 
+    // Get the media of every sequence: { sequences: [{id, name, active}], files: [{..., sequences: [id]}] }
+    async getSequenceFiles() {
+        const empty = { sequences: [], files: [] };
+        const result = await this.evalHost('getSequenceFiles()');
+        console.log('getSequenceFiles result:', result);
+        if (result && result !== 'undefined') {
+            try {
+                return { ...empty, ...JSON.parse(result) };
+            } catch (e) {
+                console.log('Parse error:', e);
+            }
+        }
+        return empty;
+    },
+
     // Get all media files from the project panel
     getProjectMediaFiles() {
         return new Promise((resolve) => {
@@ -647,6 +883,28 @@ const FileSystem = {
         });
     },
 
+    // Collect an After Effects project and its footage into outputFolder (AE Collect Files)
+    async packageAEProject(aepPath, outputFolder) {
+        if (!this.csInterface) {
+            return { error: 'Not running in Premiere', copiedCount: 0, missing: [] };
+        }
+
+        const escapedPath = aepPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        const escapedOutput = outputFolder.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+
+        console.log(`📦 Packaging AE project: ${aepPath}`);
+        const result = await this.evalHost(`packageAEProject('${escapedPath}', '${escapedOutput}')`);
+        console.log('packageAEProject result:', result);
+        if (result && result !== 'undefined') {
+            try {
+                return JSON.parse(result);
+            } catch (e) {
+                console.log('Parse error:', e);
+            }
+        }
+        return { error: 'No response from host', copiedCount: 0, missing: [] };
+    },
+
     openProject(projectPath) {
         return new Promise((resolve, reject) => {
             if (this.csInterface) {
@@ -314,6 +314,143 @@ const testSuites = {
                 } catch (e) {
                     TestSuite.assert(false, 'Small file upload should not throw', e.message);
                 }
+            },
+
+            testPushPlanner: async () => {
+                TestSuite.log('Testing push plan against the last manifest', 'test');
+                const fs = require('fs');
+                const path = require('path');
+                const crypto = require('crypto');
+                const root = fs.mkdtempSync(path.join(require('os').tmpdir(), 'teamsync-plan-'));
+                const md5 = (text) => crypto.createHash('md5').update(text).digest('hex');
+                const write = (name, text) => {
+                    const filePath = path.join(root, name);
+                    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                    fs.writeFileSync(filePath, text);
+                    return filePath;
+                };
+                const originalGetManifest = GoogleDrive.getProjectManifest;
+
+                try {
+                    const projectPath = write('Test.prproj', 'project');
+                    GoogleDrive.getProjectManifest = async () => ({
+                        files: [
+                            { drivePath: 'media/same.mp4', driveId: '1', md5Checksum: md5('same'), size: 4 },
+                            { drivePath: 'media/edited.mp4', driveId: '2', md5Checksum: md5('old!'), size: 4 },
+                            { drivePath: 'media/removed.mp4', driveId: '3', md5Checksum: md5('gone'), size: 4 }
+                        ]
+                    });
+
+                    const plan = await PushPlanner.plan('Test', projectPath, [
+                        { name: 'same.mp4', path: write('media/same.mp4', 'same') },
+                        { name: 'edited.mp4', path: write('media/edited.mp4', 'new!') },
+                        { name: 'added.mp4', path: write('media/added.mp4', 'added') }
+                    ]);
+                    const statusOf = (drivePath) => plan.files.find(f => f.drivePath === drivePath).planStatus;
+
+                    TestSuite.assertEqual(statusOf('media/same.mp4'), 'unchanged', 'Same md5 should be unchanged');
+                    TestSuite.assertEqual(statusOf('media/edited.mp4'), 'changed', 'Different md5 should be changed');
+                    TestSuite.assertEqual(statusOf('media/added.mp4'), 'new', 'File missing from the manifest should be new');
+                    TestSuite.assertEqual(plan.deleted.length, 1, 'Manifest entry not pushed again should be deleted locally');
+                } finally {
+                    GoogleDrive.getProjectManifest = originalGetManifest;
+                    fs.rmSync(root, { recursive: true, force: true });
+                }
+            },
+
+            testMediaPoolNames: async () => {
+                TestSuite.log('Testing media pool naming and its default', 'test');
+                TestSuite.assertEqual(MediaPool.poolName('abc123', 'Clip.MOV'), 'abc123.mov', 'Pool name should be md5 plus lowercased extension');
+                TestSuite.assertEqual(MediaPool.poolName('abc123', 'README'), 'abc123', 'Files without an extension keep the bare md5');
+
+                const saved = Config.data.useMediaPool;
+                try {
+                    delete Config.data.useMediaPool;
+                    TestSuite.assertEqual(MediaPool.isEnabled(), false, 'The pool should be off unless turned on');
+                    Config.data.useMediaPool = true;
+                    TestSuite.assertEqual(MediaPool.isEnabled(), true, 'The settings toggle should turn the pool on');
+                } finally {
+                    Config.data.useMediaPool = saved;
+                }
+            },
+
+            testProxyDrivePath: async () => {
+                TestSuite.log('Testing proxy placement under proxies/', 'test');
+                const path = require('path');
+                const root = path.resolve('/projects/Test');
+                const drivePath = buildDriveRelativePath({
+                    name: 'clip_Proxy.mov',
+                    path: path.join(root, 'Proxies', 'clip_Proxy.mov'),
+                    proxyFor: path.join(root, 'media', 'day1', 'clip.mov')
+                }, root);
+                TestSuite.assertEqual(drivePath, 'proxies/media/day1/clip_Proxy.mov', 'Proxy should mirror its original\'s folder under proxies/');
+            },
+
+            testHealthCheckFiles: async () => {
+                TestSuite.log('Testing pre-push health check file checks', 'test');
+                const fs = require('fs');
+                const path = require('path');
+                const root = fs.mkdtempSync(path.join(require('os').tmpdir(), 'teamsync-health-'));
+
+                try {
+                    const projectPath = path.join(root, 'project', 'Test.prproj');
+                    fs.mkdirSync(path.dirname(projectPath));
+                    fs.writeFileSync(projectPath, 'project');
+                    fs.writeFileSync(path.join(root, 'project', 'empty.mov'), '');
+                    fs.writeFileSync(path.join(root, 'comp.aep'), 'aep');
+
+                    const report = await HealthCheck.run({ name: 'Test.prproj', path: projectPath }, [
+                        { name: 'Test.prproj', path: projectPath, type: 'project' },
+                        { name: 'empty.mov', path: path.join(root, 'project', 'empty.mov') },
+                        { name: 'gone.mov', path: path.join(root, 'project', 'gone.mov') },
+                        { name: 'comp.aep', path: path.join(root, 'comp.aep') }
+                    ]);
+                    const codeOf = (name) => report.issues.filter(i => i.name === name).map(i => i.code);
+
+                    TestSuite.assert(codeOf('empty.mov').includes('empty'), 'Zero-byte file should be an error');
+                    TestSuite.assert(codeOf('gone.mov').includes('missing'), 'Missing file should be an error');
+                    TestSuite.assert(codeOf('comp.aep').includes('aep-outside'), '.aep outside the project root should be flagged');
+                    TestSuite.assertEqual(report.totalBytes, 10, 'Total should count the files that exist');
+                } finally {
+                    fs.rmSync(root, { recursive: true, force: true });
+                }
+            },
+
+            testAssetCollectorPaths: async () => {
+                TestSuite.log('Testing asset type detection and project XML scan', 'test');
+                TestSuite.assertEqual(AssetCollector.getAssetType('C:\\Subs\\Episode.SRT'), 'caption', '.srt is a caption');
+                TestSuite.assertEqual(AssetCollector.getAssetType('/Users/ed/Title.mogrt'), 'mogrt', '.mogrt is a template');
+                TestSuite.assertEqual(AssetCollector.getAssetType('/Users/ed/clip.mov'), null, 'Footage is not an asset');
+                const lutPath = buildDriveRelativePath({ path: '/Volumes/Grades/Look.cube', assetType: 'lut' }, '/Users/ed/Show');
+                TestSuite.assert(/^assets\/luts\/[0-9a-f]{8}\/Look\.cube$/.test(lutPath), 'LUTs should go under assets/luts/ with their file name', lutPath);
+                TestSuite.assert(
+                    lutPath !== buildDriveRelativePath({ path: '/Volumes/Old Grades/Look.cube', assetType: 'lut' }, '/Users/ed/Show'),
+                    'Two LUTs with the same name from different folders should not collide'
+                );
+                TestSuite.assertEqual(
+                    buildDriveRelativePath({ path: '/Volumes/Grades/Look.cube', assetType: 'lut' }, '/Users/ed/Show'),
+                    lutPath,
+                    'The same file should always get the same Drive path'
+                );
+
+                const xml = '<Lumetri><LUTPath>D:\\Grades\\Look &amp; Feel.cube</LUTPath></Lumetri><Caption>/Users/ed/Subs/ep1.srt</Caption>';
+                const found = AssetCollector.findReferencedAssets(xml);
+                TestSuite.assert(found.includes('D:\\Grades\\Look & Feel.cube'), 'Should find the LUT path and unescape it');
+                TestSuite.assert(found.includes('/Users/ed/Subs/ep1.srt'), 'Should find the caption path');
+            },
+
+            testAeBundleDrivePath: async () => {
+                TestSuite.log('Testing Drive paths of packaged After Effects projects', 'test');
+                TestSuite.assertEqual(
+                    buildDriveRelativePath({ path: '/tmp/teamsync-ae-bundles/Titles/(Footage)/logo.png', aeBundle: 'Titles', bundlePath: '(Footage)/logo.png' }, '/Users/ed/Show'),
+                    'ae_bundles/Titles/(Footage)/logo.png',
+                    'Bundle footage should keep the bundle layout'
+                );
+                TestSuite.assertEqual(
+                    buildDriveRelativePath({ path: '/tmp/teamsync-ae-bundles/Titles/Titles.aep', aeBundle: 'Titles', bundlePath: 'Titles.aep' }, '/Users/ed/Show'),
+                    'ae_bundles/Titles/Titles.aep',
+                    'Bundle project should sit at the bundle root'
+                );
             }
         }
     },
@@ -334,6 +471,7 @@ const testSuites = {
             checkGoogleDriveDownload: async () => {
                 TestSuite.log('Testing Google Drive download function', 'test');
                 TestSuite.assertNotNull(GoogleDrive.downloadFile, 'downloadFile method should exist');
+                TestSuite.assertNotNull(GoogleDrive.downloadFileToPath, 'downloadFileToPath method should exist');
                 TestSuite.assertNotNull(GoogleDrive.listFilesInFolder, 'listFilesInFolder method should exist');
             },
 
@@ -362,6 +500,245 @@ const testSuites = {
                 }
             },
 
+            testSyncStateClassification: async () => {
+                TestSuite.log('Testing three-way sync state classification', 'test');
+                const fs = require('fs');
+                const path = require('path');
+                const crypto = require('crypto');
+                const root = fs.mkdtempSync(path.join(require('os').tmpdir(), 'teamsync-'));
+                const md5 = (text) => crypto.createHash('md5').update(text).digest('hex');
+                const drive = (text) => ({ id: 'test', md5Checksum: md5(text), modifiedTime: text });
+                const localPath = SyncState.resolveLocalPath(root, 'media/clip.mp4');
+
+                try {
+                    let result = await SyncState.classify(root, 'media/clip.mp4', localPath, drive('v1'));
+                    TestSuite.assertEqual(result.state, 'missing', 'Missing local file should be downloaded');
+
+                    fs.mkdirSync(path.dirname(localPath), { recursive: true });
+                    fs.writeFileSync(localPath, 'v1');
+                    SyncState.recordFile(root, 'media/clip.mp4', localPath, drive('v1'));
+
+                    result = await SyncState.classify(root, 'media/clip.mp4', localPath, drive('v1'));
+                    TestSuite.assertEqual(result.state, 'unchanged', 'Same as base on both sides is unchanged');
+                    result = await SyncState.classify(root, 'media/clip.mp4', localPath, drive('v2'));
+                    TestSuite.assertEqual(result.state, 'remote', 'Drive-only change is remote');
+
+                    fs.writeFileSync(localPath, 'local edit');
+                    result = await SyncState.classify(root, 'media/clip.mp4', localPath, drive('v1'));
+                    TestSuite.assertEqual(result.state, 'local', 'Local-only change is local');
+                    result = await SyncState.classify(root, 'media/clip.mp4', localPath, drive('v2'));
+                    TestSuite.assertEqual(result.state, 'both', 'Changes on both sides are a conflict');
+                } finally {
+                    fs.rmSync(root, { recursive: true, force: true });
+                }
+            },
+
+            testRelinkRanking: async () => {
+                TestSuite.log('Testing relink candidate ranking for same-named clips', 'test');
+                const item = { name: 'C0001.MP4', fileName: 'C0001.MP4', lastPath: 'E:\\Shoot\\CARD_B\\C0001.MP4', duration: 12.5, frameRate: 25 };
+                const candidates = [
+                    { path: 'A', relativePath: 'CARD_A/C0001.MP4', size: 100, driveFile: { size: '100', sourcePath: 'E:\\Shoot\\CARD_A\\C0001.MP4', duration: 30, frameRate: 25 } },
+                    { path: 'B', relativePath: 'CARD_B/C0001.MP4', size: 200, driveFile: { size: '200', sourcePath: 'E:\\Shoot\\CARD_B\\C0001.MP4', duration: 12.5, frameRate: 25 } }
+                ];
+
+                const ranked = Relinker.rankCandidates(item, candidates);
+                TestSuite.assertEqual(ranked[0].path, 'B', 'The clip pushed from CARD_B should rank first');
+                TestSuite.assert(Relinker.isConfident(ranked), 'A manifest match should be relinked without review');
+
+                const nameOnly = Relinker.rankCandidates(item, candidates.map(c => ({ ...c, relativePath: c.relativePath.replace('CARD_', 'X'), driveFile: null })));
+                TestSuite.assert(!Relinker.isConfident(nameOnly), 'Two name-only matches should go to review');
+            },
+
+            testRelinkUndo: async () => {
+                TestSuite.log('Testing undo of the last relink batch', 'test');
+                const originalRelink = Relinker._relink;
+                const originalEval = FileSystem.evalHost;
+                const calls = [];
+                try {
+                    Relinker._relink = async (nodeId, filePath) => { calls.push([nodeId, filePath]); return { success: true }; };
+                    FileSystem.evalHost = async () => '';
+                    Relinker.lastBatch = [
+                        { nodeId: '1', name: 'C0001.MP4', oldPath: 'E:\\CARD_B\\C0001.MP4', newPath: 'B' },
+                        { nodeId: '2', name: 'Title', oldPath: '', newPath: 'T' }
+                    ];
+
+                    const outcome = await Relinker.undoLastBatch();
+                    TestSuite.assertEqual(outcome.restored, 1, 'The item with a previous path should be restored');
+                    TestSuite.assertEqual(outcome.failed.length, 1, 'The item without a previous path should be reported');
+                    TestSuite.assertEqual(calls[0][1], 'E:\\CARD_B\\C0001.MP4', 'Undo should relink to the old path');
+                    TestSuite.assertEqual(Relinker.lastBatch, null, 'A batch can only be undone once');
+                } finally {
+                    Relinker._relink = originalRelink;
+                    FileSystem.evalHost = originalEval;
+                }
+            },
+
+            testKeepBothNaming: async () => {
+                TestSuite.log('Testing Keep Both copy naming', 'test');
+                const keptPath = buildKeepBothPath('C:\\Projects\\Ep4\\media\\C0001.MP4');
+                TestSuite.assert(keptPath.endsWith('.MP4'), 'Keep Both copy should keep the extension', keptPath);
+                TestSuite.assert(keptPath.includes(`(${Config.data.editorName || 'local'} `), 'Keep Both copy should carry the editor name', keptPath);
+            },
+
+            testProjectPathRewrite: async () => {
+                TestSuite.log('Testing .prproj media path rewriting from the manifest', 'test');
+                const fs = require('fs');
+                const path = require('path');
+                const zlib = require('zlib');
+                const root = fs.mkdtempSync(path.join(require('os').tmpdir(), 'teamsync-rewrite-'));
+
+                try {
+                    // Two files with the same name: only the manifest can tell them apart
+                    fs.mkdirSync(path.join(root, 'A'));
+                    fs.mkdirSync(path.join(root, 'B'));
+                    fs.writeFileSync(path.join(root, 'A', 'clip.mov'), 'a');
+                    fs.writeFileSync(path.join(root, 'B', 'clip.mov'), 'b');
+                    const projectPath = path.join(root, 'Test.prproj');
+                    fs.writeFileSync(projectPath, zlib.gzipSync(
+                        '<Media><ActualMediaFilePath>C:\\Shoot\\A\\clip.mov</ActualMediaFilePath></Media>' +
+                        '<Media><ActualMediaFilePath>D:\\B Roll &amp; more\\clip.mov</ActualMediaFilePath></Media>'
+                    ));
+
+                    const result = ProjectRewriter.rewriteProjectFile(projectPath, root, [
+                        { name: 'A/clip.mov', sourcePath: 'C:\\Shoot\\A\\clip.mov' },
+                        { name: 'B/clip.mov', sourcePath: 'D:\\B Roll & more\\clip.mov' }
+                    ]);
+                    const xml = zlib.gunzipSync(fs.readFileSync(projectPath)).toString('utf8');
+
+                    TestSuite.assertEqual(result.rewritten, 2, 'Both media paths should be rewritten');
+                    TestSuite.assertEqual(result.unresolved.length, 0, 'Nothing should be left to relink');
+                    TestSuite.assert(xml.includes(`>${path.join(root, 'B', 'clip.mov')}<`), 'Second clip should point at B/, not the first clip.mov found');
+                } finally {
+                    fs.rmSync(root, { recursive: true, force: true });
+                }
+            },
+
+            testFindDriveOriginal: async () => {
+                TestSuite.log('Testing that same-named clips find their own Drive original', 'test');
+                const files = [
+                    { id: 'a', name: 'CARD_A/C0001.MP4', sourcePath: 'E:\\Shoot\\CARD_A\\C0001.MP4' },
+                    { id: 'b', name: 'CARD_B/C0001.MP4', sourcePath: 'E:\\Shoot\\CARD_B\\C0001.MP4' },
+                    { id: 'p', name: 'proxies/CARD_B/C0001_Proxy.mov', proxyFor: 'CARD_B/C0001.MP4' },
+                    { id: 'c', name: 'Interview.mov', sourcePath: 'E:\\Shoot\\Interview.mov' }
+                ];
+                const find = (mediaPath, fileName) => {
+                    const found = findDriveOriginal(files, 'C:\\Projects\\Ep4', mediaPath, fileName);
+                    return found ? found.id : null;
+                };
+
+                TestSuite.assertEqual(find('E:\\Shoot\\CARD_B\\C0001.MP4', 'C0001.MP4'), 'b', 'Should match the pusher\'s path');
+                TestSuite.assertEqual(find(SyncState.resolveLocalPath('C:\\Projects\\Ep4', 'CARD_A/C0001.MP4'), 'C0001.MP4'), 'a', 'Should match the pulled path');
+                TestSuite.assertEqual(find('F:\\Other\\C0001.MP4', 'C0001.MP4'), null, 'A shared name alone should not pick a file');
+                TestSuite.assertEqual(find('F:\\Other\\Interview.mov', 'Interview.mov'), 'c', 'A unique name should still match');
+            },
+
+            testConflictProjectRewrite: async () => {
+                TestSuite.log('Testing that a .prproj taken from Drive in a conflict is rewritten', 'test');
+                const fs = require('fs');
+                const path = require('path');
+                const zlib = require('zlib');
+                const root = fs.mkdtempSync(path.join(require('os').tmpdir(), 'teamsync-conflict-'));
+                const originalDownload = GoogleDrive.downloadFileToPath;
+
+                try {
+                    fs.mkdirSync(path.join(root, 'A'));
+                    fs.writeFileSync(path.join(root, 'A', 'clip.mov'), 'a');
+                    const projectPath = path.join(root, 'Test.prproj');
+                    fs.writeFileSync(projectPath, 'local edit');
+                    GoogleDrive.downloadFileToPath = async (fileId, targetPath) => {
+                        fs.writeFileSync(targetPath, zlib.gzipSync('<Media><ActualMediaFilePath>X:\\Shoot\\A\\clip.mov</ActualMediaFilePath></Media>'));
+                    };
+
+                    const driveFile = { id: 'p1', name: 'Test.prproj', md5Checksum: 'drive-md5' };
+                    await applyConflictChoice({
+                        name: 'Test.prproj',
+                        localPath: projectPath,
+                        projectPath: root,
+                        driveFile,
+                        projectFiles: [driveFile, { id: 'c1', name: 'A/clip.mov', sourcePath: 'X:\\Shoot\\A\\clip.mov' }]
+                    }, 'drive');
+
+                    const xml = zlib.gunzipSync(fs.readFileSync(projectPath)).toString('utf8');
+                    TestSuite.assert(xml.includes(`>${path.join(root, 'A', 'clip.mov')}<`), 'Media path should point at this machine', xml);
+                    const entry = SyncState.getEntry(root, 'Test.prproj');
+                    TestSuite.assertEqual(entry && entry.localMd5, await computeLocalMd5({ filePath: projectPath }), 'Sync state should hold the rewritten md5');
+                    TestSuite.assertEqual(entry && entry.md5, 'drive-md5', 'Sync state should keep the Drive md5 as the base');
+                } finally {
+                    GoogleDrive.downloadFileToPath = originalDownload;
+                    fs.rmSync(root, { recursive: true, force: true });
+                }
+            },
+
+            testDownloadResume: async () => {
+                TestSuite.log('Testing that downloads resume from .part only for the same version', 'test');
+                const fs = require('fs');
+                const path = require('path');
+                const https = require('https');
+                const { PassThrough } = require('stream');
+                const { EventEmitter } = require('events');
+                const root = fs.mkdtempSync(path.join(require('os').tmpdir(), 'teamsync-resume-'));
+                const originalGet = https.get;
+                const originalToken = GoogleDrive.getValidToken;
+                const content = Buffer.from('0123456789'.repeat(100));
+                const md5Checksum = require('crypto').createHash('md5').update(content).digest('hex');
+                const ranges = [];
+
+                // Serves content like Drive: 206 from the requested byte, 200 without a Range
+                https.get = (url, options, onResponse) => {
+                    const range = options.headers['Range'] || null;
+                    ranges.push(range);
+                    const start = range ? parseInt(/bytes=(\d+)-/.exec(range)[1], 10) : 0;
+                    const res = new PassThrough();
+                    res.statusCode = range ? 206 : 200;
+                    res.headers = range
+                        ? { 'content-range': `bytes ${start}-${content.length - 1}/${content.length}` }
+                        : { 'content-length': String(content.length) };
+                    const req = new EventEmitter();
+                    req.destroy = () => {};
+                    setTimeout(() => {
+                        onResponse(res);
+                        res.end(content.subarray(start));
+                    }, 0);
+                    return req;
+                };
+                GoogleDrive.getValidToken = async () => 'token';
+
+                try {
+                    const targetPath = path.join(root, 'clip.mov');
+                    const journal = { fileId: 'f1', revisionId: 'r2', md5Checksum };
+
+                    // Same version: continue from the 400 bytes already on disk
+                    fs.writeFileSync(`${targetPath}.part`, content.subarray(0, 400));
+                    fs.writeFileSync(`${targetPath}.part.json`, JSON.stringify(journal));
+                    let result = await GoogleDrive.downloadFileToPath('f1', targetPath, { revisionId: 'r2', md5Checksum });
+                    TestSuite.assertEqual(ranges[0], 'bytes=400-', 'Should ask for the missing bytes only');
+                    TestSuite.assertEqual(result.resumedFrom, 400, 'Should report where it resumed');
+                    TestSuite.assert(fs.readFileSync(targetPath).equals(content), 'Resumed file should be complete');
+                    TestSuite.assert(!fs.existsSync(`${targetPath}.part`) && !fs.existsSync(`${targetPath}.part.json`), 'Should clean up the .part and journal');
+
+                    // Journal from another revision: its bytes are discarded
+                    ranges.length = 0;
+                    fs.writeFileSync(`${targetPath}.part`, 'bytes of an older revision');
+                    fs.writeFileSync(`${targetPath}.part.json`, JSON.stringify({ ...journal, revisionId: 'r1' }));
+                    result = await GoogleDrive.downloadFileToPath('f1', targetPath, { revisionId: 'r2', md5Checksum });
+                    TestSuite.assertEqual(ranges[0], null, 'A stale journal should mean a full download');
+                    TestSuite.assertEqual(result.resumedFrom, 0, 'Nothing should be resumed from a stale .part');
+                    TestSuite.assert(fs.readFileSync(targetPath).equals(content), 'Fresh file should be complete');
+
+                    // Matching journal but corrupt bytes: the md5 check restarts from scratch
+                    ranges.length = 0;
+                    fs.writeFileSync(`${targetPath}.part`, Buffer.alloc(400, 'x'));
+                    fs.writeFileSync(`${targetPath}.part.json`, JSON.stringify(journal));
+                    await GoogleDrive.downloadFileToPath('f1', targetPath, { revisionId: 'r2', md5Checksum });
+                    TestSuite.assertEqual(ranges.join(','), 'bytes=400-,', 'Should resume once, then fetch the whole file');
+                    TestSuite.assert(fs.readFileSync(targetPath).equals(content), 'Restarted file should match the md5');
+                } finally {
+                    https.get = originalGet;
+                    GoogleDrive.getValidToken = originalToken;
+                    fs.rmSync(root, { recursive: true, force: true });
+                }
+            },
+
             testCEPFileSystem: async () => {
                 TestSuite.log('Testing CEP file system access', 'test');
                 try {
@@ -532,6 +909,44 @@ const testSuites = {
                 }
             },
 
+            testTransferConcurrency: async () => {
+                TestSuite.log('Testing shared transfer concurrency setting', 'test');
+                const saved = Config.data.maxParallelTransfers;
+                try {
+                    Config.data.maxParallelTransfers = 20;
+                    TestSuite.assertEqual(Config.getTransferConcurrency(), 8, 'Concurrency should be capped at 8');
+                    Config.data.maxParallelTransfers = 0;
+                    TestSuite.assertEqual(Config.getTransferConcurrency(), 1, 'Concurrency should be at least 1');
+                    Config.data.maxParallelTransfers = 'abc';
+                    TestSuite.assertEqual(Config.getTransferConcurrency(), 3, 'Invalid values should fall back to 3');
+                } finally {
+                    Config.data.maxParallelTransfers = saved;
+                }
+            },
+
+            testThrottleSchedule: async () => {
+                TestSuite.log('Testing bandwidth limits and working-hours schedule', 'test');
+                const saved = { ...Config.data };
+                try {
+                    Config.data.uploadLimitMbps = 8;
+                    Config.data.throttleWorkingHoursOnly = true;
+                    Config.data.workingHoursStart = '09:00';
+                    Config.data.workingHoursEnd = '18:00';
+
+                    const wednesdayMorning = new Date(2026, 9, 21, 10, 0);
+                    const wednesdayEvening = new Date(2026, 9, 21, 20, 0);
+                    const saturday = new Date(2026, 9, 24, 10, 0);
+                    TestSuite.assertEqual(Throttle.getLimitBytesPerSec('up', wednesdayMorning), 1000000, '8 Mbit/s should be 1,000,000 bytes/s');
+                    TestSuite.assertEqual(Throttle.getLimitBytesPerSec('up', wednesdayEvening), 0, 'No cap outside working hours');
+                    TestSuite.assertEqual(Throttle.getLimitBytesPerSec('up', saturday), 0, 'No cap at weekends');
+
+                    Config.data.throttleWorkingHoursOnly = false;
+                    TestSuite.assertEqual(Throttle.getChunkSize('up', 8 * 1024 * 1024) % (256 * 1024), 0, 'Throttled chunks should be 256 KB multiples');
+                } finally {
+                    Config.data = saved;
+                }
+            },
+
             testConfigPersistence: async () => {
                 TestSuite.log('Testing config persistence', 'test');
                 try {
@@ -0,0 +1,99 @@
+/**
+ * Throttle - shared token buckets that cap upload and download bandwidth
+ *
+ * One bucket per direction is shared by every transfer worker, so the cap is the
+ * panel's total rate however many files move at once. Limits come from Config
+ * (Mbit/s, 0 = unlimited) and can be limited to working hours (Mon-Fri).
+ *
+ * Uploads take tokens before each resumable chunk; downloads pass through
+ * createStream(), which holds each chunk back until its tokens are available.
+ */
+
+const Throttle = {
+    // A full bucket allows one second of burst at the configured rate
+    burstSeconds: 1,
+    _buckets: {},
+
+    /**
+     * Whether the working-hours schedule currently allows throttling
+     */
+    isScheduleActive(now = new Date()) {
+        if (!Config.data.throttleWorkingHoursOnly) return true;
+
+        const day = now.getDay();
+        if (day === 0 || day === 6) return false;
+
+        const toMinutes = (value) => {
+            const [hours, minutes] = String(value || '').split(':').map(n => parseInt(n, 10));
+            return (hours || 0) * 60 + (minutes || 0);
+        };
+        const current = now.getHours() * 60 + now.getMinutes();
+        const start = toMinutes(Config.data.workingHoursStart || '09:00');
+        const end = toMinutes(Config.data.workingHoursEnd || '18:00');
+
+        // A window such as 22:00-06:00 wraps past midnight
+        return start <= end
+            ? current >= start && current < end
+            : current >= start || current < end;
+    },
+
+    /**
+     * Current cap in bytes per second for 'up' or 'down', 0 when unlimited
+     */
+    getLimitBytesPerSec(direction, now = new Date()) {
+        const mbps = parseFloat(direction === 'up' ? Config.data.uploadLimitMbps : Config.data.downloadLimitMbps);
+        if (!mbps || mbps <= 0) return 0;
+        if (!this.isScheduleActive(now)) return 0;
+        return Math.floor((mbps * 1000 * 1000) / 8);
+    },
+
+    /**
+     * Resumable chunk size that keeps a throttled upload smooth: about one second
+     * of the cap, in the 256 KB multiples Drive requires
+     */
+    getChunkSize(direction, maxChunkSize) {
+        const rate = this.getLimitBytesPerSec(direction);
+        if (!rate) return maxChunkSize;
+
+        const unit = 256 * 1024;
+        const size = Math.max(unit, Math.floor(rate / unit) * unit);
+        return Math.min(maxChunkSize, size);
+    },
+
+    /**
+     * Wait until `bytes` may be sent in the given direction
+     * Callers that ask for more than is available go into debt and wait it off,
+     * so concurrent workers queue behind each other instead of exceeding the cap.
+     */
+    async consume(direction, bytes) {
+        const rate = this.getLimitBytesPerSec(direction);
+        if (!rate || !bytes) return;
+
+        const now = Date.now();
+        const capacity = rate * this.burstSeconds;
+        let bucket = this._buckets[direction];
+        if (!bucket || bucket.rate !== rate) {
+            bucket = this._buckets[direction] = { rate, tokens: capacity, updatedAt: now };
+        }
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+        bucket.updatedAt = now;
+        bucket.tokens -= bytes;
+
+        if (bucket.tokens < 0) {
+            await new Promise(resolve => setTimeout(resolve, Math.ceil((-bucket.tokens / rate) * 1000)));
+        }
+    },
+
+    /**
+     * Transform stream that applies the bucket to data piped through it
+     */
+    createStream(direction) {
+        const { Transform } = require('stream');
+        return new Transform({
+            transform: (chunk, encoding, callback) => {
+                this.consume(direction, chunk.length).then(() => callback(null, chunk), callback);
+            }
+        });
+    }
+};
@@ -1,43 +1,68 @@
-// Sequential Upload System with Progress Tracking
-// Uploads files one by one to avoid race conditions
+// Project Upload System with Progress Tracking
+// Uploads files through a small worker pool (Config.getTransferConcurrency)
 
-async function uploadProjectWithConcurrency(projectData, showProgressModal = true) {
-    const MAX_PARALLEL_UPLOADS = 3;
+function toForwardSlash(value) {
+    return (value || '').replace(/\\/g, '/');
+}
+
+function trimLeadingSlashes(value) {
+    return (value || '').replace(/^[/\\]+/, '');
+}
+
+function sanitizeRelativePath(value) {
+    return trimLeadingSlashes(toForwardSlash(value).replace(/\/+/g, '/'));
+}
+
+/**
+ * Path of a local file inside the project's Drive folder
+ * Files under the project root keep their relative tree; anything else goes under
+ * external_<drive letter>/ so identically named files from different disks never collide.
+ * Captions, templates, LUTs and fonts go to assets/<type folder>/<source folder hash>/ instead, and packaged
+ * After Effects projects to ae_bundles/<name>/.
+ */
+function buildDriveRelativePath(file, projectRoot) {
     const pathModule = (typeof require !== 'undefined') ? require('path') : null;
-    const fs = (typeof require !== 'undefined') ? require('fs') : null;
+    if (!pathModule || !file.path) return file.name;
+    if (file.type === 'project') return pathModule.basename(file.path);
 
-    function toForwardSlash(value) {
-        return (value || '').replace(/\\/g, '/');
+    // Collected After Effects projects keep their bundle layout
+    if (file.aeBundle) {
+        return sanitizeRelativePath(`ae_bundles/${file.aeBundle}/${file.bundlePath}`);
     }
 
-    function trimLeadingSlashes(value) {
-        return (value || '').replace(/^[/\\]+/, '');
+    const assetType = file.assetType || AssetCollector.getAssetType(file.path);
+    if (assetType) {
+        return AssetCollector.getDrivePath(assetType, file.path);
     }
 
-    function sanitizeRelativePath(value) {
-        return trimLeadingSlashes(toForwardSlash(value).replace(/\/+/g, '/'));
+    // Proxies mirror their original's folder under proxies/
+    if (file.proxyFor) {
+        const originalPath = buildDriveRelativePath({ name: file.name, path: file.proxyFor }, projectRoot);
+        const originalDir = originalPath.includes('/') ? originalPath.slice(0, originalPath.lastIndexOf('/')) : '';
+        return sanitizeRelativePath(`proxies/${originalDir}/${pathModule.basename(file.path)}`);
     }
 
-    function buildDriveRelativePath(file, projectRootNormalized) {
-        if (!pathModule || !file.path) return file.name;
-        if (file.type === 'project') return pathModule.basename(file.path);
+    const absolute = pathModule.resolve(file.path);
+    const normalizedAbsolute = toForwardSlash(absolute).toLowerCase();
+    const normalizedRoot = toForwardSlash(projectRoot || '').toLowerCase();
 
-        const absolute = pathModule.resolve(file.path);
-        const normalizedAbsolute = toForwardSlash(absolute).toLowerCase();
-        const normalizedRoot = (projectRootNormalized || '').toLowerCase();
+    // Keep project-internal files in a clean relative tree.
+    if (normalizedRoot && (normalizedAbsolute === normalizedRoot || normalizedAbsolute.startsWith(normalizedRoot + '/'))) {
+        const rel = pathModule.relative(projectRoot || '', absolute);
+        return sanitizeRelativePath(rel);
+    }
 
-        // Keep project-internal files in a clean relative tree.
-        if (normalizedRoot && (normalizedAbsolute === normalizedRoot || normalizedAbsolute.startsWith(normalizedRoot + '/'))) {
-            const rel = pathModule.relative(projectData.baseFolder || '', absolute);
-            return sanitizeRelativePath(rel);
-        }
+    // For external files, preserve path uniqueness to avoid filename collisions.
+    const driveMatch = absolute.match(/^([a-zA-Z]):[\\/]/);
+    const drivePrefix = driveMatch ? `external_${driveMatch[1].toLowerCase()}` : 'external';
+    const withoutDrive = absolute.replace(/^[a-zA-Z]:[\\/]/, '');
+    return sanitizeRelativePath(`${drivePrefix}/${withoutDrive}`);
+}
 
-        // For external files, preserve path uniqueness to avoid filename collisions.
-        const driveMatch = absolute.match(/^([a-zA-Z]):[\\/]/);
-        const drivePrefix = driveMatch ? `external_${driveMatch[1].toLowerCase()}` : 'external';
-        const withoutDrive = absolute.replace(/^[a-zA-Z]:[\\/]/, '');
-        return sanitizeRelativePath(`${drivePrefix}/${withoutDrive}`);
-    }
+async function uploadProjectWithConcurrency(projectData, showProgressModal = true) {
+    const MAX_PARALLEL_UPLOADS = Config.getTransferConcurrency();
+    const pathModule = (typeof require !== 'undefined') ? require('path') : null;
+    const fs = (typeof require !== 'undefined') ? require('fs') : null;
 
     function getMimeTypeFromName(fileName) {
         const ext = (fileName.split('.').pop() || '').toLowerCase();
@@ -57,20 +82,26 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
     allFilesToUpload.push({
         name: projectData.name,
         path: projectData.path,
-        type: 'project'
+        type: 'project',
+        includedBecause: 'Project file'
     });
     if (projectData.mediaFiles && projectData.mediaFiles.length > 0) {
         allFilesToUpload.push(...projectData.mediaFiles);
     }
 
     const projectRoot = pathModule && projectData.path ? pathModule.dirname(projectData.path) : '';
-    const normalizedProjectRoot = toForwardSlash(projectRoot);
     projectData.baseFolder = projectRoot;
 
     allFilesToUpload.forEach((file, index) => {
         file.uploadKey = `${index}:${file.path || file.name}`;
-        file.driveRelativePath = buildDriveRelativePath(file, normalizedProjectRoot) || file.name;
+        if (file.type !== 'project' && !file.assetType) {
+            file.assetType = AssetCollector.getAssetType(file.path || file.name) || undefined;
+        }
+        file.driveRelativePath = buildDriveRelativePath(file, projectRoot) || file.name;
         file.driveFileName = sanitizeRelativePath(file.driveRelativePath).split('/').pop() || file.name;
+        if (file.proxyFor) {
+            file.proxyForDrivePath = buildDriveRelativePath({ name: file.name, path: file.proxyFor }, projectRoot);
+        }
     });
 
     const totalFiles = allFilesToUpload.length;
@@ -272,6 +303,7 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
     const uploadedFiles = [];
     const reportEntries = [];
     const folderCache = { '': projectFolderId };
+    const poolUploads = {}; // md5 -> in-flight media pool upload
     const folderPromiseCache = {};
 
     async function getFolderForFile(file) {
@@ -309,6 +341,7 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
             reportEntries.push({
                 name: file.name,
                 drivePath: file.driveRelativePath || file.driveFileName || file.name,
+                includedBecause: file.includedBecause || '',
                 status: 'cancelled',
                 reason: 'Cancelled by user before upload started'
             });
@@ -317,6 +350,53 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
         }
 
         const item = uploadState.fileItems[file.uploadKey];
+        const drivePath = file.driveRelativePath || file.driveFileName || file.name;
+
+        // The push plan already matched this file to the last push: reuse its Drive copy
+        // without searching Drive or hashing again
+        if (file.planStatus === 'unchanged' && file.manifestEntry && file.manifestEntry.driveId) {
+            const entry = file.manifestEntry;
+            completedFiles++;
+            skippedFilesCount++;
+            if (item) {
+                item.className = 'upload-file-item complete';
+                item.querySelector('.file-item-status').textContent = '⏭️ Unchanged';
+                const cancelBtn = item.querySelector('.btn-cancel-file');
+                if (cancelBtn) cancelBtn.style.display = 'none';
+            }
+            uploadState.fileStatus[file.uploadKey] = 'skipped';
+            reportEntries.push({ name: file.name, drivePath, status: 'skipped', reason: 'Unchanged since last push', includedBecause: file.includedBecause || '' });
+            uploadedFiles.push({
+                name: file.name,
+                driveName: file.driveFileName || file.name,
+                drivePath,
+                path: file.path,
+                driveId: entry.driveId,
+                md5Checksum: entry.md5Checksum || null,
+                revisionId: entry.revisionId || null,
+                modifiedTime: entry.modifiedTime || null,
+                size: file.size || entry.size,
+                status: 'unchanged',
+                pooled: !!entry.pooled,
+                poolName: entry.poolName,
+                proxyFor: file.proxyForDrivePath,
+                assetType: file.assetType,
+                sourcePath: file.sourcePath,
+                duration: file.duration || undefined,
+                frameRate: file.frameRate || undefined
+            });
+            if (projectRoot && file.path) {
+                SyncState.recordFile(projectRoot, drivePath, file.path, {
+                    id: entry.driveId,
+                    md5Checksum: entry.md5Checksum,
+                    modifiedTime: entry.modifiedTime
+                }, file.localMd5);
+            }
+            console.log(`  ⏭️ Unchanged since last push: ${file.name}`);
+            updateUI();
+            return;
+        }
+
         uploadState.currentFileName = file.uploadKey;
         uploadState.fileStatus[file.uploadKey] = 'uploading';
 
@@ -342,12 +422,31 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
             const actualFileSize = stats.size;
             let uploadedBytes = 0;
             const mimeType = getMimeTypeFromName(file.driveFileName || file.name);
-            const targetFolderId = await getFolderForFile(file);
+            // Reuse the planner's hash if the file has not changed size since
+            let localMd5 = file.localMd5 && file.size === actualFileSize ? file.localMd5 : null;
+
+            // Media goes to the shared pool under its md5; the project folder keeps only the .prproj
+            const usePool = MediaPool.isEnabled() && file.type !== 'project';
+            let uploadName = file.driveFileName || file.name;
+            let targetFolderId;
+            if (usePool) {
+                localMd5 = localMd5 || await computeLocalMd5({ filePath: file.path });
+                if (!localMd5) throw new Error(`Could not hash ${file.name} for the media pool`);
+                uploadName = MediaPool.poolName(localMd5, file.driveFileName || file.name);
+                targetFolderId = await MediaPool.getFolderId();
+            } else {
+                targetFolderId = await getFolderForFile(file);
+            }
 
-            // Upload to Google Drive with progress tracking
-            const result = await uploadFileWithProgress(
-                file.driveFileName || file.name,
-                { filePath: file.path, size: actualFileSize },
+            // Two files with the same content in one push share a single pool upload
+            const sharedUpload = usePool ? poolUploads[localMd5] : null;
+            const uploadPromise = sharedUpload || uploadFileWithProgress(
+                uploadName,
+                {
+                    filePath: file.path,
+                    size: actualFileSize,
+                    md5Checksum: localMd5
+                },
                 mimeType,
                 targetFolderId,
                 (loaded, total) => {
@@ -391,6 +490,14 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
                     }
                 } // Pass cancellation context
             );
+            if (usePool && !sharedUpload) poolUploads[localMd5] = uploadPromise;
+
+            let result = await uploadPromise;
+            if (sharedUpload) {
+                result = { ...result, skipped: true, reason: 'Same content as another file in this push' };
+            } else if (usePool && result.skipped) {
+                result = { ...result, reason: 'Already in media pool' };
+            }
 
             // Handle Response (might be object {id, skipped} or just id if I messed up)
             // Normalized result:
@@ -425,6 +532,7 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
                 reportEntries.push({
                     name: file.name,
                     drivePath: file.driveRelativePath || file.driveFileName || file.name,
+                    includedBecause: file.includedBecause || '',
                     status: 'skipped',
                     reason: skipReason
                 });
@@ -433,6 +541,7 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
                 reportEntries.push({
                     name: file.name,
                     drivePath: file.driveRelativePath || file.driveFileName || file.name,
+                    includedBecause: file.includedBecause || '',
                     status: 'uploaded',
                     reason: 'Uploaded successfully'
                 });
@@ -440,15 +549,34 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
 
             updateUI();
 
-            // Add to uploaded files list
-            if (!wasSkipped) {
-                uploadedFiles.push({
-                    name: file.name,
-                    driveName: file.driveFileName || file.name,
-                    drivePath: file.driveRelativePath || file.driveFileName || file.name,
-                    path: file.path,
-                    driveId: fileId,
-                    size: actualFileSize
+            // Add to the manifest; skipped files stay listed so every version is a full snapshot
+            uploadedFiles.push({
+                name: file.name,
+                driveName: file.driveFileName || file.name,
+                drivePath: file.driveRelativePath || file.driveFileName || file.name,
+                path: file.path,
+                driveId: fileId,
+                md5Checksum: result.md5Checksum || null,
+                revisionId: result.revisionId || null,
+                modifiedTime: result.modifiedTime || null,
+                size: actualFileSize,
+                status: wasSkipped ? 'unchanged' : 'uploaded',
+                pooled: usePool,
+                poolName: usePool ? uploadName : undefined,
+                proxyFor: file.proxyForDrivePath,
+                assetType: file.assetType,
+                sourcePath: file.sourcePath,
+                duration: file.duration || undefined,
+                frameRate: file.frameRate || undefined
+            });
+            if (usePool) MediaPool.remember(localMd5, file.path);
+
+            // What is on Drive now matches the local file: make it the sync base
+            if (projectRoot && fs && file.path && result.md5Checksum) {
+                SyncState.recordFile(projectRoot, file.driveRelativePath || file.driveFileName || file.name, file.path, {
+                    id: fileId,
+                    md5Checksum: result.md5Checksum,
+                    modifiedTime: result.modifiedTime
                 });
             }
             delete uploadContext.activeXhrs[file.uploadKey];
@@ -469,6 +597,7 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
                 reportEntries.push({
                     name: file.name,
                     drivePath: file.driveRelativePath || file.driveFileName || file.name,
+                    includedBecause: file.includedBecause || '',
                     status: 'cancelled',
                     reason: 'Cancelled during upload'
                 });
@@ -496,6 +625,7 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
             reportEntries.push({
                 name: file.name,
                 drivePath: file.driveRelativePath || file.driveFileName || file.name,
+                includedBecause: file.includedBecause || '',
                 status: 'failed',
                 reason: (error && error.message) ? error.message : 'Unknown upload error'
             });
@@ -528,6 +658,10 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
     const uploadIndicator = document.getElementById('upload-indicator');
     if (uploadIndicator) uploadIndicator.classList.add('hidden');
 
+    if (projectRoot && fs) {
+        SyncState.save(projectRoot);
+    }
+
     if (uploadContext.cancelled) {
         return { success: false, cancelled: true };
     }
@@ -565,6 +699,17 @@ async function uploadProjectWithConcurrency(projectData, showProgressModal = tru
         );
 
         console.log('✅ Manifest created successfully');
+
+        // Record this push as an immutable version on the admin server
+        const versionResult = await SyncEngine.recordProjectVersion(projectName, manifest);
+        if (versionResult && versionResult.success) {
+            console.log(`🕘 Recorded version ${versionResult.version} of ${projectName}`);
+
+            const pins = await GoogleDrive.pinVersionRevisions(manifest);
+            console.log(`📌 Pinned ${pins.pinned} revisions for version ${versionResult.version}${pins.failed ? ` (${pins.failed} failed)` : ''}`);
+        } else {
+            console.warn('⚠️ Could not record project version:', versionResult && versionResult.error);
+        }
     } catch (error) {
         console.error('❌ Error creating manifest:', error);
         // Don't fail the whole upload if manifest fails
@@ -3,6 +3,8 @@
 const DRIVE_RESUMABLE_THRESHOLD = 8 * 1024 * 1024; // 8 MB
 const DRIVE_CHUNK_SIZE = 8 * 1024 * 1024; // 8 MB
 const DRIVE_MAX_RETRIES = 4;
+// Revisions are pinned once the push is recorded as a version (GoogleDrive.pinVersionRevisions)
+const DRIVE_UPLOAD_QUERY = 'fields=id,md5Checksum,headRevisionId,modifiedTime&supportsAllDrives=true';
 
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -104,10 +106,21 @@ async function computeLocalMd5(fileInput) {
     }
 }
 
+// Normalize Drive's upload response into the shape the upload helpers report on.
+function buildUploadResult(metadata, fallbackId) {
+    return {
+        id: metadata?.id || fallbackId,
+        skipped: false,
+        md5Checksum: metadata?.md5Checksum || null,
+        revisionId: metadata?.headRevisionId || null,
+        modifiedTime: metadata?.modifiedTime || null
+    };
+}
+
 async function findExistingDriveFile(fileName, folderId, token) {
     const query = `name='${fileName.replace(/'/g, "\\'")}' and '${folderId}' in parents and trashed=false`;
     const searchRes = await fetch(
-        `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(query)}&fields=files(id,size,md5Checksum,modifiedTime)&supportsAllDrives=true&includeItemsFromAllDrives=true`,
+        `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(query)}&fields=files(id,size,md5Checksum,modifiedTime,headRevisionId)&supportsAllDrives=true&includeItemsFromAllDrives=true`,
         { headers: { Authorization: `Bearer ${token}` } }
     );
 
@@ -148,6 +161,8 @@ async function ensureDriveFileMetadata(fileName, folderId, token, existingId) {
 }
 
 async function simpleUploadAttempt(fileName, content, mimeType, fileId, token, onProgress, uploadContext, timeoutMs) {
+    await Throttle.consume('up', content.byteLength || content.length || 0);
+
     return new Promise((resolve, reject) => {
         const xhr = new XMLHttpRequest();
         if (uploadContext) {
@@ -158,7 +173,7 @@ async function simpleUploadAttempt(fileName, content, mimeType, fileId, token, o
             }
         }
 
-        const uploadUrl = `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media&fields=id,md5Checksum&supportsAllDrives=true`;
+        const uploadUrl = `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media&${DRIVE_UPLOAD_QUERY}`;
         xhr.open('PATCH', uploadUrl);
         xhr.setRequestHeader('Authorization', `Bearer ${token}`);
         xhr.setRequestHeader('Content-Type', mimeType);
@@ -176,7 +191,7 @@ async function simpleUploadAttempt(fileName, content, mimeType, fileId, token, o
             if (xhr.status >= 200 && xhr.status < 300) {
                 try {
                     const response = JSON.parse(xhr.responseText);
-                    resolve({ id: response.id || fileId, skipped: false });
+                    resolve(buildUploadResult(response, fileId));
                 } catch (e) {
                     reject(createUploadError('Failed to parse upload response', xhr.status, false));
                 }
@@ -208,7 +223,7 @@ async function simpleUploadAttempt(fileName, content, mimeType, fileId, token, o
 
 async function createResumableSession(fileName, mimeType, fileId, totalSize, token) {
     const startRes = await fetch(
-        `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=resumable&fields=id,md5Checksum&supportsAllDrives=true`,
+        `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=resumable&${DRIVE_UPLOAD_QUERY}`,
         {
             method: 'PATCH',
             headers: {
@@ -234,6 +249,8 @@ async function createResumableSession(fileName, mimeType, fileId, totalSize, tok
 }
 
 async function putResumableChunk(sessionUrl, chunkBuffer, start, end, total, committedBytes, onProgress, uploadContext, timeoutMs) {
+    await Throttle.consume('up', chunkBuffer.length);
+
     return new Promise((resolve, reject) => {
         const xhr = new XMLHttpRequest();
         if (uploadContext) {
@@ -266,7 +283,8 @@ async function putResumableChunk(sessionUrl, chunkBuffer, start, end, total, com
                 }
                 resolve({
                     done: xhr.status >= 200 && xhr.status < 300,
-                    id: parsed?.id || null
+                    id: parsed?.id || null,
+                    metadata: parsed
                 });
                 return;
             }
@@ -311,7 +329,8 @@ async function uploadResumableFromFile(fileName, fileInput, mimeType, fileId, to
         fd = fs.openSync(filePath, 'r');
 
         while (committedBytes < totalSize) {
-            const chunkSize = Math.min(DRIVE_CHUNK_SIZE, totalSize - committedBytes);
+            // Smaller chunks while throttled, so the cap is held smoothly instead of in 8 MB bursts
+            const chunkSize = Math.min(Throttle.getChunkSize('up', DRIVE_CHUNK_SIZE), totalSize - committedBytes);
             const chunkBuffer = Buffer.alloc(chunkSize);
             const bytesRead = fs.readSync(fd, chunkBuffer, 0, chunkSize, committedBytes);
 
@@ -338,7 +357,7 @@ async function uploadResumableFromFile(fileName, fileInput, mimeType, fileId, to
                     committedBytes += bytesRead;
                     chunkUploaded = true;
                     if (chunkResult.done) {
-                        return { id: chunkResult.id || fileId, skipped: false };
+                        return buildUploadResult(chunkResult.metadata, fileId);
                     }
                     break;
                 } catch (err) {
@@ -370,11 +389,18 @@ async function uploadFileWithProgress(fileName, fileInput, mimeType, folderId, o
 
     const existingFile = await findExistingDriveFile(fileName, folderId, token);
     let existingId = existingFile?.id;
-    const localMd5 = await computeLocalMd5(fileInput);
+    const localMd5 = (fileInput && fileInput.md5Checksum) || await computeLocalMd5(fileInput);
 
     if (existingId && existingFile?.md5Checksum && localMd5 && existingFile.md5Checksum === localMd5) {
         console.log(`  ⏭️ Skipped ${fileName} (unchanged, MD5 match)`);
-        return { id: existingId, skipped: true, reason: 'Unchanged (MD5 match)' };
+        return {
+            id: existingId,
+            skipped: true,
+            reason: 'Unchanged (MD5 match)',
+            md5Checksum: existingFile.md5Checksum,
+            revisionId: existingFile.headRevisionId || null,
+            modifiedTime: existingFile.modifiedTime || null
+        };
     }
 
     existingId = await ensureDriveFileMetadata(fileName, folderId, token, existingId);
@@ -182,23 +182,73 @@ function scanProjectItems(item, files) {
             }
 
             if (filePath && filePath !== '') {
+                var timing = getMediaTiming(child);
                 files.push({
                     name: child.name,
                     path: filePath,
                     type: getMediaType(child),
                     inPoint: child.getInPoint ? child.getInPoint().seconds : 0,
-                    outPoint: child.getOutPoint ? child.getOutPoint().seconds : 0
+                    outPoint: child.getOutPoint ? child.getOutPoint().seconds : 0,
+                    duration: timing.duration,
+                    frameRate: timing.frameRate,
+                    proxyPath: getAttachedProxyPath(child)
                 });
             }
         }
     }
 }
 
+/**
+ * Path of the proxy attached to a project item, or '' when it has none
+ */
+function getAttachedProxyPath(item) {
+    try {
+        if (item.hasProxy && item.hasProxy()) {
+            return item.getProxyPath() || '';
+        }
+    } catch (e) {
+        // Items that cannot carry proxies (sequences, graphics)
+    }
+    return '';
+}
+
+/**
+ * Media duration (seconds) and frame rate of a project item, null when unknown
+ * Offline items keep both, which is what lets the relinker tell same-named clips apart.
+ */
+function getMediaTiming(item) {
+    var timing = { duration: null, frameRate: null };
+    try {
+        var interpretation = item.getFootageInterpretation();
+        if (interpretation && interpretation.frameRate > 0) {
+            timing.frameRate = Math.round(interpretation.frameRate * 1000) / 1000;
+        }
+    } catch (e) {
+        // Stills and graphics have no footage interpretation
+    }
+    try {
+        var duration = item.getOutPoint().seconds - item.getInPoint().seconds;
+        if (duration > 0) timing.duration = Math.round(duration * 1000) / 1000;
+    } catch (e) { }
+    return timing;
+}
+
 /**
  * Get the type of media item
  */
 function getMediaType(item) {
     try {
+        if (item.isMergedClip && item.isMergedClip()) return 'merged';
+
+        // Captions, templates, LUTs and fonts are typed by extension before stream checks
+        var mediaPath = '';
+        try { mediaPath = item.getMediaPath() || ''; } catch (pe) { }
+        var assetName = (mediaPath || item.name).toLowerCase();
+        if (assetName.match(/\.(srt|scc|vtt|stl|mcc|dfxp)$/)) return 'caption';
+        if (assetName.match(/\.mogrt$/)) return 'mogrt';
+        if (assetName.match(/\.(cube|look|3dl|lut|csp|itx)$/)) return 'lut';
+        if (assetName.match(/\.(ttf|otf|ttc)$/)) return 'font';
+
         // Check if it has video/audio streams
         var hasVideo = item.hasVideo ? item.hasVideo() : false;
         var hasAudio = item.hasAudio ? item.hasAudio() : false;
@@ -212,7 +262,7 @@ function getMediaType(item) {
         if (name.match(/\.(mp4|mov|avi|mkv|wmv|m4v|mxf|prores)$/)) return 'video';
         if (name.match(/\.(mp3|wav|aac|m4a|flac|ogg|aif|aiff)$/)) return 'audio';
         if (name.match(/\.(jpg|jpeg|png|gif|bmp|tiff|psd|ai|eps)$/)) return 'image';
-        if (name.match(/\.(mogrt|prproj)$/)) return 'project';
+        if (name.match(/\.prproj$/)) return 'project';
 
         return 'other';
     } catch (e) {
@@ -235,98 +285,262 @@ function getTimelineFiles() {
         }
 
         var files = [];
-        var seenPaths = {};  // Avoid duplicates
+        collectSequenceMedia(sequence, files, {});
 
-        // Scan video tracks
-        for (var v = 0; v < sequence.videoTracks.numTracks; v++) {
-            var track = sequence.videoTracks[v];
-            for (var c = 0; c < track.clips.numItems; c++) {
-                var clip = track.clips[c];
-                if (clip.projectItem) {
-                    try {
-                        var path = clip.projectItem.getMediaPath();
-                        if (path && !seenPaths[path]) {
-                            seenPaths[path] = true;
-                            var fileEntry = {
-                                name: clip.projectItem.name,
-                                path: path,
-                                type: getMediaType(clip.projectItem)
-                            };
-                            // Detect Dynamic Link / AE clips
-                            if (path.match(/\.aep$/i)) {
-                                fileEntry.isAep = true;
-                                fileEntry.compName = clip.projectItem.name;
-                                // Use actual .aep filename (not comp name) to avoid subfolder issues
-                                var lastSlash = Math.max(path.lastIndexOf('\\'), path.lastIndexOf('/'));
-                                if (lastSlash >= 0) {
-                                    fileEntry.name = path.substring(lastSlash + 1);
-                                }
-                            }
-                            files.push(fileEntry);
-                        } else if (path && path.match(/\.aep$/i) && seenPaths[path]) {
-                            // Same .aep but different comp - add comp name to existing entry
-                            for (var fi = 0; fi < files.length; fi++) {
-                                if (files[fi].path === path && files[fi].isAep) {
-                                    if (files[fi].compNames) {
-                                        files[fi].compNames.push(clip.projectItem.name);
-                                    } else {
-                                        files[fi].compNames = [files[fi].compName, clip.projectItem.name];
-                                    }
-                                    break;
-                                }
-                            }
-                        }
-                    } catch (e) { }
-                }
-            }
+        return JSON.stringify({
+            sequenceName: sequence.name,
+            files: files
+        });
+    } catch (e) {
+        return JSON.stringify({ error: e.message, files: [] });
+    }
+}
+
+/**
+ * Get the media used by every sequence in the project
+ * Each file lists the IDs of the sequences that use it, so the panel can
+ * push a subset of edits (e.g. only the social cutdowns).
+ */
+function getSequenceFiles() {
+    try {
+        if (!app.project) {
+            return JSON.stringify({ error: 'No project open', sequences: [], files: [] });
         }
 
-        // Scan audio tracks
-        for (var a = 0; a < sequence.audioTracks.numTracks; a++) {
-            var aTrack = sequence.audioTracks[a];
-            for (var ac = 0; ac < aTrack.clips.numItems; ac++) {
-                var aClip = aTrack.clips[ac];
-                if (aClip.projectItem) {
-                    try {
-                        var aPath = aClip.projectItem.getMediaPath();
-                        if (aPath && !seenPaths[aPath]) {
-                            seenPaths[aPath] = true;
-                            var aFileEntry = {
-                                name: aClip.projectItem.name,
-                                path: aPath,
-                                type: getMediaType(aClip.projectItem)
-                            };
-                            if (aPath.match(/\.aep$/i)) {
-                                aFileEntry.isAep = true;
-                                aFileEntry.compName = aClip.projectItem.name;
-                            }
-                            files.push(aFileEntry);
-                        } else if (aPath && aPath.match(/\.aep$/i) && seenPaths[aPath]) {
-                            for (var afi = 0; afi < files.length; afi++) {
-                                if (files[afi].path === aPath && files[afi].isAep) {
-                                    if (files[afi].compNames) {
-                                        files[afi].compNames.push(aClip.projectItem.name);
-                                    } else {
-                                        files[afi].compNames = [files[afi].compName, aClip.projectItem.name];
-                                    }
-                                    break;
-                                }
-                            }
-                        }
-                    } catch (e) { }
-                }
-            }
+        var files = [];
+        var filesByPath = {};
+        var sequences = [];
+        var activeId = app.project.activeSequence ? app.project.activeSequence.sequenceID : '';
+
+        for (var s = 0; s < app.project.sequences.numSequences; s++) {
+            var sequence = app.project.sequences[s];
+            collectSequenceMedia(sequence, files, filesByPath);
+            sequences.push({
+                id: sequence.sequenceID,
+                name: sequence.name,
+                active: sequence.sequenceID === activeId
+            });
         }
 
         return JSON.stringify({
-            sequenceName: sequence.name,
+            sequences: sequences,
             files: files
         });
     } catch (e) {
-        return JSON.stringify({ error: e.message, files: [] });
+        return JSON.stringify({ error: e.message, sequences: [], files: [] });
+    }
+}
+
+/**
+ * Add the media used by one sequence (video and audio tracks) to files
+ * Nested sequences and multicam source sequences are followed down to their media;
+ * each file records the chain of sequence names that led to it.
+ * @param {Object} filesByPath - media path -> entry, shared across sequences so each file is listed once
+ * @param {Array} chain - sequence names from the scanned sequence down to this one (internal)
+ * @param {Array} chainIds - sequence IDs along chain, to stop on self-nesting (internal)
+ */
+function collectSequenceMedia(sequence, files, filesByPath, chain, chainIds) {
+    chain = chain || [sequence.name];
+    chainIds = chainIds || [sequence.sequenceID];
+    var expanded = {};
+
+    var trackGroups = [sequence.videoTracks, sequence.audioTracks];
+    for (var g = 0; g < trackGroups.length; g++) {
+        var tracks = trackGroups[g];
+        for (var t = 0; t < tracks.numTracks; t++) {
+            var track = tracks[t];
+            for (var c = 0; c < track.clips.numItems; c++) {
+                var clip = track.clips[c];
+                if (!clip.projectItem) continue;
+                try {
+                    var nested = findNestedSequence(clip.projectItem);
+                    if (nested) {
+                        // Each nest is expanded once per sequence, however many times it is cut in
+                        if (expanded[nested.sequence.sequenceID] || arrayContains(chainIds, nested.sequence.sequenceID)) continue;
+                        expanded[nested.sequence.sequenceID] = true;
+                        collectSequenceMedia(
+                            nested.sequence,
+                            files,
+                            filesByPath,
+                            chain.concat([nested.sequence.name + (nested.multicam ? ' [multicam]' : ' [nested]')]),
+                            chainIds.concat([nested.sequence.sequenceID])
+                        );
+                    } else {
+                        addSequenceMediaItem(clip.projectItem, chainIds[0], chain, files, filesByPath);
+                    }
+                } catch (e) { }
+            }
+        }
     }
 }
 
+/**
+ * The sequence behind a nested-sequence or multicam clip, or null for plain media
+ * @returns {{sequence: Sequence, multicam: boolean}|null}
+ */
+function findNestedSequence(item) {
+    var multicam = false;
+    var isSequence = false;
+    try { multicam = item.isMulticamClip ? item.isMulticamClip() : false; } catch (e) { }
+    try { isSequence = item.isSequence ? item.isSequence() : false; } catch (e) { }
+    if (!multicam && !isSequence) return null;
+
+    for (var s = 0; s < app.project.sequences.numSequences; s++) {
+        var sequence = app.project.sequences[s];
+        if (sequence.projectItem && sequence.projectItem.nodeId === item.nodeId) {
+            return { sequence: sequence, multicam: multicam };
+        }
+    }
+    return null;
+}
+
+/**
+ * Record one clip's project item as used by the sequence with sequenceId
+ * @param {Array} chain - sequence names from that sequence down to the one holding the clip
+ */
+function addSequenceMediaItem(item, sequenceId, chain, files, filesByPath) {
+    var path = item.getMediaPath();
+    var isMerged = false;
+    try { isMerged = item.isMergedClip ? item.isMergedClip() : false; } catch (e) { }
+
+    // Merged clips are listed by node ID; the panel resolves their sources from the .prproj
+    if (isMerged) {
+        var mergedKey = 'merged:' + item.nodeId;
+        if (!filesByPath[mergedKey]) {
+            filesByPath[mergedKey] = {
+                name: item.name,
+                nodeId: item.nodeId,
+                path: '',
+                type: 'merged',
+                isMerged: true,
+                sequences: [],
+                chains: []
+            };
+            files.push(filesByPath[mergedKey]);
+        }
+        path = mergedKey;
+    } else if (!path) {
+        return;
+    }
+
+    var entry = filesByPath[path];
+    if (!entry) {
+        var timing = getMediaTiming(item);
+        entry = {
+            name: item.name,
+            path: path,
+            type: getMediaType(item),
+            duration: timing.duration,
+            frameRate: timing.frameRate,
+            proxyPath: getAttachedProxyPath(item),
+            sequences: [],
+            chains: []
+        };
+        // Detect Dynamic Link / AE clips
+        if (path.match(/\.aep$/i)) {
+            entry.isAep = true;
+            entry.compName = item.name;
+            // Use actual .aep filename (not comp name) to avoid subfolder issues
+            var lastSlash = Math.max(path.lastIndexOf('\\'), path.lastIndexOf('/'));
+            if (lastSlash >= 0) {
+                entry.name = path.substring(lastSlash + 1);
+            }
+        }
+        filesByPath[path] = entry;
+        files.push(entry);
+    } else if (entry.isAep && item.name !== entry.compName) {
+        // Same .aep but different comp - add comp name to existing entry
+        if (!entry.compNames) entry.compNames = [entry.compName];
+        if (!arrayContains(entry.compNames, item.name)) entry.compNames.push(item.name);
+    }
+
+    if (!arrayContains(entry.sequences, sequenceId)) {
+        entry.sequences.push(sequenceId);
+    }
+
+    var chainKey = chain.join(' > ');
+    for (var i = 0; i < entry.chains.length; i++) {
+        if (entry.chains[i].join(' > ') === chainKey) return;
+    }
+    entry.chains.push(chain);
+}
+
+/**
+ * ExtendScript arrays have no indexOf
+ */
+function arrayContains(list, value) {
+    for (var i = 0; i < list.length; i++) {
+        if (list[i] === value) return true;
+    }
+    return false;
+}
+
+/**
+ * Run a script in After Effects via BridgeTalk, launching AE if needed
+ * @param {string} aeScript - script source; its last expression is the result
+ * @param {number} timeoutMs - how long to wait for AE to answer
+ * @returns {{result: string, error: string}}
+ */
+function runAfterEffectsScript(aeScript, timeoutMs) {
+    // Check if AE is running, launch if needed
+    if (!BridgeTalk.isRunning('aftereffects')) {
+        BridgeTalk.launch('aftereffects');
+        var waitCount = 0;
+        while (!BridgeTalk.isRunning('aftereffects') && waitCount < 15) {
+            $.sleep(2000);
+            waitCount++;
+        }
+        if (!BridgeTalk.isRunning('aftereffects')) {
+            return { result: null, error: 'After Effects could not be launched' };
+        }
+        // Extra wait for AE to fully initialize
+        $.sleep(3000);
+    }
+
+    // Send via BridgeTalk with synchronous timeout
+    var bt = new BridgeTalk();
+    bt.target = 'aftereffects';
+    bt.body = aeScript;
+
+    var btResult = null;
+    var btError = null;
+    var btDone = false;
+
+    bt.onResult = function (msg) {
+        btResult = msg.body;
+        btDone = true;
+    };
+
+    bt.onError = function (msg) {
+        btError = msg.body;
+        btDone = true;
+    };
+
+    bt.send();
+
+    // Wait for response with pump
+    var elapsed = 0;
+    while (!btDone && elapsed < timeoutMs) {
+        BridgeTalk.pump();
+        $.sleep(200);
+        elapsed += 200;
+    }
+
+    if (btError) {
+        return { result: null, error: 'AE script error: ' + btError };
+    }
+
+    if (!btDone) {
+        return { result: null, error: 'AE did not respond within ' + Math.round(timeoutMs / 1000) + ' seconds' };
+    }
+
+    if (!btResult) {
+        return { result: null, error: 'Empty response from AE' };
+    }
+
+    return { result: btResult, error: null };
+}
+
 /**
  * Get footage files from an After Effects project via BridgeTalk
  * @param {string} aepPath - Full path to the .aep file
@@ -417,61 +631,11 @@ function getAEFootageFiles(aepPath, compNamesJSON) {
         aeScript += '}';
         aeScript += 'resultStr;';
 
-        // Check if AE is running, launch if needed
-        if (!BridgeTalk.isRunning('aftereffects')) {
-            BridgeTalk.launch('aftereffects');
-            var waitCount = 0;
-            while (!BridgeTalk.isRunning('aftereffects') && waitCount < 15) {
-                $.sleep(2000);
-                waitCount++;
-            }
-            if (!BridgeTalk.isRunning('aftereffects')) {
-                return JSON.stringify({ error: 'After Effects could not be launched', files: [] });
-            }
-            // Extra wait for AE to fully initialize
-            $.sleep(3000);
-        }
-
-        // Send via BridgeTalk with synchronous timeout
-        var bt = new BridgeTalk();
-        bt.target = 'aftereffects';
-        bt.body = aeScript;
-
-        var btResult = null;
-        var btError = null;
-        var btDone = false;
-
-        bt.onResult = function (msg) {
-            btResult = msg.body;
-            btDone = true;
-        };
-
-        bt.onError = function (msg) {
-            btError = msg.body;
-            btDone = true;
-        };
-
-        bt.send();
-
-        // Wait for response with pump (up to 60 seconds)
-        var elapsed = 0;
-        while (!btDone && elapsed < 60000) {
-            BridgeTalk.pump();
-            $.sleep(200);
-            elapsed += 200;
-        }
-
-        if (btError) {
-            return JSON.stringify({ error: 'AE script error: ' + btError, files: [] });
-        }
-
-        if (!btDone) {
-            return JSON.stringify({ error: 'AE did not respond within 60 seconds', files: [] });
-        }
-
-        if (!btResult) {
-            return JSON.stringify({ error: 'Empty response from AE', files: [] });
+        var response = runAfterEffectsScript(aeScript, 60000);
+        if (response.error) {
+            return JSON.stringify({ error: response.error, files: [] });
         }
+        var btResult = response.result;
 
         // Parse pipe-delimited result from AE
         // Format: "OK|name1>>path1|name2>>path2|..." or "ERROR|message"
@@ -500,7 +664,116 @@ function getAEFootageFiles(aepPath, compNamesJSON) {
 }
 
 /**
- * Get all OFFLINE media files in the project
+ * Package an After Effects project like AE's File > Dependencies > Collect Files
+ * Copies every file-backed footage item into <outputFolder>/(Footage)/, points the
+ * items at the copies and saves the project as <outputFolder>/<name>.aep, so AE
+ * resolves the footage relative to the bundle wherever it is pulled to. Projects
+ * imported into the .aep are merged into its items, so their footage and nested
+ * comps are collected too. The original .aep on disk is left untouched.
+ * @param {string} aepPath - Full path to the .aep file
+ * @param {string} outputFolder - Empty folder that receives the bundle
+ */
+function packageAEProject(aepPath, outputFolder) {
+    try {
+        var toScriptPath = function (value) {
+            return value.replace(/\\/g, '/').replace(/"/g, '\\"');
+        };
+
+        // Same pipe-delimited result as getAEFootageFiles (no JSON in AE)
+        // Format: "OK|copiedCount|missingPath1|missingPath2..." or "ERROR|message"
+        var aeScript = '';
+        aeScript += 'var errorMsg = "";';
+        aeScript += 'var copiedCount = 0;';
+        aeScript += 'var missing = [];';
+        aeScript += 'var aepFile = new File("' + toScriptPath(aepPath) + '");';
+        aeScript += 'var bundleFolder = new Folder("' + toScriptPath(outputFolder) + '");';
+        aeScript += 'var previousFile = (app.project && app.project.file) ? app.project.file : null;';
+        aeScript += 'var touched = false;';
+        aeScript += 'try {';
+        aeScript += '  var sameProject = false;';
+        aeScript += '  if (previousFile) {';
+        aeScript += '    sameProject = previousFile.fsName.replace(/\\\\/g, "/").toLowerCase() === aepFile.fsName.replace(/\\\\/g, "/").toLowerCase();';
+        aeScript += '  }';
+        // Packaging repoints footage in the open project, so unsaved work there would be lost
+        aeScript += '  if (sameProject && app.project.dirty) { throw new Error("Save the project in After Effects before pushing"); }';
+        aeScript += '  if (!sameProject) { app.open(aepFile); }';
+        aeScript += '  touched = true;';
+        aeScript += '  bundleFolder.create();';
+        aeScript += '  var footageFolder = new Folder(bundleFolder.fsName + "/(Footage)");';
+        aeScript += '  footageFolder.create();';
+        aeScript += '  var usedNames = {};';
+        aeScript += '  function uniqueName(name) {';
+        aeScript += '    var candidate = name;';
+        aeScript += '    var dot = name.lastIndexOf(".");';
+        aeScript += '    for (var n = 1; usedNames[candidate.toLowerCase()]; n++) {';
+        aeScript += '      candidate = dot > 0 ? name.substring(0, dot) + "_" + n + name.substring(dot) : name + "_" + n;';
+        aeScript += '    }';
+        aeScript += '    usedNames[candidate.toLowerCase()] = true;';
+        aeScript += '    return candidate;';
+        aeScript += '  }';
+        aeScript += '  var frameExtensions = /\\.(png|jpe?g|tiff?|exr|dpx|cin|tga|psd|bmp|sgi|hdr)$/i;';
+        aeScript += '  for (var i = 1; i <= app.project.numItems; i++) {';
+        aeScript += '    var item = app.project.item(i);';
+        aeScript += '    if (!(item instanceof FootageItem) || !item.file) continue;';
+        aeScript += '    var source = item.file;';
+        aeScript += '    if (!source.exists) { missing.push(source.fsName); continue; }';
+        // Image sequences: copy every frame in the folder and re-import as a sequence
+        aeScript += '    if (!item.mainSource.isStill && frameExtensions.test(source.name)) {';
+        aeScript += '      var sequenceFolder = new Folder(footageFolder.fsName + "/" + uniqueName(source.parent.name));';
+        aeScript += '      sequenceFolder.create();';
+        aeScript += '      var frames = source.parent.getFiles("*" + source.name.substring(source.name.lastIndexOf(".")));';
+        aeScript += '      for (var f = 0; f < frames.length; f++) {';
+        aeScript += '        if (frames[f] instanceof File) { frames[f].copy(sequenceFolder.fsName + "/" + frames[f].name); }';
+        aeScript += '      }';
+        aeScript += '      item.replaceWithSequence(new File(sequenceFolder.fsName + "/" + source.name), false);';
+        aeScript += '    } else {';
+        aeScript += '      var target = new File(footageFolder.fsName + "/" + uniqueName(source.name));';
+        aeScript += '      if (!source.copy(target.fsName)) { throw new Error("Could not copy " + source.fsName); }';
+        aeScript += '      item.replace(target);';
+        aeScript += '    }';
+        aeScript += '    copiedCount++;';
+        aeScript += '  }';
+        aeScript += '  app.project.save(new File(bundleFolder.fsName + "/" + aepFile.name));';
+        aeScript += '} catch(e) { errorMsg = e.message || String(e); }';
+        // Never leave the repointed project open where it could be saved over the original
+        aeScript += 'if (touched) {';
+        aeScript += '  try {';
+        aeScript += '    app.project.close(CloseOptions.DO_NOT_SAVE_CHANGES);';
+        aeScript += '    if (previousFile) { app.open(previousFile); }';
+        aeScript += '  } catch(ce) {}';
+        aeScript += '}';
+        aeScript += 'var resultStr = "";';
+        aeScript += 'if (errorMsg !== "") {';
+        aeScript += '  resultStr = "ERROR|" + errorMsg;';
+        aeScript += '} else {';
+        aeScript += '  resultStr = "OK|" + copiedCount;';
+        aeScript += '  for (var m = 0; m < missing.length; m++) { resultStr += "|" + missing[m]; }';
+        aeScript += '}';
+        aeScript += 'resultStr;';
+
+        // Copying footage can take a while on big projects
+        var response = runAfterEffectsScript(aeScript, 600000);
+        if (response.error) {
+            return JSON.stringify({ error: response.error, copiedCount: 0, missing: [] });
+        }
+
+        var parts = response.result.split('|');
+        if (parts[0] === 'ERROR') {
+            return JSON.stringify({ error: parts[1] || 'Unknown AE error', copiedCount: 0, missing: [] });
+        }
+
+        return JSON.stringify({
+            error: null,
+            copiedCount: parseInt(parts[1], 10) || 0,
+            missing: parts.slice(2)
+        });
+    } catch (e) {
+        return JSON.stringify({ error: e.message, copiedCount: 0, missing: [] });
+    }
+}
+
+/**
+ * Get all OFFLINE media files used by any sequence in the project
  * Used to match with Drive files for auto-linking
  */
 function getOfflineFiles() {
@@ -509,199 +782,122 @@ function getOfflineFiles() {
             return JSON.stringify({ error: 'No project open', files: [] });
         }
 
-        if (!app.project.activeSequence) {
-            return JSON.stringify({ error: 'No active sequence', files: [] });
-        }
-
         var offlineFiles = [];
         var seenItems = {}; // Track by nodeId to avoid duplicates
-        var sequence = app.project.activeSequence;
 
-        // Check VIDEO tracks for offline clips
-        for (var v = 0; v < sequence.videoTracks.numTracks; v++) {
-            var track = sequence.videoTracks[v];
-            for (var c = 0; c < track.clips.numItems; c++) {
-                var clip = track.clips[c];
-                if (clip.projectItem) {
-                    var item = clip.projectItem;
-                    var mediaPath = '';
-                    try { mediaPath = item.getMediaPath(); } catch (e) { }
-
-                    // Check if media is offline (empty path or file doesn't exist)
-                    if (!mediaPath || mediaPath === '' || item.isOffline()) {
-                        if (!seenItems[item.nodeId]) {
-                            seenItems[item.nodeId] = true;
-                            // Extract filename from the original path
-                            var origFileName = item.name;
-                            if (mediaPath && mediaPath !== '') {
-                                var lastSlash = Math.max(mediaPath.lastIndexOf('\\'), mediaPath.lastIndexOf('/'));
-                                if (lastSlash >= 0) origFileName = mediaPath.substring(lastSlash + 1);
-                            }
-                            offlineFiles.push({
-                                name: item.name,
-                                nodeId: item.nodeId,
-                                type: 'video',
-                                fileName: origFileName,
-                                lastPath: mediaPath || ''
-                            });
-                        }
-                    }
-                }
-            }
+        for (var s = 0; s < app.project.sequences.numSequences; s++) {
+            collectOfflineItems(app.project.sequences[s], offlineFiles, seenItems);
         }
 
-        // Check AUDIO tracks for offline clips
-        for (var a = 0; a < sequence.audioTracks.numTracks; a++) {
-            var track = sequence.audioTracks[a];
+        return JSON.stringify({
+            count: offlineFiles.length,
+            files: offlineFiles
+        });
+    } catch (e) {
+        return JSON.stringify({ error: e.message, files: [] });
+    }
+}
+
+/**
+ * Add the offline clips of one sequence to offlineFiles
+ */
+function collectOfflineItems(sequence, offlineFiles, seenItems) {
+    var trackGroups = [
+        { tracks: sequence.videoTracks, type: 'video' },
+        { tracks: sequence.audioTracks, type: 'audio' }
+    ];
+
+    for (var g = 0; g < trackGroups.length; g++) {
+        var tracks = trackGroups[g].tracks;
+        for (var t = 0; t < tracks.numTracks; t++) {
+            var track = tracks[t];
             for (var c = 0; c < track.clips.numItems; c++) {
                 var clip = track.clips[c];
-                if (clip.projectItem) {
-                    var item = clip.projectItem;
-                    var mediaPath = '';
-                    try { mediaPath = item.getMediaPath(); } catch (e) { }
-
-                    if (!mediaPath || mediaPath === '' || item.isOffline()) {
-                        if (!seenItems[item.nodeId]) {
-                            seenItems[item.nodeId] = true;
-                            var origFileName = item.name;
-                            if (mediaPath && mediaPath !== '') {
-                                var lastSlash = Math.max(mediaPath.lastIndexOf('\\'), mediaPath.lastIndexOf('/'));
-                                if (lastSlash >= 0) origFileName = mediaPath.substring(lastSlash + 1);
-                            }
-                            offlineFiles.push({
-                                name: item.name,
-                                nodeId: item.nodeId,
-                                type: 'audio',
-                                fileName: origFileName,
-                                lastPath: mediaPath || ''
-                            });
+                if (!clip.projectItem) continue;
+
+                var item = clip.projectItem;
+                var mediaPath = '';
+                try { mediaPath = item.getMediaPath(); } catch (e) { }
+
+                // Check if media is offline (empty path or file doesn't exist)
+                if (!mediaPath || mediaPath === '' || item.isOffline()) {
+                    if (!seenItems[item.nodeId]) {
+                        seenItems[item.nodeId] = true;
+                        // Extract filename from the original path
+                        var origFileName = item.name;
+                        if (mediaPath && mediaPath !== '') {
+                            var lastSlash = Math.max(mediaPath.lastIndexOf('\\'), mediaPath.lastIndexOf('/'));
+                            if (lastSlash >= 0) origFileName = mediaPath.substring(lastSlash + 1);
                         }
+                        offlineFiles.push({
+                            name: item.name,
+                            nodeId: item.nodeId,
+                            type: trackGroups[g].type,
+                            fileName: origFileName,
+                            lastPath: mediaPath || '',
+                            sequenceName: sequence.name
+                        });
                     }
                 }
             }
         }
-
-        return JSON.stringify({
-            count: offlineFiles.length,
-            files: offlineFiles
-        });
-    } catch (e) {
-        return JSON.stringify({ error: e.message, files: [] });
     }
 }
 
 /**
- * Auto-relink all offline media by scanning a target folder
- * @param {string} targetFolder - The folder where downloaded files are
+ * Every offline media item in the project (not only those on a timeline), with what
+ * the relinker ranks candidates by: last path, media duration and frame rate
  */
-function autoRelinkOfflineMedia(targetFolder) {
+function getOfflineMediaDetails() {
     try {
-        if (!app.project) return JSON.stringify({ success: false, error: 'No project', relinked: 0 });
+        if (!app.project) return JSON.stringify({ error: 'No project open', items: [] });
 
-        var relinked = 0;
-        var failed = 0;
+        var items = [];
         var seenItems = {};
 
-        // Scan all project items (not just timeline) for offline media
-        function scanAndRelink(item) {
+        function scan(item) {
             if (!item) return;
 
-            if (item.type === ProjectItemType.CLIP || item.type === ProjectItemType.FILE) {
-                if (!seenItems[item.nodeId]) {
-                    seenItems[item.nodeId] = true;
-                    var mediaPath = '';
-                    try { mediaPath = item.getMediaPath(); } catch (e) { }
-
-                    var isOffline = false;
-                    try { isOffline = item.isOffline(); } catch (e) { }
+            if ((item.type === ProjectItemType.CLIP || item.type === ProjectItemType.FILE) && !seenItems[item.nodeId]) {
+                seenItems[item.nodeId] = true;
+                var mediaPath = '';
+                try { mediaPath = item.getMediaPath(); } catch (e) { }
 
-                    if (isOffline || !mediaPath || mediaPath === '') {
-                        // Extract the original filename
-                        var origFileName = '';
-                        if (mediaPath && mediaPath !== '') {
-                            var lastSlash = Math.max(mediaPath.lastIndexOf('\\'), mediaPath.lastIndexOf('/'));
-                            origFileName = lastSlash >= 0 ? mediaPath.substring(lastSlash + 1) : mediaPath;
-                        } else {
-                            origFileName = item.name;
-                        }
+                var isOffline = false;
+                try { isOffline = item.isOffline(); } catch (e) { }
 
-                        // Try to find the file in targetFolder (recursively)
-                        var folderObj = new Folder(targetFolder);
-                        if (folderObj.exists) {
-                            var foundFile = findFileRecursive(folderObj, origFileName);
-                            if (!foundFile) {
-                                // Also try matching by item.name + common extensions
-                                var extensions = ['.aep', '.mp4', '.mov', '.wav', '.mp3', '.png', '.jpg', '.webp', '.psd', '.ai', '.tga', '.exr'];
-                                for (var ei = 0; ei < extensions.length; ei++) {
-                                    foundFile = findFileRecursive(folderObj, item.name + extensions[ei]);
-                                    if (foundFile) break;
-                                }
-                            }
-                            if (foundFile && item.canChangeMediaPath()) {
-                                try {
-                                    var success = item.changeMediaPath(foundFile.fsName, true);
-                                    if (success) {
-                                        relinked++;
-                                    } else {
-                                        failed++;
-                                    }
-                                } catch (re) {
-                                    failed++;
-                                }
-                            } else {
-                                failed++;
-                            }
-                        }
+                if ((isOffline || !mediaPath) && item.canChangeMediaPath()) {
+                    var fileName = item.name;
+                    if (mediaPath) {
+                        var lastSlash = Math.max(mediaPath.lastIndexOf('\\'), mediaPath.lastIndexOf('/'));
+                        fileName = lastSlash >= 0 ? mediaPath.substring(lastSlash + 1) : mediaPath;
                     }
+                    var timing = getMediaTiming(item);
+                    items.push({
+                        nodeId: item.nodeId,
+                        name: item.name,
+                        fileName: fileName,
+                        lastPath: mediaPath || '',
+                        duration: timing.duration,
+                        frameRate: timing.frameRate
+                    });
                 }
             }
 
-            // Recurse into children
             if (item.children) {
                 for (var i = 0; i < item.children.numItems; i++) {
-                    scanAndRelink(item.children[i]);
+                    scan(item.children[i]);
                 }
             }
         }
 
-        scanAndRelink(app.project.rootItem);
-
-        // Save project after relinking
-        if (relinked > 0) {
-            app.project.save();
-        }
-
-        return JSON.stringify({ success: true, relinked: relinked, failed: failed });
+        scan(app.project.rootItem);
+        return JSON.stringify({ items: items });
     } catch (e) {
-        return JSON.stringify({ success: false, error: e.message, relinked: 0 });
+        return JSON.stringify({ error: e.message, items: [] });
     }
 }
 
-/**
- * Recursively find a file by name in a folder
- */
-function findFileRecursive(folder, fileName) {
-    if (!folder || !folder.exists) return null;
-
-    // Check direct children first
-    var files = folder.getFiles();
-    for (var i = 0; i < files.length; i++) {
-        if (files[i] instanceof File) {
-            if (files[i].displayName === fileName || files[i].name === fileName) {
-                return files[i];
-            }
-        }
-    }
-    // Recurse into subfolders
-    for (var j = 0; j < files.length; j++) {
-        if (files[j] instanceof Folder) {
-            var result = findFileRecursive(files[j], fileName);
-            if (result) return result;
-        }
-    }
-    return null;
-}
-
 /**
  * Relink a project item to a new file path
  * @param {string} nodeId - The nodeId of the project item (from getOfflineFiles)
@@ -730,6 +926,147 @@ function relinkMedia(nodeId, newPath) {
     }
 }
 
+/**
+ * Media path in a form that compares equal across slash styles and case
+ */
+function normalizeMediaPath(mediaPath) {
+    return String(mediaPath || '').replace(/\\/g, '/').toLowerCase();
+}
+
+/**
+ * Attach downloaded proxies to their full-res project items (which may be offline)
+ * @param {Array} mapping - [{ fileName, mediaPaths, proxyPath }]: fileName is the original
+ *   media's file name, mediaPaths the paths its clip may point at. Clips are matched on
+ *   their media path; the file name is only used when no other proxy shares it.
+ */
+function attachProxies(mapping) {
+    try {
+        if (!app.project) return JSON.stringify({ success: false, error: 'No project', attached: 0 });
+
+        var proxyByPath = {};
+        var proxyByName = {};
+        var nameCount = {};
+        for (var m = 0; m < mapping.length; m++) {
+            var paths = mapping[m].mediaPaths || [];
+            for (var p = 0; p < paths.length; p++) {
+                proxyByPath[normalizeMediaPath(paths[p])] = mapping[m].proxyPath;
+            }
+            var key = mapping[m].fileName.toLowerCase();
+            nameCount[key] = (nameCount[key] || 0) + 1;
+            proxyByName[key] = mapping[m].proxyPath;
+        }
+
+        var attached = 0;
+        var failed = 0;
+
+        function scanAndAttach(item) {
+            if (!item) return;
+
+            if (item.type === ProjectItemType.CLIP || item.type === ProjectItemType.FILE) {
+                var mediaPath = '';
+                try { mediaPath = item.getMediaPath(); } catch (e) { }
+
+                var fileName = item.name;
+                if (mediaPath && mediaPath !== '') {
+                    var lastSlash = Math.max(mediaPath.lastIndexOf('\\'), mediaPath.lastIndexOf('/'));
+                    fileName = lastSlash >= 0 ? mediaPath.substring(lastSlash + 1) : mediaPath;
+                }
+
+                var proxyPath = mediaPath ? proxyByPath[normalizeMediaPath(mediaPath)] : null;
+                if (!proxyPath && nameCount[fileName.toLowerCase()] === 1) {
+                    proxyPath = proxyByName[fileName.toLowerCase()];
+                }
+                if (proxyPath && getAttachedProxyPath(item) !== proxyPath) {
+                    try {
+                        if (item.canProxy() && item.attachProxy(proxyPath, 0)) {
+                            attached++;
+                        } else {
+                            failed++;
+                        }
+                    } catch (ae) {
+                        failed++;
+                    }
+                }
+            }
+
+            if (item.children) {
+                for (var i = 0; i < item.children.numItems; i++) {
+                    scanAndAttach(item.children[i]);
+                }
+            }
+        }
+
+        scanAndAttach(app.project.rootItem);
+
+        if (attached > 0) {
+            app.project.save();
+        }
+
+        return JSON.stringify({ success: true, attached: attached, failed: failed });
+    } catch (e) {
+        return JSON.stringify({ success: false, error: e.message, attached: 0 });
+    }
+}
+
+/**
+ * Media items selected in the project panel or on the active timeline
+ * Used to fetch full-res originals for selected clips in proxy-only projects
+ */
+function getSelectedMedia() {
+    try {
+        if (!app.project) return JSON.stringify({ error: 'No project open', files: [] });
+
+        var files = [];
+        var seenItems = {};
+
+        function addItem(item) {
+            if (!item || seenItems[item.nodeId]) return;
+            if (item.type !== ProjectItemType.CLIP && item.type !== ProjectItemType.FILE) return;
+            seenItems[item.nodeId] = true;
+
+            var mediaPath = '';
+            try { mediaPath = item.getMediaPath(); } catch (e) { }
+            var fileName = item.name;
+            if (mediaPath && mediaPath !== '') {
+                var lastSlash = Math.max(mediaPath.lastIndexOf('\\'), mediaPath.lastIndexOf('/'));
+                fileName = lastSlash >= 0 ? mediaPath.substring(lastSlash + 1) : mediaPath;
+            }
+
+            files.push({
+                name: item.name,
+                nodeId: item.nodeId,
+                fileName: fileName,
+                lastPath: mediaPath || ''
+            });
+        }
+
+        // Project panel selection
+        try {
+            var viewSelection = app.getCurrentProjectViewSelection();
+            if (viewSelection) {
+                for (var p = 0; p < viewSelection.length; p++) {
+                    addItem(viewSelection[p]);
+                }
+            }
+        } catch (e) {
+            // Not available before Premiere 14
+        }
+
+        // Timeline selection
+        var sequence = app.project.activeSequence;
+        if (sequence) {
+            var trackItems = sequence.getSelection();
+            for (var t = 0; t < trackItems.length; t++) {
+                if (trackItems[t].projectItem) addItem(trackItems[t].projectItem);
+            }
+        }
+
+        return JSON.stringify({ count: files.length, files: files });
+    } catch (e) {
+        return JSON.stringify({ error: e.message, files: [] });
+    }
+}
+
 /**
  * Helper to find item by Node ID
  */